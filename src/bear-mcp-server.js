@@ -5,27 +5,137 @@ import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js'
 import {
   CallToolRequestSchema,
   ErrorCode,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
   McpError,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
 import {
-  getDbPath,
+  getIndexPath,
   createDb,
   searchNotes,
+  hybridSearch,
   retrieveNote,
+  getAttachment,
+  listNotes,
   getAllTags,
   loadVectorIndex,
+  getVectorIndex,
   initEmbedder,
+  getEmbeddingModel,
   retrieveForRAG
 } from './utils.js';
+import { createIndexWatcher, DEFAULT_SYNC_INTERVAL } from './lib/index-watcher.js';
+import { createNoteWatcher, getNotifyInterval } from './lib/note-watcher.js';
+import { getTransportConfig, startHttpServer } from './lib/http-transport.js';
+import { loadLibraries, optionValue, selectLibrary } from './lib/libraries.js';
+import { authenticateToken, describePolicy, loadAccessConfig } from './lib/access-policy.js';
+import { getIndexStatus } from './lib/indexer.js';
+import { resolveSchema, describeSchema } from './lib/schema.js';
+import { FILTER_PROPERTIES, parseFilterArguments } from './lib/filters.js';
+import { encodeCursor, decodeOffset, encodeOffsetCursor, decodeOffsetCursor, encodePositionCursor, decodePositionCursor } from './lib/cursors.js';
+import { createPromptRegistry } from './lib/prompts.js';
+import { getNoteGraph, getRelatedNotes, MAX_GRAPH_DEPTH, MAX_GRAPH_NOTES } from './lib/note-links.js';
+import { listTodos, TODO_STATUSES } from './lib/todos.js';
+import { CHARS_PER_TOKEN } from './lib/snippets.js';
+import {
+  toolResult,
+  toolError,
+  formatNoteList,
+  formatNoteContext,
+  formatNote,
+  formatNoteGraph,
+  formatAttachment,
+  formatTodoList,
+  formatTagList,
+  formatFields,
+  formatMoreResults,
+  OUTPUT_SCHEMAS
+} from './lib/tool-results.js';
+import {
+  writesEnabled,
+  createNote,
+  appendToNote,
+  addTags,
+  trashNote
+} from './lib/bear-actions.js';
+
+// Modes of the search_notes tool
+const SEARCH_MODES = ['semantic', 'keyword', 'hybrid'];
+
+// Number of notes per resources/list page
+const RESOURCE_PAGE_SIZE = 50;
+
+// Most results a single search_notes or list_notes page can hold
+const MAX_PAGE_SIZE = 100;
+
+// Clamp a requested page size to 1..MAX_PAGE_SIZE
+const pageSize = (limit, fallback) => Math.min(Math.max(Math.floor(Number(limit) || fallback), 1), MAX_PAGE_SIZE);
+
+// The arguments that identify a paged query: everything except the cursor and page size
+const pagedQuery = ({ cursor, limit, ...args }) => args;
+
+// Filters list_todos takes; its status argument does the job of has_todos
+const { has_todos, ...TODO_FILTER_PROPERTIES } = FILTER_PROPERTIES;
 
-// Initialize dependencies
+// Description of the min_score argument shared by the search tools
+const MIN_SCORE_PROPERTY = {
+  type: 'number',
+  minimum: 0,
+  maximum: 1,
+  description: 'Leave out notes whose semantic similarity to the query is below this, from 0 (unrelated) to 1 (identical); e.g. 0.3 (default: 0)',
+};
+
+// Check a min_score argument and return it as a number
+const parseMinScore = (value) => {
+  if (value === undefined || value === null) {
+    return 0;
+  }
+  if (typeof value !== 'number' || value < 0 || value > 1) {
+    throw new Error('min_score must be a number between 0 and 1');
+  }
+  return value;
+};
+
+// Resource URIs for notes and tags
+const noteUri = (id) => `bear://note/${encodeURIComponent(id)}`;
+const tagUri = (name) => `bear://tag/${encodeURIComponent(name)}`;
+
+// Split a bear://note/{id} or bear://tag/{name} URI into its kind and decoded name
+const parseResourceUri = (uri) => {
+  const match = /^bear:\/\/(note|tag)\/(.+)$/.exec(uri);
+  if (!match) {
+    throw new McpError(ErrorCode.InvalidParams, `Unknown resource URI: ${uri}`);
+  }
+  return { kind: match[1], name: decodeURIComponent(match[2]) };
+};
+
+// Initialize dependencies: the embedding model, then a database connection, vector index,
+// index watcher and note watcher for each library. Returns the libraries, default first,
+// and the access settings.
 async function initialize() {
   console.error('Initializing Bear Notes MCP server...');
   
-  // Initialize database connection
-  const dbPath = getDbPath();
-  const db = createDb(dbPath);
+  // Work out which Bear databases to serve, where their indexes live and which notes to hide
+  let libraries;
+  let notifyInterval;
+  let access;
+  try {
+    libraries = loadLibraries({ indexPath: optionValue(process.argv.slice(2), 'index-path') });
+    notifyInterval = getNotifyInterval();
+    access = loadAccessConfig();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  if (access.policy.length > 0) {
+    console.error(`Access policy from ${access.file}: ${describePolicy(access.policy)}`);
+  }
   
   // Initialize embedding model
   const modelInitialized = await initEmbedder();
@@ -33,20 +143,59 @@ async function initialize() {
     console.error('Warning: Embedding model initialization failed, semantic search will not be available');
   }
   
-  // Load vector index
-  const indexLoaded = await loadVectorIndex();
-  if (!indexLoaded) {
-    console.error('Warning: Vector index not found, semantic search will not be available');
-    console.error('Run "npm run index" to create the vector index');
+  // Keep the vector indexes up to date in the background (BEAR_INDEX_SYNC_INTERVAL=0 disables it)
+  const syncInterval = process.env.BEAR_INDEX_SYNC_INTERVAL !== undefined
+    ? Number(process.env.BEAR_INDEX_SYNC_INTERVAL)
+    : DEFAULT_SYNC_INTERVAL;
+  
+  for (const library of libraries) {
+    const label = libraries.length > 1 ? ` for library "${library.name}"` : '';
+    
+    // Initialize database connection
+    library.db = createDb(library.dbPath, { indexPath: library.indexPath, accessPolicy: access.policy });
+    
+    // Work out which tables this Bear version uses before anything queries them
+    try {
+      const schema = await resolveSchema(library.db);
+      console.error(`Detected Bear schema${label}: ${describeSchema(schema)}`);
+    } catch (error) {
+      console.error(`${error.message}${label}`);
+      process.exit(1);
+    }
+    
+    // Load vector index
+    const indexLoaded = await loadVectorIndex(library.db);
+    if (!indexLoaded) {
+      console.error(`Warning: No usable vector index${label}, semantic search will not be available`);
+      console.error(`Run "npm run index" to create the vector index at ${library.indexPath}`);
+    }
+    
+    library.hasSemanticSearch = modelInitialized && indexLoaded;
+    library.indexWatcher = createIndexWatcher(library.db, {
+      dbPath: library.dbPath,
+      indexPath: library.indexPath,
+      interval: library.hasSemanticSearch ? syncInterval : 0
+    });
+    library.indexWatcher.start();
+    
+    // Watch for note changes to announce to clients, whether or not there is a vector index
+    library.noteWatcher = createNoteWatcher(library.db, { dbPath: library.dbPath, interval: notifyInterval });
   }
   
-  return { db, hasSemanticSearch: modelInitialized && indexLoaded };
+  return { libraries, access };
 }
 
-// Main function
-async function main() {
-  // Initialize components
-  const { db, hasSemanticSearch } = await initialize();
+// Create an MCP server for the libraries. The stdio transport uses one; the HTTP transport
+// creates one per client session, all sharing the databases, indexes and embedding model.
+// policy is the client's own access policy, on top of the one every database has.
+function createServer(libraries, prompts, { policy = [] } = {}) {
+  const anySemanticSearch = libraries.some(library => library.hasSemanticSearch);
+  
+  // Resources and prompts read the default library
+  const defaultLibrary = libraries[0];
+  
+  // Changes to resources can only be announced while the note watcher polls
+  const notifications = defaultLibrary.noteWatcher.enabled;
   
   // Create MCP server
   const server = new Server(
@@ -57,6 +206,11 @@ async function main() {
     {
       capabilities: {
         tools: {},
+        resources: notifications ? {
+          subscribe: true,
+          listChanged: true,
+        } : {},
+        prompts: {},
       }
     }
   );
@@ -76,16 +230,61 @@ async function main() {
             },
             limit: {
               type: 'number',
-              description: 'Maximum number of results to return (default: 10)',
+              description: 'Maximum number of results to return per page (default: 10, at most 100)',
+            },
+            cursor: {
+              type: 'string',
+              description: 'Cursor from a previous response to fetch the next page; repeat the other arguments unchanged',
             },
             semantic: {
               type: 'boolean',
               description: 'Use semantic search instead of keyword search (default: true)',
-            }
+            },
+            mode: {
+              type: 'string',
+              enum: SEARCH_MODES,
+              description: 'Search mode; hybrid runs keyword and semantic search and merges them with reciprocal rank fusion (overrides semantic)',
+            },
+            passages: {
+              type: 'boolean',
+              description: 'Return the matching passages of each note (semantic search only, default: false)',
+            },
+            include_content: {
+              type: 'boolean',
+              description: 'Include the full content of each note; otherwise only a highlighted snippet is returned (default: false)',
+            },
+            min_score: {
+              ...MIN_SCORE_PROPERTY,
+              description: `${MIN_SCORE_PROPERTY.description}. Applies to semantic matches; keyword matches are kept, and there is no keyword fallback when no semantic match clears it`,
+            },
+            ...FILTER_PROPERTIES
           },
           required: ['query'],
         },
       },
+      {
+        name: 'list_notes',
+        description: 'List notes page by page, optionally only those matching tag, date or status filters',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            sort: {
+              type: 'string',
+              enum: ['modified', 'created', 'title'],
+              description: 'Order of the notes: most recently modified first, most recently created first, or by title (default: modified)',
+            },
+            limit: {
+              type: 'number',
+              description: 'Maximum number of notes to return per page (default: 20, at most 100)',
+            },
+            cursor: {
+              type: 'string',
+              description: 'Cursor from a previous response to fetch the next page; repeat the other arguments unchanged',
+            },
+            ...FILTER_PROPERTIES
+          },
+        },
+      },
       {
         name: 'get_note',
         description: 'Retrieve a specific note by its ID',
@@ -100,6 +299,101 @@ async function main() {
           required: ['id'],
         },
       },
+      {
+        name: 'list_todos',
+        description: 'List checklist items (todos) across your notes, with the note, heading and line each one is on',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            status: {
+              type: 'string',
+              enum: Object.keys(TODO_STATUSES),
+              description: 'Which todos to list: open ones, completed ones or all (default: open)',
+            },
+            query: {
+              type: 'string',
+              description: 'Only todos about this, e.g. a project name: todos in the notes most related to it (semantic), or todos whose text, heading or note title contain it (keyword)',
+            },
+            semantic: {
+              type: 'boolean',
+              description: 'Match the query with semantic search instead of keywords (default: true)',
+            },
+            limit: {
+              type: 'number',
+              description: 'Maximum number of todos to return per page (default: 50, at most 100)',
+            },
+            cursor: {
+              type: 'string',
+              description: 'Cursor from a previous response to fetch the next page; repeat the other arguments unchanged. A page can be short, even empty, when few notes match; keep paging while there is a cursor',
+            },
+            ...TODO_FILTER_PROPERTIES
+          },
+        },
+      },
+      {
+        name: 'get_attachment',
+        description: 'Get a file or image attached to a note, with its text: the text of a PDF, or what Bear read in an image',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Unique identifier of the attachment, from the attachments of a note',
+            },
+            max_chars: {
+              type: 'number',
+              description: 'Return at most this many characters of the text',
+            },
+          },
+          required: ['id'],
+        },
+      },
+      {
+        name: 'get_related_notes',
+        description: anySemanticSearch
+          ? 'Find notes related to a note: those it links to, those linking to it, and the notes most similar to it'
+          : 'Find notes related to a note: those it links to and those linking to it',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Unique identifier of the note',
+            },
+            limit: {
+              type: 'number',
+              description: 'Maximum number of similar notes to add to the linked ones (default: 10, at most 100)',
+            },
+            min_score: {
+              ...MIN_SCORE_PROPERTY,
+              description: 'Leave out similar notes whose similarity to the note is below this, from 0 (unrelated) to 1 (identical); e.g. 0.5 (default: 0)',
+            },
+          },
+          required: ['id'],
+        },
+      },
+      {
+        name: 'get_note_graph',
+        description: 'Get the notes linked to and from a note, and the notes linked to those, as a graph of nodes and edges',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Unique identifier of the note at the centre of the graph',
+            },
+            depth: {
+              type: 'number',
+              description: `How many links away from the note to go (default: 1, at most ${MAX_GRAPH_DEPTH})`,
+            },
+            max_notes: {
+              type: 'number',
+              description: `Stop adding notes to the graph after this many (default and at most: ${MAX_GRAPH_NOTES})`,
+            },
+          },
+          required: ['id'],
+        },
+      },
       {
         name: 'get_tags',
         description: 'Get all tags used in Bear Notes',
@@ -107,11 +401,32 @@ async function main() {
           type: 'object',
           properties: {},
         },
+      },
+      {
+        name: 'get_index_sync_status',
+        description: 'Show the status of the background vector index sync (last sync time, pending notes)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            sync_now: {
+              type: 'boolean',
+              description: 'Check for changed notes and update the index before reporting (default: false)',
+            },
+          },
+        },
+      },
+      {
+        name: 'get_index_status',
+        description: 'Check the vector index files (model, note count, build time, checksums) and how up to date they are with the Bear database',
+        inputSchema: {
+          type: 'object',
+          properties: {},
+        },
       }
     ];
     
     // Add RAG tool if semantic search is available
-    if (hasSemanticSearch) {
+    if (anySemanticSearch) {
       tools.push({
         name: 'retrieve_for_rag',
         description: 'Retrieve notes that are semantically similar to a query for RAG',
@@ -124,96 +439,564 @@ async function main() {
             },
             limit: {
               type: 'number',
-              description: 'Maximum number of notes to retrieve (default: 5)',
+              description: 'Maximum number of notes to retrieve (default: 5, at most 100)',
             },
+            passages: {
+              type: 'boolean',
+              description: 'Return the matching passages of each note instead of its full content (default: false)',
+            },
+            max_chars: {
+              type: 'number',
+              description: 'Pack the most relevant passages into at most this many characters',
+            },
+            max_tokens: {
+              type: 'number',
+              description: `Pack the most relevant passages into roughly this many tokens (about ${CHARS_PER_TOKEN} characters each)`,
+            },
+            min_score: MIN_SCORE_PROPERTY,
+            ...FILTER_PROPERTIES
           },
           required: ['query'],
         },
       });
     }
     
-    return { tools };
+    // Add write tools only when explicitly enabled
+    if (writesEnabled()) {
+      tools.push(
+        {
+          name: 'create_note',
+          description: 'Create a new note in Bear',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              title: {
+                type: 'string',
+                description: 'Title of the new note',
+              },
+              text: {
+                type: 'string',
+                description: 'Markdown body of the new note',
+              },
+              tags: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Tags to add to the note',
+              },
+              pin: {
+                type: 'boolean',
+                description: 'Pin the note (default: false)',
+              },
+            },
+          },
+        },
+        {
+          name: 'append_to_note',
+          description: 'Append text to an existing note in Bear',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              id: {
+                type: 'string',
+                description: 'Unique identifier of the note',
+              },
+              text: {
+                type: 'string',
+                description: 'Markdown text to add',
+              },
+              header: {
+                type: 'string',
+                description: 'Add the text under this heading of the note instead of at the end',
+              },
+              prepend: {
+                type: 'boolean',
+                description: 'Add the text at the start of the note instead of the end (default: false)',
+              },
+            },
+            required: ['id', 'text'],
+          },
+        },
+        {
+          name: 'add_tags',
+          description: 'Add tags to an existing note in Bear',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              id: {
+                type: 'string',
+                description: 'Unique identifier of the note',
+              },
+              tags: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Tags to add',
+              },
+            },
+            required: ['id', 'tags'],
+          },
+        },
+        {
+          name: 'trash_note',
+          description: 'Move a note to the Bear trash',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              id: {
+                type: 'string',
+                description: 'Unique identifier of the note to trash',
+              },
+            },
+            required: ['id'],
+          },
+        }
+      );
+    }
+    
+    // With several libraries, every tool takes the library to work on
+    const libraryProperty = {
+      type: 'string',
+      enum: libraries.map(library => library.name),
+      description: `Bear library to use (default: ${defaultLibrary.name})`,
+    };
+    const withLibrary = (tool) => libraries.length > 1
+      ? { ...tool, inputSchema: { ...tool.inputSchema, properties: { ...tool.inputSchema.properties, library: libraryProperty } } }
+      : tool;
+    
+    // Declare the shape of each tool's structuredContent
+    return {
+      tools: tools.map(tool => ({ ...withLibrary(tool), outputSchema: OUTPUT_SCHEMAS[tool.name] }))
+    };
   });
 
   // Register the call tool handler
   server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    let library;
+    try {
+      library = selectLibrary(libraries, (request.params.arguments || {}).library);
+    } catch (error) {
+      return toolError(error.message);
+    }
+    const { db, hasSemanticSearch, indexWatcher } = library;
+    
     if (request.params.name === 'search_notes') {
-      const { query, limit = 10, semantic = true } = request.params.arguments;
-      const useSemanticSearch = semantic && hasSemanticSearch;
+      const { query, semantic = true, mode, passages = false, include_content = false, cursor } = request.params.arguments;
+      const limit = pageSize(request.params.arguments.limit, 10);
+      const searchMode = mode || (semantic ? 'semantic' : 'keyword');
+      if (!SEARCH_MODES.includes(searchMode)) {
+        return toolError(`Unknown search mode: ${searchMode} (expected: ${SEARCH_MODES.join(', ')})`);
+      }
       
       try {
-        const notes = await searchNotes(db, query, limit, useSemanticSearch);
-        return { 
-          toolResult: { 
-            notes,
-            searchMethod: useSemanticSearch ? 'semantic' : 'keyword' 
-          } 
-        };
+        const filters = parseFilterArguments(request.params.arguments);
+        const minScore = parseMinScore(request.params.arguments.min_score);
+        const offset = decodeOffsetCursor(cursor, pagedQuery(request.params.arguments));
+        
+        // Rank everything up to the end of this page plus one, to find out whether there is another.
+        // Hybrid needs the vector index too; without it there is only the keyword retriever.
+        const rankLimit = offset + limit + 1;
+        let results;
+        let searchMethod;
+        if (searchMode === 'hybrid' && hasSemanticSearch) {
+          results = await hybridSearch(db, query, rankLimit, { passages, filters, policy, minScore });
+          searchMethod = 'hybrid';
+        } else {
+          const useSemanticSearch = searchMode !== 'keyword' && hasSemanticSearch;
+          ({ notes: results, searchMethod } = await searchNotes(db, query, rankLimit, useSemanticSearch, { passages, filters, policy, minScore }));
+        }
+        
+        const notes = results.slice(offset, offset + limit);
+        const hasMore = results.length > offset + limit;
+        if (!include_content) {
+          notes.forEach(note => delete note.content);
+        }
+        const nextCursor = hasMore ? encodeOffsetCursor(offset + limit, pagedQuery(request.params.arguments)) : undefined;
+        const range = offset > 0 ? `, results ${offset + 1}-${offset + notes.length}` : '';
+        
+        return toolResult(
+          formatNoteList(notes, `Found ${notes.length} notes for "${query}" (${searchMethod} search${range})`) + formatMoreResults(nextCursor),
+          { notes, searchMethod, hasMore, ...(nextCursor ? { nextCursor } : {}) }
+        );
       } catch (error) {
-        return { 
-          toolResult: { 
-            error: `Search failed: ${error.message}`,
-            searchMethod: 'keyword',
-            notes: [] 
-          } 
-        };
+        return toolError(`Search failed: ${error.message}`);
+      }
+    }
+    
+    if (request.params.name === 'list_notes') {
+      const args = request.params.arguments || {};
+      const { sort = 'modified', cursor } = args;
+      const limit = pageSize(args.limit, 20);
+      try {
+        const filters = parseFilterArguments(args);
+        const offset = decodeOffsetCursor(cursor, pagedQuery(args));
+        
+        // Fetch one extra note to find out whether there is another page
+        const listed = await listNotes(db, { limit: limit + 1, offset, filters, policy, sort, tags: true });
+        const notes = listed.slice(0, limit);
+        const hasMore = listed.length > limit;
+        const nextCursor = hasMore ? encodeOffsetCursor(offset + limit, pagedQuery(args)) : undefined;
+        const heading = notes.length > 0
+          ? `Notes ${offset + 1}-${offset + notes.length}, sorted by ${sort}`
+          : `No notes${offset > 0 ? ' left' : ''}, sorted by ${sort}`;
+        
+        return toolResult(
+          formatNoteList(notes, heading) + formatMoreResults(nextCursor),
+          { notes, hasMore, ...(nextCursor ? { nextCursor } : {}) }
+        );
+      } catch (error) {
+        return toolError(`Listing notes failed: ${error.message}`);
       }
     }
     
     if (request.params.name === 'get_note') {
       const { id } = request.params.arguments;
       try {
-        const note = await retrieveNote(db, id);
-        return { toolResult: { note } };
+        const note = await retrieveNote(db, id, { policy });
+        return toolResult(formatNote(note), { note });
+      } catch (error) {
+        return toolError(error.message);
+      }
+    }
+    
+    if (request.params.name === 'list_todos') {
+      const args = request.params.arguments || {};
+      const { status = 'open', query, semantic = true, cursor } = args;
+      const limit = pageSize(args.limit, 50);
+      try {
+        const filters = parseFilterArguments({ ...args, has_todos: undefined });
+        const start = decodePositionCursor(cursor, pagedQuery(args), ['note', 'item']);
+        const searchMethod = query ? (semantic && hasSemanticSearch ? 'semantic' : 'keyword') : undefined;
+        
+        // Notes are read a page at a time, so there's no total; the cursor keeps the place
+        const { todos, next } = await listTodos(db, { status, query, semantic: searchMethod === 'semantic', filters, policy, limit, start });
+        const hasMore = Boolean(next);
+        const nextCursor = hasMore ? encodePositionCursor(next, pagedQuery(args)) : undefined;
+        const heading = [
+          `${todos.length} ${status === 'all' ? '' : `${status} `}todo${todos.length === 1 ? '' : 's'}`,
+          query ? ` for "${query}" (${searchMethod} search)` : '',
+          cursor ? ', continued' : ''
+        ].join('');
+        
+        return toolResult(
+          formatTodoList(todos, heading) + formatMoreResults(nextCursor),
+          { todos, ...(searchMethod ? { searchMethod } : {}), hasMore, ...(nextCursor ? { nextCursor } : {}) }
+        );
+      } catch (error) {
+        return toolError(`Listing todos failed: ${error.message}`);
+      }
+    }
+    
+    if (request.params.name === 'get_attachment') {
+      const { id, max_chars } = request.params.arguments;
+      try {
+        const result = await getAttachment(db, id, { policy });
+        if (result.text && max_chars > 0 && result.text.length > max_chars) {
+          result.totalChars = result.text.length;
+          result.text = result.text.slice(0, Math.floor(max_chars));
+          result.truncated = true;
+        }
+        return toolResult(formatAttachment(result), result);
       } catch (error) {
-        return { toolResult: { error: error.message } };
+        return toolError(error.message);
+      }
+    }
+    
+    if (request.params.name === 'get_related_notes') {
+      const { id } = request.params.arguments;
+      const limit = pageSize(request.params.arguments.limit, 10);
+      try {
+        const minScore = parseMinScore(request.params.arguments.min_score);
+        const related = await getRelatedNotes(db, id, limit, { semantic: hasSemanticSearch, minScore, policy });
+        return toolResult(
+          formatNoteList(related.notes, `${related.notes.length} notes related to "${related.note.title || 'Untitled'}"`),
+          related
+        );
+      } catch (error) {
+        return toolError(error.message);
+      }
+    }
+    
+    if (request.params.name === 'get_note_graph') {
+      const { id } = request.params.arguments;
+      const depth = Math.min(Math.max(Math.floor(Number(request.params.arguments.depth) || 1), 1), MAX_GRAPH_DEPTH);
+      const maxNotes = Math.min(Math.max(Math.floor(Number(request.params.arguments.max_notes) || MAX_GRAPH_NOTES), 1), MAX_GRAPH_NOTES);
+      try {
+        const graph = await getNoteGraph(db, id, { depth, maxNotes, policy });
+        return toolResult(formatNoteGraph(graph), graph);
+      } catch (error) {
+        return toolError(error.message);
       }
     }
     
     if (request.params.name === 'get_tags') {
       try {
-        const tags = await getAllTags(db);
-        return { toolResult: { tags } };
+        const tags = await getAllTags(db, { policy });
+        return toolResult(formatTagList(tags), { tags });
       } catch (error) {
-        return { toolResult: { error: error.message } };
+        return toolError(error.message);
       }
     }
     
-    if (request.params.name === 'retrieve_for_rag' && hasSemanticSearch) {
-      const { query, limit = 5 } = request.params.arguments;
+    if (request.params.name === 'get_index_sync_status') {
+      const { sync_now = false } = request.params.arguments || {};
       try {
-        const context = await retrieveForRAG(db, query, limit);
-        return { 
-          toolResult: { 
-            context,
-            query 
-          } 
-        };
+        if (sync_now && hasSemanticSearch) {
+          await indexWatcher.sync({ force: true });
+        }
+        const status = indexWatcher.getStatus();
+        return toolResult(formatFields('Vector index sync status:', status), { status });
       } catch (error) {
-        return { 
-          toolResult: { 
-            error: `RAG retrieval failed: ${error.message}`,
-            context: [] 
-          } 
+        return toolError(error.message);
+      }
+    }
+    
+    if (request.params.name === 'get_index_status') {
+      try {
+        const vectorIndex = getVectorIndex(db);
+        const status = {
+          library: library.name,
+          ...await getIndexStatus(db, getIndexPath(db), {
+            model: getEmbeddingModel(),
+            dbPath: library.dbPath,
+            loaded: Boolean(vectorIndex.index),
+            searchWarning: vectorIndex.searchWarning
+          })
         };
+        return toolResult(formatFields('Vector index status:', status), { status });
+      } catch (error) {
+        return toolError(error.message);
+      }
+    }
+    
+    if (request.params.name === 'retrieve_for_rag' && anySemanticSearch) {
+      const { query, passages = false, max_chars, max_tokens } = request.params.arguments;
+      const limit = pageSize(request.params.arguments.limit, 5);
+      try {
+        const filters = parseFilterArguments(request.params.arguments);
+        const minScore = parseMinScore(request.params.arguments.min_score);
+        
+        // The tighter of the two budgets, if either is given
+        const budgets = [max_chars, max_tokens && max_tokens * CHARS_PER_TOKEN].filter(budget => budget > 0);
+        const maxChars = budgets.length > 0 ? Math.floor(Math.min(...budgets)) : null;
+        
+        const context = await retrieveForRAG(db, query, limit, { passages, filters, policy, maxChars, minScore });
+        const usedChars = maxChars
+          ? context.reduce((total, note) => total + note.passages.reduce((sum, passage) => sum + passage.text.length, 0), 0)
+          : undefined;
+        const heading = `${context.length} notes relevant to "${query}"${maxChars ? ` (${usedChars} of ${maxChars} characters)` : ''}`;
+        return toolResult(
+          formatNoteContext(context, heading),
+          { context, query, ...(maxChars ? { maxChars, usedChars } : {}) }
+        );
+      } catch (error) {
+        return toolError(`RAG retrieval failed: ${error.message}`);
+      }
+    }
+    
+    const noteActions = {
+      append_to_note: { run: appendToNote, verb: 'append to' },
+      add_tags: { run: addTags, verb: 'tag' },
+      trash_note: { run: trashNote, verb: 'trash' }
+    };
+    
+    // Bear's URL scheme reaches the Bear app on this Mac, which should be the default library
+    const writeTool = request.params.name === 'create_note' || noteActions[request.params.name];
+    if (writeTool && writesEnabled() && library !== defaultLibrary) {
+      return toolError(`Write actions only work on the default library (${defaultLibrary.name})`);
+    }
+    
+    if (request.params.name === 'create_note' && writesEnabled()) {
+      try {
+        const result = { ...await createNote(request.params.arguments || {}), status: 'sent to Bear' };
+        return toolResult(formatFields('Asked Bear to create the note.', result), result);
+      } catch (error) {
+        return toolError(error.message);
+      }
+    }
+    
+    // The remaining write tools act on an existing note, so check it exists first
+    if (noteActions[request.params.name] && writesEnabled()) {
+      const args = request.params.arguments || {};
+      try {
+        await retrieveNote(db, args.id, { policy });
+        const { run, verb } = noteActions[request.params.name];
+        const result = { ...await run(args), id: args.id, status: 'sent to Bear' };
+        return toolResult(formatFields(`Asked Bear to ${verb} note ${args.id}.`, result), result);
+      } catch (error) {
+        return toolError(error.message);
       }
     }
     
     throw new McpError(ErrorCode.MethodNotFound, 'Tool not found');
   });
 
-  // Use stdio transport instead of HTTP
-  const transport = new StdioServerTransport();
+  // List notes as resources, one page at a time
+  server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
+    let offset;
+    try {
+      offset = decodeOffset(request.params && request.params.cursor);
+    } catch (error) {
+      throw new McpError(ErrorCode.InvalidParams, error.message);
+    }
+    
+    // Fetch one extra note to find out whether there is another page
+    const notes = await listNotes(defaultLibrary.db, { limit: RESOURCE_PAGE_SIZE + 1, offset, policy });
+    const page = notes.slice(0, RESOURCE_PAGE_SIZE);
+    
+    return {
+      resources: page.map(note => ({
+        uri: noteUri(note.id),
+        name: note.title || 'Untitled',
+        description: note.subtitle || undefined,
+        mimeType: 'text/markdown',
+      })),
+      ...(notes.length > RESOURCE_PAGE_SIZE ? { nextCursor: encodeCursor({ offset: offset + RESOURCE_PAGE_SIZE }) } : {})
+    };
+  });
+  
+  // Templates for reading any note or tag listing directly
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+    resourceTemplates: [
+      {
+        uriTemplate: 'bear://note/{id}',
+        name: 'Bear note',
+        description: 'Markdown content of a Bear note by its unique identifier',
+        mimeType: 'text/markdown',
+      },
+      {
+        uriTemplate: 'bear://tag/{name}',
+        name: 'Bear tag',
+        description: 'Notes with a tag (including its nested tags), as a JSON listing',
+        mimeType: 'application/json',
+      }
+    ]
+  }));
+  
+  // Read a note's markdown or a tag's note listing
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    const { uri } = request.params;
+    const { kind, name } = parseResourceUri(uri);
+    
+    if (kind === 'note') {
+      let note;
+      try {
+        note = await retrieveNote(defaultLibrary.db, name, { policy });
+      } catch (error) {
+        throw new McpError(ErrorCode.InvalidParams, `${error.message}: ${uri}`);
+      }
+      return {
+        contents: [{ uri, mimeType: 'text/markdown', text: note.content || '' }]
+      };
+    }
+    
+    const notes = await listNotes(defaultLibrary.db, { limit: -1, filters: { tags: [name] }, policy });
+    const listing = {
+      tag: name,
+      notes: notes.map(note => ({ uri: noteUri(note.id), ...note }))
+    };
+    return {
+      contents: [{ uri: tagUri(name), mimeType: 'application/json', text: JSON.stringify(listing, null, 2) }]
+    };
+  });
+  
+  if (notifications) {
+    // Track subscribed resource URIs so changes to them can be announced
+    const subscriptions = new Set();
+    server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      parseResourceUri(request.params.uri);
+      subscriptions.add(request.params.uri);
+      return {};
+    });
+    server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      subscriptions.delete(request.params.uri);
+      return {};
+    });
+    
+    // When the note watcher sees notes change, tell the client the resource list changed
+    // and send updates for subscribed notes (tag listings may change with any note)
+    const removeChangeListener = defaultLibrary.noteWatcher.onChange(async ({ changedIds, removedIds }) => {
+      await server.sendResourceListChanged();
+      const touched = new Set([...changedIds, ...removedIds].map(noteUri));
+      for (const uri of subscriptions) {
+        if (touched.has(uri) || uri.startsWith('bear://tag/')) {
+          await server.sendResourceUpdated({ uri });
+        }
+      }
+    });
+    
+    // Stop announcing changes once the client has gone
+    server.onclose = removeChangeListener;
+  }
+  
+  // List the prompt templates
+  server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+    prompts: prompts.list()
+  }));
+  
+  // Fill a prompt template with the matching notes
+  server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    try {
+      return await prompts.get(request.params.name, request.params.arguments || {}, { policy });
+    } catch (error) {
+      throw new McpError(ErrorCode.InvalidParams, error.message);
+    }
+  });
+  
+  return server;
+}
 
-  // Start the server with stdio transport
-  await server.connect(transport);
+// Main function
+async function main() {
+  // Work out how to talk to clients before the slow start-up, so a typo fails fast
+  let transportConfig;
+  try {
+    transportConfig = getTransportConfig(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  
+  // Initialize components
+  const { libraries, access } = await initialize();
+  
+  // Load built-in and user prompt templates
+  const prompts = await createPromptRegistry(libraries[0].db);
+  
+  let httpServer = null;
+  if (transportConfig.transport === 'http') {
+    // Serve any number of clients over HTTP, each session with its own MCP server. With
+    // tokens in the access file, clients must send one and see what its policy allows.
+    httpServer = await startHttpServer((client) => createServer(libraries, prompts, { policy: client ? client.policy : [] }), {
+      host: transportConfig.host,
+      port: transportConfig.port,
+      sessionTimeout: transportConfig.sessionTimeout,
+      maxSessions: transportConfig.maxSessions,
+      allowUnauthenticated: transportConfig.allowUnauthenticated,
+      authenticate: access.tokens.length > 0
+        ? (req) => authenticateToken(access.tokens, req.headers.authorization)
+        : null,
+      getHealth: () => ({
+        libraries: libraries.map(library => ({
+          name: library.name,
+          semanticSearch: library.hasSemanticSearch,
+          lastSyncTime: library.indexWatcher.getStatus().lastSyncTime
+        }))
+      })
+    });
+  } else {
+    // Serve the one client that started us over stdio
+    await createServer(libraries, prompts).connect(new StdioServerTransport());
+  }
 
   // Handle process termination
   ['SIGINT', 'SIGTERM', 'SIGHUP'].forEach(signal => {
-    process.on(signal, () => {
+    process.on(signal, async () => {
       console.error(`Received ${signal}, shutting down Bear Notes MCP server...`);
-      db.close(() => {
-        console.error('Database connection closed.');
+      libraries.forEach(library => library.indexWatcher.stop());
+      if (httpServer) {
+        await httpServer.close();
+      }
+      Promise.all(libraries.map(library => new Promise(resolve => library.db.close(resolve)))).then(() => {
+        console.error('Database connections closed.');
         process.exit(0);
       });
     });
@@ -1,25 +1,28 @@
 #!/usr/bin/env node
 
-import { getDbPath, createDb, initEmbedder, createEmbedding } from './utils.js';
-// Fix for CommonJS module import in ESM
-import faissNode from 'faiss-node';
-const { IndexFlatL2 } = faissNode;
+import { createDb, initEmbedder } from './utils.js';
+import { loadIndexFiles, saveIndexFiles, updateIndex } from './lib/indexer.js';
+import { fullTextIndexExists, getFullTextPath, updateFullTextIndex } from './lib/fulltext.js';
+import { resolveSchema } from './lib/schema.js';
+import { loadLibraries, optionValue, selectLibrary } from './lib/libraries.js';
+import { describePolicy, loadAccessConfig } from './lib/access-policy.js';
+import { getIndexConfig } from './lib/index-config.js';
+import { getAttachmentIndexing } from './lib/attachments.js';
 
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-// Get current file path for ES modules
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Path to save the vector index
-const INDEX_PATH = path.join(__dirname, 'note_vectors');
-
-// Main indexing function
-async function createVectorIndex() {
+// Main indexing function: index every library, or only the one named with --library
+async function createVectorIndex({ full = false, indexPath, library, indexType, attachments = null } = {}) {
   console.log('Starting to create vector index for Bear Notes...');
   
+  const libraries = loadLibraries({ indexPath });
+  const selected = library ? [selectLibrary(libraries, library)] : libraries;
+  const indexConfig = { ...getIndexConfig(), ...(indexType ? { type: indexType } : {}) };
+  
+  // Notes the access policy hides stay out of the indexes
+  const { policy: accessPolicy } = loadAccessConfig();
+  if (accessPolicy.length > 0) {
+    console.log(`Leaving out notes hidden by the access policy: ${describePolicy(accessPolicy)}`);
+  }
+  
   // Initialize the embedding model
   const modelInitialized = await initEmbedder();
   if (!modelInitialized) {
@@ -27,70 +30,54 @@ async function createVectorIndex() {
     process.exit(1);
   }
   
+  for (const { name, dbPath, indexPath: libraryIndexPath } of selected) {
+    if (libraries.length > 1) {
+      console.log(`\nIndexing library "${name}"`);
+    }
+    await indexLibrary(dbPath, libraryIndexPath, { full, indexConfig, accessPolicy, attachments });
+  }
+}
+
+// Bring one database's vector and full-text indexes up to date
+async function indexLibrary(dbPath, indexPath, { full, indexConfig, accessPolicy, attachments }) {
   // Connect to the database
-  const dbPath = getDbPath();
-  const db = createDb(dbPath);
+  const db = createDb(dbPath, { indexPath, accessPolicy });
   
   try {
-    // Get all non-trashed notes
-    const notes = await db.allAsync(`
-      SELECT 
-        ZUNIQUEIDENTIFIER as id,
-        ZTITLE as title,
-        ZTEXT as content
-      FROM ZSFNOTE
-      WHERE ZTRASHED = 0
-    `);
-    
-    console.log(`Found ${notes.length} notes to index`);
-    
-    // Create vectors for all notes
-    const noteIds = [];
-    const dimension = 384; // Dimension of the all-MiniLM-L6-v2 model
+    // Fail early with a diagnostic if this isn't a Bear database we understand
+    await resolveSchema(db);
     
-    // Create FAISS index
-    const index = new IndexFlatL2(dimension);
-    
-    // Process notes in batches to avoid memory issues
-    for (let i = 0; i < notes.length; i++) {
-      const note = notes[i];
-      
-      // Create a combined text for embedding
-      const textToEmbed = `${note.title}\n${note.content || ''}`.trim();
-      
-      if (textToEmbed) {
-        try {
-          // Create embedding for the note
-          const embedding = await createEmbedding(textToEmbed);
-          
-          // Add to index
-          index.add(embedding);
-          
-          // Store note ID
-          noteIds.push(note.id);
-          
-          if ((i + 1) % 50 === 0 || i === notes.length - 1) {
-            console.log(`Indexed ${i + 1} of ${notes.length} notes`);
-          }
-        } catch (error) {
-          console.error(`Error embedding note ${note.id}:`, error.message);
-        }
-      }
+    // Start from the previous index unless a full rebuild was requested, or the type or
+    // whether attachments are included changed
+    const previous = full ? null : await loadIndexFiles(indexPath, { log: console.log, indexType: indexConfig, attachments });
+    if (previous) {
+      console.log(`Updating existing index with ${previous.entries.filter(Boolean).length} chunk vectors`);
+    } else {
+      console.log('Building a new index from scratch');
     }
     
-    console.log(`Successfully created embeddings for ${noteIds.length} notes`);
-    
-    // Create mapping from index positions to note IDs
-    const noteIdMap = {};
-    for (let i = 0; i < noteIds.length; i++) {
-      noteIdMap[i] = noteIds[i];
+    // Embed only new and changed notes, and drop trashed, deleted or hidden ones
+    const result = await updateIndex(db, previous, { log: console.log, indexConfig, attachments: Boolean(attachments) });
+    if (result.manifest.attachments) {
+      console.log('Attachment text is included in the index');
     }
+    const { added, updated, removed, skipped } = result.stats;
+    console.log(`Added ${added}, updated ${updated}, removed ${removed}, skipped ${skipped} notes`);
+    
+    // Save the index, mapping and manifest
+    await saveIndexFiles(indexPath, result, { dbPath });
     
-    // Save the index and mapping
-    index.write(`${INDEX_PATH}.index`);
-    await fs.writeFile(`${INDEX_PATH}.json`, JSON.stringify(noteIdMap));
+    console.log(`Vector index with ${result.entries.length - result.stats.staleChunks} chunks from ${Object.keys(result.manifest.notes).length} notes saved to ${indexPath}`);
     
-    console.log(`Vector index saved to ${INDEX_PATH}`);
+    // Keep the keyword search sidecar in step, rebuilding it if it is missing
+    const ftsPath = getFullTextPath(indexPath);
+    const rebuild = !previous || !(await fullTextIndexExists(ftsPath));
+    const copied = await updateFullTextIndex(db, ftsPath, {
+      noteIds: result.changedIds,
+      removedIds: result.removedIds,
+      rebuild
+    });
+    console.log(`Full-text index ${rebuild ? 'built' : 'updated'} with ${copied} notes at ${ftsPath}`);
   } catch (error) {
     console.error('Error creating vector index:', error);
   } finally {
@@ -99,11 +86,21 @@ async function createVectorIndex() {
   }
 }
 
-// Run the indexing
-createVectorIndex().then(() => {
+// Run the indexing (pass --full to ignore the manifest and re-embed every note, --index-path
+// to put the index somewhere else, --library to index just one library, --index-type to
+// build a flat, ivf or hnsw index, --attachments or --no-attachments to embed the text of
+// attachments or stop doing so)
+const args = process.argv.slice(2);
+Promise.resolve().then(() => createVectorIndex({
+  full: args.includes('--full'),
+  indexPath: optionValue(args, 'index-path'),
+  library: optionValue(args, 'library'),
+  indexType: optionValue(args, 'index-type'),
+  attachments: args.includes('--attachments') || (args.includes('--no-attachments') ? false : getAttachmentIndexing())
+})).then(() => {
   console.log('Indexing complete');
   process.exit(0);
 }).catch(error => {
   console.error('Indexing failed:', error);
   process.exit(1);
-});
\ No newline at end of file
+});
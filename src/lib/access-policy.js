@@ -0,0 +1,189 @@
+// Which notes clients may see. By default every note is visible; an access file,
+// ~/.config/bear-mcp-server/access.json or BEAR_ACCESS_FILE, can hide some of them:
+// {
+//   "deny": { "tags": ["private", "journal"], "titles": ["*password*"], "ids": ["3F9C..."] },
+//   "tokens": {
+//     "laptop": { "token": "a long random string" },
+//     "work-assistant": { "token": "another one", "allow": { "tags": ["work"] } }
+//   }
+// }
+// The top-level rule applies to everyone, and notes it hides are kept out of the vector and
+// full-text indexes as well. Over HTTP, clients then authenticate with one of the bearer
+// tokens, and a token's own allow and deny lists narrow what that client sees further.
+//
+// A rule can allow and deny by tag (which includes nested tags), title pattern (* matches
+// anything, ? one character, case-insensitive) or note ID. With an allow list, only notes
+// matching one of its entries are visible; notes matching the deny list never are.
+//
+// Policies are lists of rules a note has to pass all of. They become SQL conditions on
+// ZSFNOTE, like the search filters, so hidden notes never leave the database.
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createHash, timingSafeEqual } from 'crypto';
+
+import { tagCondition } from './filters.js';
+
+// Default access file
+const DEFAULT_ACCESS_FILE = path.join(os.homedir(), '.config', 'bear-mcp-server', 'access.json');
+
+// What a rule can match notes by
+const MATCHERS = ['tags', 'titles', 'ids'];
+
+// Tokens shorter than this are too easy to guess
+const MIN_TOKEN_LENGTH = 16;
+
+// Get the access file from environment variable or use default
+export const getAccessFile = () => process.env.BEAR_ACCESS_FILE || DEFAULT_ACCESS_FILE;
+
+// Check the allow or deny list of a rule and return it with every matcher present
+const parseMatchList = (list, where) => {
+  if (list === undefined) {
+    return null;
+  }
+  if (!list || typeof list !== 'object' || Array.isArray(list)) {
+    throw new Error(`${where} should be an object with "tags", "titles" and/or "ids" lists`);
+  }
+  const unknown = Object.keys(list).filter(key => !MATCHERS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`${where} has unknown keys: ${unknown.join(', ')} (expected: ${MATCHERS.join(', ')})`);
+  }
+  return Object.fromEntries(MATCHERS.map(key => {
+    const values = list[key] || [];
+    if (!Array.isArray(values) || values.some(value => typeof value !== 'string' || value === '')) {
+      throw new Error(`${where}.${key} should be a list of strings`);
+    }
+    return [key, values];
+  }));
+};
+
+// Check a rule (an object with optional allow and deny lists). Returns null for an empty rule.
+const parseRule = (rule, where) => {
+  const allow = parseMatchList(rule.allow, `${where} "allow"`);
+  const deny = parseMatchList(rule.deny, `${where} "deny"`);
+  return allow || deny ? { allow, deny } : null;
+};
+
+// Hash a token, so comparisons take the same time whatever the lengths
+const hashToken = (token) => createHash('sha256').update(token).digest();
+
+// Read and check the access file. Returns { policy, tokens }: the rules that apply to
+// everyone, and the bearer tokens with the policy each one gets on top. Without a file
+// (or with BEAR_MCP_TOKEN alone), every note is visible.
+export const loadAccessConfig = () => {
+  const file = getAccessFile();
+  let config = {};
+
+  let text = null;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT' || process.env.BEAR_ACCESS_FILE) {
+      throw new Error(`Could not read the access file ${file}: ${error.message}`);
+    }
+  }
+  if (text !== null) {
+    try {
+      config = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`The access file ${file} is not valid JSON: ${error.message}`);
+    }
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error(`The access file ${file} should hold an object with "allow", "deny" and "tokens"`);
+    }
+  }
+
+  const baseRule = parseRule(config, `The access file ${file}`);
+  const tokens = Object.entries(config.tokens || {}).map(([name, entry]) => {
+    if (!entry || typeof entry.token !== 'string' || entry.token.length < MIN_TOKEN_LENGTH) {
+      throw new Error(`Token "${name}" in ${file} needs a "token" of at least ${MIN_TOKEN_LENGTH} characters`);
+    }
+    const rule = parseRule(entry, `Token "${name}" in ${file}`);
+    return { name, hash: hashToken(entry.token), policy: rule ? [rule] : [] };
+  });
+
+  // A single token for everything, handy for containers
+  if (process.env.BEAR_MCP_TOKEN) {
+    if (process.env.BEAR_MCP_TOKEN.length < MIN_TOKEN_LENGTH) {
+      throw new Error(`BEAR_MCP_TOKEN needs at least ${MIN_TOKEN_LENGTH} characters`);
+    }
+    tokens.push({ name: 'BEAR_MCP_TOKEN', hash: hashToken(process.env.BEAR_MCP_TOKEN), policy: [] });
+  }
+
+  const hashes = new Set(tokens.map(token => token.hash.toString('hex')));
+  if (hashes.size < tokens.length) {
+    throw new Error(`Tokens in ${file} must all be different`);
+  }
+
+  return { file, policy: baseRule ? [baseRule] : [], tokens };
+};
+
+// Find the token an Authorization header carries, or null if it has none we know
+export const authenticateToken = (tokens, authorization) => {
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(authorization || '');
+  if (!match) {
+    return null;
+  }
+  const hash = hashToken(match[1]);
+  return tokens.find(token => timingSafeEqual(token.hash, hash)) || null;
+};
+
+// Summary of a policy for the logs, e.g. "deny tags private, journal"
+export const describePolicy = (policy) => {
+  const describe = (verb, list) => list && MATCHERS
+    .filter(key => list[key].length > 0)
+    .map(key => `${verb} ${key} ${list[key].join(', ')}`);
+  const parts = (policy || []).flatMap(rule => [...(describe('allow', rule.allow) || []), ...(describe('deny', rule.deny) || [])]);
+  return parts.length > 0 ? parts.join('; ') : 'all notes visible';
+};
+
+// Escape LIKE wildcards, then turn the * and ? of a title pattern into LIKE's % and _
+const titlePatternToLike = (pattern) => pattern
+  .replace(/[\\%_]/g, '\\$&')
+  .replace(/\*/g, '%')
+  .replace(/\?/g, '_');
+
+// Condition matching notes that match any entry of an allow or deny list, or null if it's empty
+const matchListCondition = (list, schema) => {
+  const conditions = [];
+  const params = [];
+
+  for (const tag of list.tags) {
+    const condition = tagCondition(tag, schema);
+    conditions.push(condition.sql);
+    params.push(...condition.params);
+  }
+  for (const pattern of list.titles) {
+    conditions.push('IFNULL(ZSFNOTE.ZTITLE, \'\') LIKE ? ESCAPE \'\\\'');
+    params.push(titlePatternToLike(pattern));
+  }
+  if (list.ids.length > 0) {
+    conditions.push(`ZSFNOTE.ZUNIQUEIDENTIFIER IN (${list.ids.map(() => '?').join(',')})`);
+    params.push(...list.ids);
+  }
+
+  return conditions.length > 0 ? { sql: `(${conditions.join(' OR ')})`, params } : null;
+};
+
+// Build SQL conditions on the ZSFNOTE table for a policy, in the same { sql, params } shape
+// as buildFilterConditions: sql is empty when every note is visible, or starts with ' AND '.
+export const buildPolicyConditions = (policy, schema) => {
+  const conditions = [];
+  const params = [];
+
+  for (const rule of policy || []) {
+    const allow = rule.allow && matchListCondition(rule.allow, schema);
+    const deny = rule.deny && matchListCondition(rule.deny, schema);
+    if (allow) {
+      conditions.push(allow.sql);
+      params.push(...allow.params);
+    }
+    if (deny) {
+      conditions.push(`NOT ${deny.sql}`);
+      params.push(...deny.params);
+    }
+  }
+
+  return { sql: conditions.map(condition => ` AND ${condition}`).join(''), params };
+};
@@ -0,0 +1,283 @@
+// Files and images attached to notes. Bear keeps one row per attachment in its files table
+// (ZSFNOTEFILE, or ZSFNOTEIMAGE in older databases) and the files themselves in the Local
+// Files folder next to the database, as Note Files/<file ID>/<filename> or Note Images/<file
+// ID>/<filename>. Bear 2 also stores the text it finds in a file (the text of a PDF, or what
+// OCR read in an image) as ZSEARCHTEXT.
+//
+// The text of an attachment is Bear's search text or, failing that, for PDFs on disk, the
+// text pdfjs-dist extracts. pdfjs-dist is an optional dependency: without it, PDFs only have
+// Bear's search text. PDFs are only read for get_attachment and for indexing, never while
+// searching.
+
+import fs from 'fs';
+import path from 'path';
+
+import { batches } from './notes.js';
+import { resolveSchema } from './schema.js';
+
+// Folders of the Local Files folder attachments are kept in
+const LOCAL_FILE_FOLDERS = ['Note Files', 'Note Images'];
+
+// PDFs bigger than this are not read
+const MAX_PDF_BYTES = 50 * 1024 * 1024;
+
+// Extracted PDF texts kept per database, so get_attachment doesn't extract the same PDF again
+const PDF_TEXT_CACHE_SIZE = 20;
+
+// Content types of the attachments Bear commonly holds, by file extension
+const CONTENT_TYPES = {
+  pdf: 'application/pdf',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  heic: 'image/heic',
+  webp: 'image/webp',
+  tif: 'image/tiff',
+  tiff: 'image/tiff',
+  bmp: 'image/bmp',
+  svg: 'image/svg+xml',
+  txt: 'text/plain',
+  md: 'text/markdown',
+  csv: 'text/csv',
+  html: 'text/html',
+  json: 'application/json',
+  zip: 'application/zip',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xls: 'application/vnd.ms-excel',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  ppt: 'application/vnd.ms-powerpoint',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  mp3: 'audio/mpeg',
+  m4a: 'audio/mp4',
+  mp4: 'video/mp4',
+  mov: 'video/quicktime'
+};
+
+// Whether create-index.js and the index watcher embed attachment text: true or false from
+// BEAR_INDEX_ATTACHMENTS, or null to keep what the existing index was built with
+export const getAttachmentIndexing = () => {
+  const value = process.env.BEAR_INDEX_ATTACHMENTS;
+  if (value === undefined || value === '') {
+    return null;
+  }
+  return value === 'true' || value === '1';
+};
+
+// The Local Files folder of a database
+export const getLocalFilesPath = (db) => path.join(path.dirname(db.dbPath), 'Local Files');
+
+// Column holding an attachment's ID; very old files tables only have the row number
+const fileIdColumn = ({ files }) => files.columns.includes('ZUNIQUEIDENTIFIER') ? 'F.ZUNIQUEIDENTIFIER' : 'CAST(F.Z_PK AS TEXT)';
+
+// Select attachment rows joined to their notes, on conditions about the unaliased ZSFNOTE
+// and the files table F. Columns Bear only has in some versions come back as null without
+// it. With text, the search text is selected; otherwise only whether there is any.
+const selectFiles = async (db, where, params, { text = false } = {}) => {
+  const schema = await resolveSchema(db);
+  if (!schema.files) {
+    return [];
+  }
+  const { table, columns } = schema.files;
+  const column = (name, alias, fallback = 'NULL') => `${columns.includes(name) ? `F.${name}` : fallback} as ${alias}`;
+  const searchText = columns.includes('ZSEARCHTEXT') ? 'F.ZSEARCHTEXT' : 'NULL';
+
+  // Leave out files removed from their note but not yet purged
+  const present = ['ZPERMANENTLYDELETED', 'ZUNUSED']
+    .filter(name => columns.includes(name))
+    .map(name => ` AND IFNULL(F.${name}, 0) = 0`)
+    .join('');
+
+  return db.allAsync(`
+    SELECT
+      ${fileIdColumn(schema)} as id,
+      ZSFNOTE.ZUNIQUEIDENTIFIER as note_id,
+      ZSFNOTE.ZTITLE as note_title,
+      ${column('ZFILENAME', 'filename')},
+      ${column('ZNORMALIZEDFILEEXTENSION', 'extension')},
+      ${column('ZFILESIZE', 'size')},
+      ${column('ZENCRYPTED', 'encrypted', '0')},
+      ${text ? `${searchText} as search_text` : `LENGTH(${searchText}) > 0 as has_search_text`}
+    FROM ${table} F
+    JOIN ZSFNOTE ON ZSFNOTE.Z_PK = F.ZNOTE
+    WHERE ${schema.adapter.activeNotes}${present}${where}
+    ORDER BY F.Z_PK
+  `, params);
+};
+
+// Lower-case extension of an attachment, from Bear or its filename
+const extensionOf = (row) => (row.extension || path.extname(row.filename || '').slice(1)).toLowerCase();
+
+// Content type of an attachment
+const contentType = (row) => CONTENT_TYPES[extensionOf(row)] || 'application/octet-stream';
+
+// Where an attachment is on disk, or null if it isn't (not downloaded, or a synced copy of
+// the database without its files)
+const localPath = (db, row) => {
+  if (!row.filename) {
+    return null;
+  }
+  const localFiles = getLocalFilesPath(db);
+  return LOCAL_FILE_FOLDERS
+    .map(folder => path.join(localFiles, folder, row.id, row.filename))
+    .find(candidate => fs.existsSync(candidate)) || null;
+};
+
+// An attachment as note listings return it. Whether the file is on disk isn't checked,
+// which would take a file system call per attachment, so PDFs count as having text.
+const toAttachment = (row) => ({
+  id: row.id,
+  filename: row.filename,
+  type: contentType(row),
+  size: row.size,
+  hasText: Boolean(row.search_text || row.has_search_text) || contentType(row) === 'application/pdf'
+});
+
+// Load the attachments of many notes at once. Returns a Map of note ID -> attachments.
+export const loadNoteAttachments = async (db, ids) => {
+  const attachmentsById = new Map(ids.map(id => [id, []]));
+  for (const batch of batches(ids)) {
+    const rows = await selectFiles(db, ` AND ZSFNOTE.ZUNIQUEIDENTIFIER IN (${batch.map(() => '?').join(',')})`, batch);
+    rows.forEach(row => attachmentsById.get(row.note_id).push(toAttachment(row)));
+  }
+  return attachmentsById;
+};
+
+// Extract the text of a PDF with pdfjs-dist, page by page
+export const extractPdfText = async (file) => {
+  let pdfjs;
+  try {
+    // Imported here so everything else works without the optional dependency
+    pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  } catch (error) {
+    throw new Error('Reading PDFs needs the optional pdfjs-dist package; install it with "npm install pdfjs-dist"');
+  }
+
+  const { size } = await fs.promises.stat(file);
+  if (size > MAX_PDF_BYTES) {
+    throw new Error(`${path.basename(file)} is too big to read (${Math.round(size / 1024 / 1024)} MB)`);
+  }
+
+  const data = new Uint8Array(await fs.promises.readFile(file));
+  const document = await pdfjs.getDocument({ data, isEvalSupported: false, disableFontFace: true, verbosity: 0 }).promise;
+  try {
+    const pages = [];
+    for (let number = 1; number <= document.numPages; number++) {
+      const page = await document.getPage(number);
+      const { items } = await page.getTextContent();
+      pages.push(items.map(item => `${item.str || ''}${item.hasEOL ? '\n' : ''}`).join('').trim());
+      page.cleanup();
+    }
+    return pages.filter(Boolean).join('\n\n');
+  } finally {
+    await document.destroy();
+  }
+};
+
+// Text of a PDF, from the database's cache if the file hasn't changed since
+const cachedPdfText = async (db, file) => {
+  if (!db.pdfTextCache) {
+    db.pdfTextCache = new Map();
+  }
+  const { mtimeMs } = await fs.promises.stat(file);
+  const cached = db.pdfTextCache.get(file);
+  if (cached && cached.mtimeMs === mtimeMs) {
+    return cached.text;
+  }
+
+  const text = await extractPdfText(file);
+  db.pdfTextCache.delete(file);
+  db.pdfTextCache.set(file, { mtimeMs, text });
+  if (db.pdfTextCache.size > PDF_TEXT_CACHE_SIZE) {
+    db.pdfTextCache.delete(db.pdfTextCache.keys().next().value);
+  }
+  return text;
+};
+
+// The text of an attachment row selected with text: Bear's search text, or the text of the
+// PDF on disk (unless readPdf is false). Returns { text, source } with source 'bear' or
+// 'pdf', or a null text if there is none; a PDF that can't be read is reported in error.
+const attachmentText = async (db, row, { readPdf = true } = {}) => {
+  if (row.encrypted) {
+    return { text: null, source: null, error: 'the attachment is encrypted' };
+  }
+  if (row.search_text && row.search_text.trim()) {
+    return { text: row.search_text, source: 'bear' };
+  }
+  const file = readPdf && contentType(row) === 'application/pdf' ? localPath(db, row) : null;
+  if (!file) {
+    return { text: null, source: null };
+  }
+  try {
+    const text = await cachedPdfText(db, file);
+    return text ? { text, source: 'pdf' } : { text: null, source: null };
+  } catch (error) {
+    return { text: null, source: null, error: error.message };
+  }
+};
+
+// An attachment with its note and its text, for the get_attachment tool, or null if there is
+// none with the ID whose note passes conditions ({ sql, params } on ZSFNOTE, e.g. the
+// access policy)
+export const findAttachment = async (db, id, conditions = { sql: '', params: [] }) => {
+  const schema = await resolveSchema(db);
+  if (!schema.files) {
+    return null;
+  }
+  const [row] = await selectFiles(db, ` AND ${fileIdColumn(schema)} = ?${conditions.sql}`, [id, ...conditions.params], { text: true });
+  if (!row) {
+    return null;
+  }
+
+  const file = localPath(db, row);
+  const { text, source, error } = await attachmentText(db, row);
+  return {
+    attachment: {
+      ...toAttachment(row),
+      path: file,
+      hasText: Boolean(text),
+      note: { id: row.note_id, title: row.note_title }
+    },
+    text,
+    textSource: source,
+    ...(error ? { textError: error } : {})
+  };
+};
+
+// Bear's text of attachments by file ID, for passages of search hits on attachment chunks in
+// indexes that don't store them. PDFs aren't read, as that would hold up the search.
+// Returns a Map of file ID -> { filename, text }, leaving out attachments without text.
+export const loadAttachmentTexts = async (db, ids) => {
+  const texts = new Map();
+  const schema = await resolveSchema(db);
+  if (!schema.files) {
+    return texts;
+  }
+  for (const batch of batches(ids)) {
+    const rows = await selectFiles(db, ` AND ${fileIdColumn(schema)} IN (${batch.map(() => '?').join(',')})`, batch, { text: true });
+    for (const row of rows) {
+      const { text } = await attachmentText(db, row, { readPdf: false });
+      if (text) {
+        texts.set(row.id, { filename: row.filename, text });
+      }
+    }
+  }
+  return texts;
+};
+
+// The attachments with text of many notes, for indexing. Returns a Map of note ID ->
+// [{ id, filename, text }].
+export const loadNoteAttachmentTexts = async (db, ids) => {
+  const textsById = new Map(ids.map(id => [id, []]));
+  for (const batch of batches(ids)) {
+    const rows = await selectFiles(db, ` AND ZSFNOTE.ZUNIQUEIDENTIFIER IN (${batch.map(() => '?').join(',')})`, batch, { text: true });
+    for (const row of rows) {
+      const { text } = await attachmentText(db, row);
+      if (text) {
+        textsById.get(row.note_id).push({ id: row.id, filename: row.filename, text });
+      }
+    }
+  }
+  return textsById;
+};
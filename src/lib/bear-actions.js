@@ -0,0 +1,120 @@
+// Write actions through Bear's x-callback-url API (https://bear.app/faq/x-callback-url-scheme-documentation/).
+// Bear applies the change itself, so the server never writes to the SQLite database.
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+// Check whether write tools are enabled (BEAR_ENABLE_WRITES=true)
+export const writesEnabled = () => ['1', 'true', 'yes'].includes(String(process.env.BEAR_ENABLE_WRITES || '').toLowerCase());
+
+// Build a bear://x-callback-url URL; undefined parameters are left out.
+// Bear expects %20 for spaces, which encodeURIComponent gives us (URLSearchParams would use +).
+export const buildBearUrl = (action, params = {}) => {
+  const query = Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(String(value))}`)
+    .join('&');
+  return `bear://x-callback-url/${action}${query ? `?${query}` : ''}`;
+};
+
+// Open URLs in the background with macOS's `open`, or with the command in BEAR_URL_LAUNCHER
+const defaultLauncher = async (url) => {
+  const [command, ...args] = process.env.BEAR_URL_LAUNCHER
+    ? process.env.BEAR_URL_LAUNCHER.split(' ').filter(Boolean)
+    : ['open', '-g'];
+  await execFileAsync(command, [...args, url]);
+};
+
+let urlLauncher = defaultLauncher;
+
+// Replace the function that opens bear:// URLs (pass nothing to restore the default)
+export const setUrlLauncher = (launcher) => {
+  urlLauncher = launcher || defaultLauncher;
+};
+
+// Launcher that records URLs instead of opening them, for tests and dry runs on machines without Bear
+export const createRecordingLauncher = () => {
+  const urls = [];
+  const launcher = async (url) => {
+    urls.push(url);
+  };
+  launcher.urls = urls;
+  return launcher;
+};
+
+// Turn a list of tags into Bear's comma separated form, without leading #
+const joinTags = (tags) => (tags || [])
+  .map(tag => tag.replace(/^#/, '').trim())
+  .filter(Boolean)
+  .join(',') || undefined;
+
+// Open an action URL without bringing Bear to the front
+const runAction = async (action, params) => {
+  if (!writesEnabled()) {
+    throw new Error('Write tools are disabled. Set BEAR_ENABLE_WRITES=true to enable them.');
+  }
+
+  const url = buildBearUrl(action, { ...params, show_window: 'no' });
+  await urlLauncher(url);
+  return { action, url };
+};
+
+// Create a new note
+export const createNote = async ({ title, text, tags, pin = false }) => {
+  if (!title && !text) {
+    throw new Error('A title or text is required to create a note');
+  }
+  return runAction('create', {
+    title,
+    text,
+    tags: joinTags(tags),
+    pin: pin ? 'yes' : undefined,
+    open_note: 'no'
+  });
+};
+
+// Add text to the end (or start) of a note, optionally under one of its headings
+export const appendToNote = async ({ id, text, header, prepend = false }) => {
+  if (!id) {
+    throw new Error('Note ID is required');
+  }
+  if (!text) {
+    throw new Error('Text to append is required');
+  }
+  return runAction('add-text', {
+    id,
+    text,
+    header,
+    mode: prepend ? 'prepend' : 'append',
+    new_line: 'yes',
+    open_note: 'no'
+  });
+};
+
+// Add tags to a note (Bear appends them to the note text)
+export const addTags = async ({ id, tags }) => {
+  if (!id) {
+    throw new Error('Note ID is required');
+  }
+  const tagList = joinTags(tags);
+  if (!tagList) {
+    throw new Error('At least one tag is required');
+  }
+  return runAction('add-text', {
+    id,
+    text: '',
+    tags: tagList,
+    mode: 'append',
+    open_note: 'no'
+  });
+};
+
+// Move a note to Bear's trash
+export const trashNote = async ({ id }) => {
+  if (!id) {
+    throw new Error('Note ID is required');
+  }
+  return runAction('trash', { id });
+};
@@ -0,0 +1,74 @@
+// Bear 1 and Bear 2 differences: where the database lives, how to tell the generations
+// apart, and the query adapter each one uses. Bear 2 keeps rows for permanently deleted
+// notes (until they are purged) and can encrypt notes, so "not trashed" is not enough to
+// decide whether a note is still there or has readable text.
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Places Bear keeps its database, in the order they are tried. Bear 2 and Bear 1.7+ use the
+// shared group container; older Bear 1 releases kept it in the app's sandbox container.
+export const BEAR_DATABASE_PATHS = [
+  path.join(os.homedir(), 'Library/Group Containers/9K33E3U3T4.net.shinyfrog.bear/Application Data/database.sqlite'),
+  path.join(os.homedir(), 'Library/Containers/net.shinyfrog.bear/Data/Documents/Application Data/database.sqlite')
+];
+
+// Columns and tables that only Bear 2 databases have
+const BEAR_2_NOTE_COLUMNS = ['ZPERMANENTLYDELETED', 'ZENCRYPTED'];
+const BEAR_2_TABLES = ['ZSFNOTEBACKLINK'];
+
+// Get the first database path that exists, or the group container path if none does
+export const findDatabasePath = () =>
+  BEAR_DATABASE_PATHS.find(candidate => fs.existsSync(candidate)) || BEAR_DATABASE_PATHS[0];
+
+// Work out which Bear generation a database belongs to from its tables and note columns
+export const detectGeneration = (tables, noteColumns) =>
+  BEAR_2_NOTE_COLUMNS.some(column => noteColumns.includes(column)) ||
+  BEAR_2_TABLES.some(table => tables.includes(table)) ? 2 : 1;
+
+// Bear 1 only hides trashed notes. Conditions are on ZSFNOTE, its columns prefixed with
+// column (e.g. "ZSFNOTE.") when the query joins other tables.
+const bear1Conditions = (noteColumns, column = '') => ({
+  // Notes that exist in the library (searchable, listable, retrievable)
+  activeNotes: [`${column}ZTRASHED = 0`],
+  // Active notes whose text can be read, and so embedded and indexed
+  indexableNotes: [`${column}ZTRASHED = 0`]
+});
+
+// Bear 2 also hides permanently deleted notes and leaves encrypted notes out of the index.
+// Columns are checked individually as not every Bear 2 release has both.
+const bear2Conditions = (noteColumns, column = '') => {
+  const { activeNotes } = bear1Conditions(noteColumns, column);
+  if (noteColumns.includes('ZPERMANENTLYDELETED')) {
+    activeNotes.push(`IFNULL(${column}ZPERMANENTLYDELETED, 0) = 0`);
+  }
+  const indexableNotes = [...activeNotes];
+  if (noteColumns.includes('ZENCRYPTED')) {
+    indexableNotes.push(`IFNULL(${column}ZENCRYPTED, 0) = 0`);
+  }
+  return { activeNotes, indexableNotes };
+};
+
+// Build the query adapter for a generation. activeNotes and indexableNotes are conditions on
+// an unaliased ZSFNOTE, ready to drop into a WHERE clause; tagsQuery lists the tags in use,
+// optionally only on notes passing more conditions (starting with ' AND ').
+export const createQueryAdapter = (generation, noteColumns, noteTags) => {
+  const conditions = generation === 2 ? bear2Conditions : bear1Conditions;
+  const { activeNotes, indexableNotes } = conditions(noteColumns);
+
+  return {
+    generation,
+    activeNotes: activeNotes.join(' AND '),
+    indexableNotes: indexableNotes.join(' AND '),
+    // Tags of at least one active note, so tags left behind by trashed or deleted notes are hidden
+    tagsQuery: (extraConditions = '') => `
+      SELECT DISTINCT ZSFNOTETAG.ZTITLE as name
+      FROM ZSFNOTETAG
+      JOIN ${noteTags.table} NT ON NT.${noteTags.tagColumn} = ZSFNOTETAG.Z_PK
+      JOIN ZSFNOTE ON ZSFNOTE.Z_PK = NT.${noteTags.noteColumn}
+      WHERE ${conditions(noteColumns, 'ZSFNOTE.').activeNotes.join(' AND ')}${extraConditions}
+      ORDER BY ZSFNOTETAG.ZTITLE
+    `
+  };
+};
@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+// Benchmark loading search results: one tag query per note (how searches used to work)
+// against hydrateNotes(), which loads the tags of the whole result set in one query.
+//
+//   node src/lib/benchmark-hydration.js [--notes 5000] [--results 50] [--runs 20] [--db path]
+//
+// Without --db a fixture database with the given number of generated notes is created in
+// the temp directory (see create-fixture-database.js) and removed afterwards.
+
+import sqlite3 from 'sqlite3';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+
+import { resolveSchema } from './schema.js';
+import { appleTimeToISO, hydrateNotes, noteColumns } from './notes.js';
+
+const execFileAsync = promisify(execFile);
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Parse --name value options into numbers (or a string for --db)
+const parseArguments = (args) => {
+  const options = { notes: 5000, results: 50, runs: 20, db: null };
+  for (let i = 0; i < args.length; i += 2) {
+    const name = args[i].replace(/^--/, '');
+    if (!(name in options)) {
+      throw new Error('Usage: benchmark-hydration.js [--notes <n>] [--results <n>] [--runs <n>] [--db <path>]');
+    }
+    options[name] = name === 'db' ? args[i + 1] : Number(args[i + 1]);
+  }
+  return options;
+};
+
+// Open a database read-only with the promisified methods the server uses
+const openDb = (dbPath) => new Promise((resolve, reject) => {
+  const db = new sqlite3.Database(dbPath, sqlite3.OPEN_READONLY, (err) => {
+    if (err) {
+      reject(err);
+      return;
+    }
+    db.allAsync = promisify(db.all).bind(db);
+    db.getAsync = promisify(db.get).bind(db);
+    resolve(db);
+  });
+});
+
+// Load a result set the old way: one tag query per note, dates converted one by one
+const loadPerNote = async (db, schema, ids) => {
+  const notes = await db.allAsync(`
+    SELECT ${noteColumns()}
+    FROM ZSFNOTE
+    WHERE ZUNIQUEIDENTIFIER IN (${ids.map(() => '?').join(',')})
+  `, ids);
+  for (const note of notes) {
+    const tags = await db.allAsync(`
+      SELECT ZT.ZTITLE as tag_name
+      FROM ${schema.noteTags.table} ZNT
+      JOIN ZSFNOTETAG ZT ON ZT.Z_PK = ZNT.${schema.noteTags.tagColumn}
+      JOIN ZSFNOTE ZN ON ZN.Z_PK = ZNT.${schema.noteTags.noteColumn}
+      WHERE ZN.ZUNIQUEIDENTIFIER = ?
+    `, [note.id]);
+    note.tags = tags.map(tag => tag.tag_name);
+    note.creation_date = appleTimeToISO(note.creation_date);
+    note.modification_date = appleTimeToISO(note.modification_date);
+  }
+  return notes;
+};
+
+// Load a result set with hydrateNotes()
+const loadHydrated = async (db, schema, ids) => {
+  const notes = await db.allAsync(`
+    SELECT ${noteColumns()}
+    FROM ZSFNOTE
+    WHERE ZUNIQUEIDENTIFIER IN (${ids.map(() => '?').join(',')})
+  `, ids);
+  return hydrateNotes(db, notes);
+};
+
+// Run a loader over every result set and return the mean time per set in milliseconds
+const timeLoader = async (loader, db, schema, resultSets) => {
+  const started = process.hrtime.bigint();
+  for (const ids of resultSets) {
+    await loader(db, schema, ids);
+  }
+  return Number(process.hrtime.bigint() - started) / 1e6 / resultSets.length;
+};
+
+// Sorted tags per note, to check both loaders agree
+const tagsOf = (notes) => JSON.stringify(notes
+  .map(note => [note.id, [...note.tags].sort()])
+  .sort(([a], [b]) => a.localeCompare(b)));
+
+async function runBenchmark(options) {
+  let dbPath = options.db;
+  let tempDir = null;
+
+  if (!dbPath) {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bear-benchmark-'));
+    dbPath = path.join(tempDir, 'database.sqlite');
+    console.log(`Creating a fixture database with ${options.notes} generated notes...`);
+    await execFileAsync(process.execPath, [path.join(__dirname, 'create-fixture-database.js'), '--notes', String(options.notes), dbPath]);
+  }
+
+  const db = await openDb(dbPath);
+  try {
+    const schema = await resolveSchema(db);
+    const ids = (await db.allAsync('SELECT ZUNIQUEIDENTIFIER as id FROM ZSFNOTE')).map(row => row.id);
+
+    // The same pseudo-random result sets for both loaders
+    let seed = 1;
+    const resultSets = Array.from({ length: options.runs }, () => Array.from({ length: Math.min(options.results, ids.length) }, () => {
+      seed = (seed * 1103515245 + 12345) % 2147483648;
+      return ids[Math.floor(seed / 65536) % ids.length];
+    }));
+
+    if (tagsOf(await loadPerNote(db, schema, resultSets[0])) !== tagsOf(await loadHydrated(db, schema, resultSets[0]))) {
+      throw new Error('The two loaders returned different tags');
+    }
+
+    const perNote = await timeLoader(loadPerNote, db, schema, resultSets);
+    const hydrated = await timeLoader(loadHydrated, db, schema, resultSets);
+
+    console.log(`\n${ids.length} notes, ${options.runs} result sets of ${options.results} notes`);
+    console.log(`One tag query per note: ${perNote.toFixed(2)} ms per result set (${options.results + 1} queries)`);
+    console.log(`hydrateNotes():         ${hydrated.toFixed(2)} ms per result set (2 queries)`);
+    console.log(`Speedup: ${(perNote / hydrated).toFixed(1)}x`);
+  } finally {
+    db.close();
+    if (tempDir) {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+  }
+}
+
+// Run the benchmark
+Promise.resolve().then(() => runBenchmark(parseArguments(process.argv.slice(2)))).catch(error => {
+  console.error('Benchmark failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+
+// Benchmark the vector index types on a synthetic corpus: build time, size, search latency
+// and recall against exact (flat) search, to help pick BEAR_INDEX_TYPE and its settings.
+//
+//   node src/lib/benchmark-index.js [--vectors 20000] [--queries 200] [--dimension 384] [--k 10]
+//
+// The corpus is clustered unit vectors, loosely like embeddings of notes on a few hundred
+// topics; queries are perturbed copies of corpus vectors. Recall@k is the share of the exact
+// k nearest neighbours each index finds.
+
+import { applySearchParameters, createIndex } from './vector-index.js';
+
+// Search settings tried for each approximate index type
+const NPROBE_VALUES = [1, 4, 16, 64];
+const EF_SEARCH_VALUES = [16, 64, 256];
+
+// Vectors added to an index per call, to keep the flattened arrays small
+const ADD_BATCH_SIZE = 1000;
+
+// Parse --name value options into numbers
+const parseArguments = (args) => {
+  const options = { vectors: 20000, queries: 200, dimension: 384, k: 10 };
+  for (let i = 0; i < args.length; i += 2) {
+    const name = args[i].replace(/^--/, '');
+    if (!(name in options)) {
+      throw new Error('Usage: benchmark-index.js [--vectors <n>] [--queries <n>] [--dimension <n>] [--k <n>]');
+    }
+    options[name] = Number(args[i + 1]);
+  }
+  return options;
+};
+
+// Seeded pseudo-random numbers in [0, 1), so every run uses the same corpus
+const createRandom = (seed = 1) => () => {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return Math.floor(seed / 65536) / 32768;
+};
+
+// Normally distributed numbers (Box-Muller)
+const createGaussian = (random) => () => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+// Scale a vector to unit length, like the embedding providers do
+const normalize = (vector) => {
+  const length = Math.hypot(...vector) || 1;
+  return vector.map(value => value / length);
+};
+
+// Clustered unit vectors and perturbed copies of some of them to use as queries
+const createCorpus = ({ vectors, queries, dimension }) => {
+  const random = createRandom();
+  const gaussian = createGaussian(random);
+  const clusters = Math.max(1, Math.round(Math.sqrt(vectors)));
+  const centres = Array.from({ length: clusters }, () => Array.from({ length: dimension }, gaussian));
+
+  const corpus = Array.from({ length: vectors }, () => {
+    const centre = centres[Math.floor(random() * clusters)];
+    return normalize(centre.map(value => value + gaussian() * 0.8));
+  });
+  const queryVectors = Array.from({ length: queries }, () => {
+    const source = corpus[Math.floor(random() * vectors)];
+    return normalize(source.map(value => value + gaussian() * 0.05));
+  });
+
+  return { corpus, queryVectors };
+};
+
+// Time a function in milliseconds
+const time = (fn) => {
+  const started = process.hrtime.bigint();
+  const result = fn();
+  return { result, ms: Number(process.hrtime.bigint() - started) / 1e6 };
+};
+
+// Build an index of a type over the corpus
+const buildIndex = (config, corpus, dimension) => time(() => {
+  const { index, factory } = createIndex(config, dimension, corpus);
+  for (let i = 0; i < corpus.length; i += ADD_BATCH_SIZE) {
+    index.add(corpus.slice(i, i + ADD_BATCH_SIZE).flat());
+  }
+  return { index, factory };
+});
+
+// Search every query; returns the labels found per query and the mean latency
+const runQueries = (index, queryVectors, k) => {
+  const { result, ms } = time(() => queryVectors.map(query => index.search(query, k).labels));
+  return { labels: result, latency: ms / queryVectors.length };
+};
+
+// An index with nprobe or efSearch set
+const withSearchParameters = (index, parameters) => {
+  const tuned = applySearchParameters(index, parameters);
+  if (!tuned) {
+    throw new Error(`Could not set ${Object.keys(parameters).join(', ')} (unexpected FAISS file layout)`);
+  }
+  return tuned;
+};
+
+// Share of the exact neighbours found
+const recall = (found, exact) => {
+  let hits = 0;
+  let total = 0;
+  found.forEach((labels, i) => {
+    const expected = new Set(exact[i]);
+    hits += labels.filter(label => expected.has(label)).length;
+    total += expected.size;
+  });
+  return total > 0 ? hits / total : 1;
+};
+
+async function runBenchmark(options) {
+  console.log(`Creating ${options.vectors} vectors with ${options.dimension} dimensions and ${options.queries} queries...`);
+  const { corpus, queryVectors } = createCorpus(options);
+
+  const rows = [];
+  const addRow = (setting, build, index, search, exact) => rows.push({
+    setting,
+    build: build ? `${(build.ms / 1000).toFixed(1)} s` : '',
+    size: index ? `${(index.toBuffer().length / 1024 / 1024).toFixed(1)} MB` : '',
+    latency: `${search.latency.toFixed(2)} ms`,
+    recall: `${(recall(search.labels, exact) * 100).toFixed(1)}%`
+  });
+
+  // Exact search is the reference for recall
+  const flat = buildIndex({ type: 'flat' }, corpus, options.dimension);
+  const exact = runQueries(flat.result.index, queryVectors, options.k);
+  addRow('flat', flat, flat.result.index, exact, exact.labels);
+
+  const ivf = buildIndex({ type: 'ivf' }, corpus, options.dimension);
+  NPROBE_VALUES.forEach((nprobe, i) => {
+    const index = withSearchParameters(ivf.result.index, { nprobe });
+    addRow(`${ivf.result.factory} nprobe=${nprobe}`, i === 0 ? ivf : null, i === 0 ? index : null, runQueries(index, queryVectors, options.k), exact.labels);
+  });
+
+  const hnsw = buildIndex({ type: 'hnsw' }, corpus, options.dimension);
+  EF_SEARCH_VALUES.forEach((efSearch, i) => {
+    const index = withSearchParameters(hnsw.result.index, { efSearch });
+    addRow(`${hnsw.result.factory} efSearch=${efSearch}`, i === 0 ? hnsw : null, i === 0 ? index : null, runQueries(index, queryVectors, options.k), exact.labels);
+  });
+
+  console.log(`\nRecall@${options.k} against exact search, mean latency per query:\n`);
+  const columns = ['setting', 'build', 'size', 'latency', 'recall'];
+  const widths = columns.map(column => Math.max(column.length, ...rows.map(row => row[column].length)));
+  const line = (values) => values.map((value, i) => value.padEnd(widths[i])).join('  ');
+  console.log(line(columns));
+  console.log(line(widths.map(width => '-'.repeat(width))));
+  rows.forEach(row => console.log(line(columns.map(column => row[column]))));
+}
+
+// Run the benchmark
+Promise.resolve().then(() => runBenchmark(parseArguments(process.argv.slice(2)))).catch(error => {
+  console.error('Benchmark failed:', error.message);
+  process.exit(1);
+});
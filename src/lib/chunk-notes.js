@@ -0,0 +1,157 @@
+// Split Bear notes into heading-aware chunks small enough for the embedding model.
+// all-MiniLM-L6-v2 truncates at about 256 tokens, which is roughly 1000 characters of prose.
+
+// Maximum size of a chunk in characters
+export const MAX_CHUNK_CHARS = 1000;
+
+// Characters repeated between consecutive windows of the same section
+export const CHUNK_OVERLAP_CHARS = 200;
+
+// Matches a Bear markdown heading line (# to ######)
+const HEADING_PATTERN = /^#{1,6}\s+\S/;
+
+// Matches the start of a fenced code block, inside which '#' lines are not headings
+const FENCE_PATTERN = /^(```|~~~)/;
+
+// Shrink a span so it does not start or end with whitespace
+const trimSpan = (content, { start, end }) => {
+  while (start < end && /\s/.test(content[start])) start++;
+  while (end > start && /\s/.test(content[end - 1])) end--;
+  return { start, end };
+};
+
+// Split content into sections, each starting at a heading line
+const splitSections = (content) => {
+  const starts = [0];
+  let offset = 0;
+  let inFence = false;
+
+  for (const line of content.split('\n')) {
+    if (FENCE_PATTERN.test(line)) {
+      inFence = !inFence;
+    } else if (!inFence && offset > 0 && HEADING_PATTERN.test(line)) {
+      starts.push(offset);
+    }
+    offset += line.length + 1;
+  }
+
+  return starts.map((start, i) => ({
+    start,
+    end: i + 1 < starts.length ? starts[i + 1] : content.length
+  }));
+};
+
+// Split a span into paragraphs separated by blank lines
+const splitParagraphs = (content, { start, end }) => {
+  const paragraphs = [];
+  const breakPattern = /\n[ \t]*\n/g;
+  breakPattern.lastIndex = start;
+  let paragraphStart = start;
+  let match;
+
+  while ((match = breakPattern.exec(content)) !== null && match.index < end) {
+    paragraphs.push({ start: paragraphStart, end: match.index });
+    paragraphStart = match.index + match[0].length;
+  }
+  paragraphs.push({ start: paragraphStart, end });
+
+  return paragraphs
+    .map(span => trimSpan(content, span))
+    .filter(span => span.end > span.start);
+};
+
+// Cut a paragraph that is longer than a chunk into overlapping fixed-size pieces
+const splitLongSpan = (content, { start, end }, maxChars, overlap) => {
+  if (end - start <= maxChars) {
+    return [{ start, end }];
+  }
+
+  const pieces = [];
+  let pieceStart = start;
+  while (pieceStart < end) {
+    let pieceEnd = Math.min(pieceStart + maxChars, end);
+
+    // Prefer breaking at whitespace over cutting a word in half
+    if (pieceEnd < end) {
+      const lastSpace = content.lastIndexOf(' ', pieceEnd);
+      if (lastSpace > pieceStart + overlap) {
+        pieceEnd = lastSpace;
+      }
+    }
+
+    pieces.push(trimSpan(content, { start: pieceStart, end: pieceEnd }));
+    if (pieceEnd >= end) break;
+    pieceStart = Math.max(pieceEnd - overlap, pieceStart + 1);
+  }
+
+  return pieces.filter(span => span.end > span.start);
+};
+
+// Group consecutive paragraphs into windows of at most maxChars. The next window starts
+// by repeating the last paragraph of the previous one (if it is no more than half a chunk),
+// plus any earlier paragraphs that still fit within the overlap
+const windowParagraphs = (paragraphs, maxChars, overlap) => {
+  const windows = [];
+  let i = 0;
+
+  while (i < paragraphs.length) {
+    const start = paragraphs[i].start;
+    let j = i;
+    while (j + 1 < paragraphs.length && paragraphs[j + 1].end - start <= maxChars) {
+      j++;
+    }
+    windows.push({ start, end: paragraphs[j].end });
+
+    if (j + 1 >= paragraphs.length) break;
+
+    let next = j + 1;
+    if (j > i && paragraphs[j].end - paragraphs[j].start <= maxChars / 2) {
+      next = j;
+      while (next - 1 > i && paragraphs[j].end - paragraphs[next - 1].start <= overlap) {
+        next--;
+      }
+    }
+    i = next;
+  }
+
+  return windows;
+};
+
+// Split a note into chunks. Offsets are character positions in the note content;
+// text is what should be embedded (the note title and section heading give each chunk context).
+export const chunkNote = (title, content, { maxChars = MAX_CHUNK_CHARS, overlap = CHUNK_OVERLAP_CHARS } = {}) => {
+  const noteTitle = (title || '').trim();
+  const text = content || '';
+  const chunks = [];
+
+  for (const section of splitSections(text)) {
+    const firstLine = text.slice(section.start, section.end).split('\n')[0];
+    const heading = HEADING_PATTERN.test(firstLine) ? firstLine.replace(/^#+\s*/, '').trim() : null;
+
+    const paragraphs = splitParagraphs(text, section)
+      .flatMap(span => splitLongSpan(text, span, maxChars, overlap));
+
+    for (const window of windowParagraphs(paragraphs, maxChars, overlap)) {
+      const passage = text.slice(window.start, window.end);
+
+      // Repeat the title and heading unless the passage already starts with them
+      const context = [];
+      if (noteTitle && !passage.startsWith(`# ${noteTitle}`)) context.push(noteTitle);
+      if (heading && heading !== noteTitle && window.start !== section.start) context.push(heading);
+
+      chunks.push({
+        start: window.start,
+        end: window.end,
+        heading,
+        text: [...context, passage].join('\n')
+      });
+    }
+  }
+
+  // Notes with a title but no body still get a single title-only chunk
+  if (chunks.length === 0 && noteTitle) {
+    chunks.push({ start: 0, end: 0, heading: null, text: noteTitle });
+  }
+
+  return chunks;
+};
@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+
+// Create a small database shaped like Bear 1's or Bear 2's, for trying the server and the
+// indexer on a machine without Bear, and for the tests:
+//
+//   node src/lib/create-fixture-database.js --bear 2 /tmp/bear2.sqlite
+//   BEAR_DATABASE_PATH=/tmp/bear2.sqlite npm start
+//
+// Only the tables and columns the server reads are created, with a handful of notes that
+// cover tags, nested tags, todos, pinned, archived and trashed notes, and a PDF attachment
+// saved in a Local Files folder next to the database. The Bear 2 fixture also has a
+// permanently deleted note, an encrypted note, a file with search text and a backlink.
+// Pass --notes <n> to add n generated notes on top, for benchmarks.
+
+import sqlite3 from 'sqlite3';
+import fs from 'fs';
+import path from 'path';
+import { promisify } from 'util';
+
+import { APPLE_EPOCH_OFFSET } from './notes.js';
+
+// Core Data table numbering and extra tables for each generation
+const LAYOUTS = {
+  1: {
+    junction: { table: 'Z_7TAGS', noteColumn: 'Z_7NOTES', tagColumn: 'Z_14TAGS' },
+    noteColumns: [],
+    fileTable: 'ZSFNOTEIMAGE',
+    fileColumns: [],
+    backlinks: false
+  },
+  2: {
+    junction: { table: 'Z_5TAGS', noteColumn: 'Z_5NOTES', tagColumn: 'Z_13TAGS' },
+    noteColumns: ['ZPERMANENTLYDELETED INTEGER', 'ZENCRYPTED INTEGER'],
+    fileTable: 'ZSFNOTEFILE',
+    fileColumns: ['ZSEARCHTEXT VARCHAR'],
+    backlinks: true
+  }
+};
+
+// Notes in every fixture: [id, title, text, tags, { trashed, archived, pinned, daysAgo }]
+const NOTES = [
+  ['FIXTURE-1', 'Project kickoff', '# Project kickoff\nAgreed the scope for project Alpha with the team.\n\n## Todos\n- [ ] send the summary\n- [x] book a room\n\nSee [[Pasta recipes]]', ['work', 'work/meetings'], { pinned: true, daysAgo: 1 }],
+  ['FIXTURE-2', 'Pasta recipes', '# Pasta recipes\nCarbonara with eggs, pecorino and guanciale.\n\n- [ ] buy eggs', ['food'], { daysAgo: 3 }],
+  ['FIXTURE-3', 'Journal', '# Journal\nA quiet week, mostly spent reading about gardens.', ['personal'], { daysAgo: 7 }],
+  ['FIXTURE-4', 'Old plans', '# Old plans\nProject Beta, shelved last year.', ['work'], { archived: true, daysAgo: 200 }],
+  ['FIXTURE-5', 'Thrown away', 'Nothing to see here.', ['scratch'], { trashed: true, daysAgo: 30 }]
+];
+
+// Notes only Bear 2 has
+const BEAR_2_NOTES = [
+  ['FIXTURE-6', 'Deleted for good', 'Permanently deleted but not purged yet.', ['scratch'], { permanentlyDeleted: true, daysAgo: 14 }],
+  ['FIXTURE-7', 'Locked note', '', ['personal'], { encrypted: true, daysAgo: 2 }]
+];
+
+// Words and tags generated notes are made of
+const WORDS = ['project', 'meeting', 'garden', 'recipe', 'budget', 'travel', 'reading', 'design', 'release', 'invoice', 'idea', 'review'];
+const GENERATED_TAGS = ['work', 'work/meetings', 'work/projects', 'home', 'food', 'reading', 'travel', 'ideas'];
+
+// Parse --bear <1|2>, --notes <n> and the output path from the command line
+const parseArguments = (args) => {
+  let generation = 2;
+  let generated = 0;
+  let output = null;
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--bear') {
+      generation = Number(args[++i]);
+    } else if (args[i] === '--notes') {
+      generated = Number(args[++i]);
+    } else {
+      output = args[i];
+    }
+  }
+  if (!LAYOUTS[generation] || !output || !Number.isInteger(generated) || generated < 0) {
+    throw new Error('Usage: create-fixture-database.js [--bear 1|2] [--notes <n>] <output.sqlite>');
+  }
+  return { generation, generated, output };
+};
+
+// A generated note with a few paragraphs and one to three tags; the same n always gives the same note
+const generatedNote = (n) => {
+  // Small linear congruential generator seeded with n
+  let seed = n;
+  const pick = (list) => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return list[Math.floor(seed / 65536) % list.length];
+  };
+  const title = `${pick(WORDS)} ${pick(WORDS)} ${n}`;
+  const paragraphs = [0, 1, 2].map(() => Array.from({ length: 30 }, () => pick(WORDS)).join(' '));
+  const tags = Array.from({ length: 1 + n % 3 }, () => pick(GENERATED_TAGS));
+  return [`GENERATED-${n}`, title, `# ${title}\n${paragraphs.join('\n\n')}${n % 5 === 0 ? '\n\n- [ ] follow up' : ''}`, [...new Set(tags)], { daysAgo: n % 365 }];
+};
+
+// Lines of text on the fixture's PDF attachment
+const PDF_LINES = ['Project Alpha scope', 'Phase one: research and interviews', 'Phase two: prototype by the end of the quarter'];
+
+// A one-page PDF showing some lines of text in Helvetica
+const createPdf = (lines) => {
+  const escape = (line) => line.replace(/[\\()]/g, '\\$&');
+  const stream = `BT /F1 12 Tf 50 750 Td 16 TL ${lines.map(line => `(${escape(line)}) Tj T*`).join(' ')} ET`;
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')}`;
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+};
+
+// Apple timestamp for a number of days ago
+const appleTime = (daysAgo) => Date.now() / 1000 - APPLE_EPOCH_OFFSET - daysAgo * 24 * 60 * 60;
+
+// Count the open and completed checklist items in a note
+const countTodos = (text, mark) => (text.match(new RegExp(`^\\s*- \\[${mark}\\]`, 'gm')) || []).length;
+
+async function createFixture({ generation, generated, output }) {
+  if (fs.existsSync(output)) {
+    throw new Error(`${output} already exists; not overwriting it`);
+  }
+
+  const layout = LAYOUTS[generation];
+  const { junction } = layout;
+  const db = new sqlite3.Database(output);
+  const runAsync = promisify(db.run).bind(db);
+
+  try {
+    await runAsync(`CREATE TABLE ZSFNOTE (
+      Z_PK INTEGER PRIMARY KEY, Z_ENT INTEGER, ZUNIQUEIDENTIFIER VARCHAR, ZTITLE VARCHAR, ZSUBTITLE VARCHAR,
+      ZTEXT VARCHAR, ZCREATIONDATE TIMESTAMP, ZMODIFICATIONDATE TIMESTAMP, ZTRASHED INTEGER, ZARCHIVED INTEGER,
+      ZPINNED INTEGER, ZTODOCOMPLETED INTEGER, ZTODOINCOMPLETED INTEGER, ZHASFILES INTEGER, ZHASIMAGES INTEGER
+      ${layout.noteColumns.map(column => `, ${column}`).join('')}
+    )`);
+    await runAsync('CREATE INDEX ZSFNOTE_ZUNIQUEIDENTIFIER_INDEX ON ZSFNOTE (ZUNIQUEIDENTIFIER)');
+    await runAsync('CREATE TABLE ZSFNOTETAG (Z_PK INTEGER PRIMARY KEY, Z_ENT INTEGER, ZTITLE VARCHAR, ZMODIFICATIONDATE TIMESTAMP)');
+    await runAsync(`CREATE TABLE ${junction.table} (${junction.noteColumn} INTEGER, ${junction.tagColumn} INTEGER, PRIMARY KEY (${junction.noteColumn}, ${junction.tagColumn}))`);
+    await runAsync(`CREATE INDEX ${junction.table}_${junction.tagColumn}_INDEX ON ${junction.table} (${junction.tagColumn}, ${junction.noteColumn})`);
+    await runAsync(`CREATE TABLE ${layout.fileTable} (
+      Z_PK INTEGER PRIMARY KEY, ZNOTE INTEGER, ZUNIQUEIDENTIFIER VARCHAR, ZFILENAME VARCHAR, ZFILESIZE INTEGER
+      ${layout.fileColumns.map(column => `, ${column}`).join('')}
+    )`);
+    if (layout.backlinks) {
+      await runAsync('CREATE TABLE ZSFNOTEBACKLINK (Z_PK INTEGER PRIMARY KEY, ZLINKEDBY INTEGER, ZLINKINGTO INTEGER, ZTITLE VARCHAR)');
+    }
+
+    const notes = [
+      ...NOTES,
+      ...(generation === 2 ? BEAR_2_NOTES : []),
+      ...Array.from({ length: generated }, (_, n) => generatedNote(n + 1))
+    ];
+    const tagIds = new Map();
+
+    await runAsync('BEGIN');
+    for (const [index, [id, title, text, tags, flags]] of notes.entries()) {
+      const pk = index + 1;
+      const extra = generation === 2 ? [flags.permanentlyDeleted ? 1 : 0, flags.encrypted ? 1 : 0] : [];
+      await runAsync(`INSERT INTO ZSFNOTE VALUES (${Array(15 + extra.length).fill('?').join(', ')})`, [
+        pk, 5, id, title, text.split('\n')[1] || '', text,
+        appleTime(flags.daysAgo + 10), appleTime(flags.daysAgo),
+        flags.trashed ? 1 : 0, flags.archived ? 1 : 0, flags.pinned ? 1 : 0,
+        countTodos(text, 'x'), countTodos(text, ' '), 0, 0,
+        ...extra
+      ]);
+
+      for (const tag of tags) {
+        if (!tagIds.has(tag)) {
+          tagIds.set(tag, tagIds.size + 1);
+          await runAsync('INSERT INTO ZSFNOTETAG VALUES (?, ?, ?, ?)', [tagIds.get(tag), 13, tag, appleTime(0)]);
+        }
+        await runAsync(`INSERT INTO ${junction.table} VALUES (?, ?)`, [pk, tagIds.get(tag)]);
+      }
+    }
+
+    await runAsync('COMMIT');
+
+    if (generation === 2) {
+      await runAsync(`INSERT INTO ${layout.fileTable} VALUES (1, 1, 'FIXTURE-FILE-1', 'agenda.pdf', 2048, 'Agenda for the project Alpha kickoff')`);
+      await runAsync('INSERT INTO ZSFNOTEBACKLINK VALUES (1, 1, 2, ?)', ['Pasta recipes']);
+    } else {
+      await runAsync(`INSERT INTO ${layout.fileTable} VALUES (1, 1, 'FIXTURE-FILE-1', 'whiteboard.png', 4096)`);
+    }
+
+    // A PDF without search text, saved where Bear keeps attachments
+    const pdf = createPdf(PDF_LINES);
+    const pdfFolder = path.join(path.dirname(output), 'Local Files', 'Note Files', 'FIXTURE-FILE-2');
+    fs.mkdirSync(pdfFolder, { recursive: true });
+    fs.writeFileSync(path.join(pdfFolder, 'scope.pdf'), pdf);
+    await runAsync(`INSERT INTO ${layout.fileTable} (Z_PK, ZNOTE, ZUNIQUEIDENTIFIER, ZFILENAME, ZFILESIZE) VALUES (2, 1, 'FIXTURE-FILE-2', 'scope.pdf', ?)`, [pdf.length]);
+
+    console.log(`Created a Bear ${generation} fixture with ${notes.length} notes at ${output}`);
+  } finally {
+    await promisify(db.close).bind(db)();
+  }
+}
+
+// Run it (the arguments are parsed inside the promise so usage errors are reported the same way)
+Promise.resolve().then(() => createFixture(parseArguments(process.argv.slice(2)))).catch(error => {
+  console.error('Error creating fixture database:', error.message);
+  process.exit(1);
+});
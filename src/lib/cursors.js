@@ -0,0 +1,66 @@
+// Opaque pagination cursors. A cursor is base64url-encoded JSON, so clients treat it as a
+// token while the server can keep whatever position state it needs inside.
+
+import crypto from 'crypto';
+
+// Encode a position into a cursor string
+export const encodeCursor = (position) => Buffer.from(JSON.stringify(position)).toString('base64url');
+
+// Decode a cursor string back into a position; throws on anything the server did not issue
+export const decodeCursor = (cursor) => {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!position || typeof position !== 'object') {
+      throw new Error('not an object');
+    }
+    return position;
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+};
+
+// Offset a cursor from encodeCursor({ offset }) points at (0 without a cursor)
+export const decodeOffset = (cursor) => {
+  if (!cursor) {
+    return 0;
+  }
+  const { offset } = decodeCursor(cursor);
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new Error('Invalid cursor');
+  }
+  return offset;
+};
+
+// Short fingerprint of the arguments a cursor was issued for, independent of key order
+const fingerprint = (args) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify(Object.keys(args).sort().map(key => [key, args[key]])))
+  .digest('base64url')
+  .slice(0, 12);
+
+// Cursor for the page starting at position (an object of whole numbers, such as { offset })
+// of a tool call. args are the call's arguments without the cursor and limit, so a cursor
+// cannot be replayed against a different query.
+export const encodePositionCursor = (position, args) => encodeCursor({ ...position, query: fingerprint(args) });
+
+// Position a cursor from encodePositionCursor() points at, with each of fields a non-negative
+// whole number (all 0 without a cursor)
+export const decodePositionCursor = (cursor, args, fields) => {
+  if (!cursor) {
+    return Object.fromEntries(fields.map(field => [field, 0]));
+  }
+  const position = decodeCursor(cursor);
+  if (fields.some(field => !Number.isInteger(position[field]) || position[field] < 0)) {
+    throw new Error('Invalid cursor');
+  }
+  if (position.query !== fingerprint(args)) {
+    throw new Error('Cursor was issued for a different query; repeat the same arguments when paging');
+  }
+  return Object.fromEntries(fields.map(field => [field, position[field]]));
+};
+
+// Cursor for the page starting at offset of a tool call (see encodePositionCursor)
+export const encodeOffsetCursor = (offset, args) => encodePositionCursor({ offset }, args);
+
+// Offset a cursor from encodeOffsetCursor() points at (0 without a cursor)
+export const decodeOffsetCursor = (cursor, args) => decodePositionCursor(cursor, args, ['offset']).offset;
@@ -0,0 +1,160 @@
+// Embedding providers. Each provider turns text into a normalised vector and knows its model
+// name and dimension, so indexes can record which model built them:
+//
+//   { name, init(), embed(text) }   // init() resolves to the vector dimension
+//
+// - transformers: any feature-extraction model transformers.js can load (the default)
+// - openai: an OpenAI-compatible /embeddings endpoint, e.g. Ollama at http://localhost:11434/v1
+// - fake: deterministic word hashing, for tests and trying things out without a model
+//
+// The provider is picked with BEAR_EMBEDDING_PROVIDER and configured with BEAR_EMBEDDING_MODEL,
+// BEAR_EMBEDDING_URL, BEAR_EMBEDDING_API_KEY and BEAR_EMBEDDING_DIMENSION (fake only).
+
+import http from 'http';
+import https from 'https';
+
+// Defaults for each provider
+const DEFAULT_PROVIDER = 'transformers';
+const DEFAULT_TRANSFORMERS_MODEL = 'Xenova/all-MiniLM-L6-v2';
+const DEFAULT_OPENAI_URL = 'http://localhost:11434/v1';
+const DEFAULT_OPENAI_MODEL = 'nomic-embed-text';
+const DEFAULT_FAKE_DIMENSION = 384;
+
+// Model that indexes built before models were recorded were made with
+export const LEGACY_MODEL = { name: `transformers:${DEFAULT_TRANSFORMERS_MODEL}`, dimension: 384 };
+
+// Text embedded once at startup to find out a model's dimension
+const PROBE_TEXT = 'dimension probe';
+
+// Scale a vector to unit length, so L2 distances between vectors rank like cosine similarity
+const normalize = (vector) => {
+  const length = Math.hypot(...vector) || 1;
+  return vector.map(value => value / length);
+};
+
+// POST a JSON body and parse the JSON response; works on Node versions without fetch
+const postJson = (url, body, headers = {}) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  const payload = JSON.stringify(body);
+  const request = (target.protocol === 'https:' ? https : http).request(target, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload), ...headers }
+  }, (response) => {
+    let data = '';
+    response.setEncoding('utf8');
+    response.on('data', chunk => {
+      data += chunk;
+    });
+    response.on('end', () => {
+      if (response.statusCode < 200 || response.statusCode >= 300) {
+        reject(new Error(`Embedding endpoint returned ${response.statusCode}: ${data.slice(0, 200)}`));
+        return;
+      }
+      try {
+        resolve(JSON.parse(data));
+      } catch (error) {
+        reject(new Error('Embedding endpoint returned invalid JSON'));
+      }
+    });
+  });
+  request.on('error', reject);
+  request.end(payload);
+});
+
+// Any transformers.js feature-extraction model, mean pooled and normalised
+const transformersProvider = ({ model = DEFAULT_TRANSFORMERS_MODEL } = {}) => {
+  let extractor = null;
+
+  const embed = async (text) => {
+    const result = await extractor(text, { pooling: 'mean', normalize: true });
+    return Array.from(result.data);
+  };
+
+  return {
+    name: `transformers:${model}`,
+    init: async () => {
+      // Imported here so the other providers work without loading transformers.js
+      const { pipeline } = await import('@xenova/transformers');
+      extractor = await pipeline('feature-extraction', model);
+      return (await embed(PROBE_TEXT)).length;
+    },
+    embed
+  };
+};
+
+// An OpenAI-compatible embeddings endpoint (OpenAI, Ollama, LM Studio, llama.cpp server, ...)
+const openAIProvider = ({ model = DEFAULT_OPENAI_MODEL, url = DEFAULT_OPENAI_URL, apiKey } = {}) => {
+  const endpoint = `${url.replace(/\/+$/, '')}/embeddings`;
+
+  const embed = async (text) => {
+    const response = await postJson(endpoint, { model, input: text }, apiKey ? { Authorization: `Bearer ${apiKey}` } : {});
+    const embedding = response && response.data && response.data[0] && response.data[0].embedding;
+    if (!Array.isArray(embedding)) {
+      throw new Error('Embedding endpoint response has no data[0].embedding');
+    }
+    return normalize(embedding);
+  };
+
+  return {
+    name: `openai:${model}`,
+    init: async () => (await embed(PROBE_TEXT)).length,
+    embed
+  };
+};
+
+// Deterministic embeddings from hashed words: texts sharing words end up close together
+const fakeProvider = ({ dimension = DEFAULT_FAKE_DIMENSION } = {}) => {
+  const embed = async (text) => {
+    const vector = new Array(dimension).fill(0);
+    for (const word of String(text).toLowerCase().split(/\W+/).filter(Boolean)) {
+      let hash = 0;
+      for (const char of word) {
+        hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+      }
+      vector[hash % dimension] += 1;
+    }
+    return normalize(vector);
+  };
+
+  return {
+    name: `fake:hash-${dimension}`,
+    init: async () => dimension,
+    embed
+  };
+};
+
+const PROVIDERS = {
+  transformers: transformersProvider,
+  openai: openAIProvider,
+  fake: fakeProvider
+};
+
+// Read the embedding settings from the environment
+export const getEmbeddingConfig = () => ({
+  provider: process.env.BEAR_EMBEDDING_PROVIDER || DEFAULT_PROVIDER,
+  model: process.env.BEAR_EMBEDDING_MODEL || undefined,
+  url: process.env.BEAR_EMBEDDING_URL || undefined,
+  apiKey: process.env.BEAR_EMBEDDING_API_KEY || undefined,
+  dimension: process.env.BEAR_EMBEDDING_DIMENSION ? Number(process.env.BEAR_EMBEDDING_DIMENSION) : undefined
+});
+
+// Create the embedding provider for a configuration
+export const createEmbeddingProvider = ({ provider = DEFAULT_PROVIDER, ...options } = getEmbeddingConfig()) => {
+  if (!PROVIDERS[provider]) {
+    throw new Error(`Unknown embedding provider "${provider}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  // Leave unset options out so each provider's defaults apply
+  const settings = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+  return PROVIDERS[provider](settings);
+};
+
+// Model an index was built with, from its manifest
+export const indexModel = (manifest) => (manifest && manifest.model) || LEGACY_MODEL;
+
+// Explain why an index built with one model can't be searched with another, or null if it can
+export const describeModelMismatch = (built, current) => {
+  if (built.name === current.name && built.dimension === current.dimension) {
+    return null;
+  }
+  return `the index was built with ${built.name} (${built.dimension} dimensions) but the embedding model is ${current.name} (${current.dimension} dimensions)`;
+};
@@ -2,17 +2,11 @@
 
 import sqlite3 from 'sqlite3';
 import { promisify } from 'util';
-import path from 'path';
-import os from 'os';
+import { detectSchema, describeSchema } from './schema.js';
+import { findDatabasePath } from './bear-versions.js';
 
-// Default path to Bear's database
-const defaultDBPath = path.join(
-  os.homedir(),
-  'Library/Group Containers/9K33E3U3T4.net.shinyfrog.bear/Application Data/database.sqlite'
-);
-
-// Get the database path from environment variable or use default
-const dbPath = process.env.BEAR_DATABASE_PATH || defaultDBPath;
+// Get the database path from environment variable, or wherever this Mac's Bear keeps it
+const dbPath = process.env.BEAR_DATABASE_PATH || findDatabasePath();
 
 console.log(`Examining Bear database at: ${dbPath}`);
 
@@ -41,6 +35,15 @@ async function examineDatabase() {
     console.log('\n--- All Tables in Bear Database ---');
     tables.forEach(table => console.log(table.name));
     
+    // Show what the server's schema detection resolves for this database
+    console.log('\n--- Detected Schema ---');
+    try {
+      const schema = await detectSchema(db);
+      console.log(describeSchema(schema));
+    } catch (error) {
+      console.log(error.message);
+    }
+    
     // Find tables related to tags
     const tagTables = tables.filter(table => 
       table.name.toLowerCase().includes('tag') || 
@@ -0,0 +1,137 @@
+// Structured note filters (tags, date ranges, pinned, archived, todos) shared by the
+// keyword and semantic search paths. Filters become SQL conditions on ZSFNOTE.
+
+import { APPLE_EPOCH_OFFSET } from './notes.js';
+
+// JSON schema for the filter arguments accepted by the search tools
+export const FILTER_PROPERTIES = {
+  tags: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Only notes with all of these tags; a tag also matches its nested tags (e.g. "work" matches "work/meetings")',
+  },
+  exclude_tags: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Leave out notes with any of these tags (or their nested tags)',
+  },
+  created_after: {
+    type: 'string',
+    description: 'Only notes created on or after this date (ISO 8601)',
+  },
+  created_before: {
+    type: 'string',
+    description: 'Only notes created before this date (ISO 8601)',
+  },
+  modified_after: {
+    type: 'string',
+    description: 'Only notes modified on or after this date (ISO 8601)',
+  },
+  modified_before: {
+    type: 'string',
+    description: 'Only notes modified before this date (ISO 8601)',
+  },
+  pinned: {
+    type: 'boolean',
+    description: 'true for pinned notes only, false for notes that are not pinned',
+  },
+  include_archived: {
+    type: 'boolean',
+    description: 'Include archived notes (default: true)',
+  },
+  has_todos: {
+    type: 'boolean',
+    description: 'true for notes with open todos, false for notes without open todos',
+  },
+};
+
+// Pick the filters out of tool arguments
+export const parseFilterArguments = (args = {}) => ({
+  tags: args.tags || [],
+  excludeTags: args.exclude_tags || [],
+  createdAfter: args.created_after,
+  createdBefore: args.created_before,
+  modifiedAfter: args.modified_after,
+  modifiedBefore: args.modified_before,
+  pinned: args.pinned,
+  includeArchived: args.include_archived,
+  hasTodos: args.has_todos,
+});
+
+// Check whether any filter is set
+export const hasFilters = (filters) => {
+  if (!filters) {
+    return false;
+  }
+  return (filters.tags && filters.tags.length > 0) ||
+    (filters.excludeTags && filters.excludeTags.length > 0) ||
+    Boolean(filters.createdAfter || filters.createdBefore || filters.modifiedAfter || filters.modifiedBefore) ||
+    typeof filters.pinned === 'boolean' ||
+    filters.includeArchived === false ||
+    typeof filters.hasTodos === 'boolean';
+};
+
+// Convert a date string to Apple's timestamp (seconds since 2001-01-01)
+const toAppleTime = (value, name) => {
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid date for ${name}: ${value}`);
+  }
+  return time / 1000 - APPLE_EPOCH_OFFSET;
+};
+
+// Escape LIKE wildcards so tag names are matched literally
+const escapeLike = (text) => text.replace(/[\\%_]/g, '\\$&');
+
+// Condition matching notes that have a tag or one of its nested tags
+export const tagCondition = (tag, { noteTags }) => {
+  const name = tag.replace(/^#/, '').replace(/\/+$/, '');
+  return {
+    sql: `EXISTS (
+      SELECT 1
+      FROM ${noteTags.table} FNT
+      JOIN ZSFNOTETAG FT ON FT.Z_PK = FNT.${noteTags.tagColumn}
+      WHERE FNT.${noteTags.noteColumn} = ZSFNOTE.Z_PK
+        AND (FT.ZTITLE = ? COLLATE NOCASE OR FT.ZTITLE LIKE ? ESCAPE '\\')
+    )`,
+    params: [name, `${escapeLike(name)}/%`]
+  };
+};
+
+// Build SQL conditions on the ZSFNOTE table for a set of filters, using the table
+// names resolved by schema.js. Returns { sql, params }, where sql is empty when nothing
+// is filtered, or starts with ' AND ' so it can be appended to an existing WHERE clause.
+export const buildFilterConditions = (filters, schema) => {
+  if (!hasFilters(filters)) {
+    return { sql: '', params: [] };
+  }
+
+  const conditions = [];
+  const params = [];
+  const add = (sql, ...values) => {
+    conditions.push(sql);
+    params.push(...values);
+  };
+
+  for (const tag of filters.tags || []) {
+    const condition = tagCondition(tag, schema);
+    add(condition.sql, ...condition.params);
+  }
+  for (const tag of filters.excludeTags || []) {
+    const condition = tagCondition(tag, schema);
+    add(`NOT ${condition.sql}`, ...condition.params);
+  }
+
+  if (filters.createdAfter) add('ZSFNOTE.ZCREATIONDATE >= ?', toAppleTime(filters.createdAfter, 'created_after'));
+  if (filters.createdBefore) add('ZSFNOTE.ZCREATIONDATE < ?', toAppleTime(filters.createdBefore, 'created_before'));
+  if (filters.modifiedAfter) add('ZSFNOTE.ZMODIFICATIONDATE >= ?', toAppleTime(filters.modifiedAfter, 'modified_after'));
+  if (filters.modifiedBefore) add('ZSFNOTE.ZMODIFICATIONDATE < ?', toAppleTime(filters.modifiedBefore, 'modified_before'));
+
+  if (filters.pinned === true) add('ZSFNOTE.ZPINNED = 1');
+  if (filters.pinned === false) add('IFNULL(ZSFNOTE.ZPINNED, 0) = 0');
+  if (filters.includeArchived === false) add('IFNULL(ZSFNOTE.ZARCHIVED, 0) = 0');
+  if (filters.hasTodos === true) add('IFNULL(ZSFNOTE.ZTODOINCOMPLETED, 0) > 0');
+  if (filters.hasTodos === false) add('IFNULL(ZSFNOTE.ZTODOINCOMPLETED, 0) = 0');
+
+  return { sql: conditions.map(condition => ` AND ${condition}`).join(''), params };
+};
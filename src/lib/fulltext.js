@@ -0,0 +1,160 @@
+// Full-text keyword search over Bear notes, ranked with BM25.
+// The notes are copied into a SQLite FTS5 sidecar database next to the vector index,
+// since Bear's own database has no full-text tables to query.
+
+import sqlite3 from 'sqlite3';
+import fs from 'fs/promises';
+import { promisify } from 'util';
+
+import { resolveSchema } from './schema.js';
+import { buildPolicyConditions } from './access-policy.js';
+
+// Notes loaded per query when copying note text into the sidecar
+const FETCH_BATCH_SIZE = 500;
+
+// BM25 column weights: a match in the title counts for more than one in the body
+const TITLE_WEIGHT = 5.0;
+const CONTENT_WEIGHT = 1.0;
+
+// Path of the FTS5 sidecar database for a given index path
+export const getFullTextPath = (indexPath) => `${indexPath}.fts.sqlite`;
+
+// Open the sidecar database, creating its table if it is opened for writing
+export const openFullTextDb = async (ftsPath, { readonly = false } = {}) => {
+  const mode = readonly ? sqlite3.OPEN_READONLY : sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE;
+  const ftsDb = await new Promise((resolve, reject) => {
+    const connection = new sqlite3.Database(ftsPath, mode, (err) => err ? reject(err) : resolve(connection));
+  });
+
+  // Promisify database methods
+  ftsDb.allAsync = promisify(ftsDb.all).bind(ftsDb);
+  ftsDb.runAsync = promisify(ftsDb.run).bind(ftsDb);
+  ftsDb.closeAsync = promisify(ftsDb.close).bind(ftsDb);
+
+  if (!readonly) {
+    await ftsDb.runAsync(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS notes_fts USING fts5(
+        id UNINDEXED,
+        title,
+        content,
+        tokenize = 'porter unicode61 remove_diacritics 2'
+      )
+    `);
+  }
+
+  return ftsDb;
+};
+
+// Copy the text of the given notes from Bear into the sidecar and drop removed notes.
+// With rebuild set, the sidecar is emptied and every indexable note is copied.
+export const updateFullTextIndex = async (db, ftsPath, { noteIds = [], removedIds = [], rebuild = false } = {}) => {
+  const schema = await resolveSchema(db);
+  const access = buildPolicyConditions(db.accessPolicy, schema);
+  const ftsDb = await openFullTextDb(ftsPath);
+
+  try {
+    await ftsDb.runAsync('BEGIN');
+
+    if (rebuild) {
+      await ftsDb.runAsync('DELETE FROM notes_fts');
+      noteIds = (await db.allAsync(`SELECT ZUNIQUEIDENTIFIER as id FROM ZSFNOTE WHERE ${schema.adapter.indexableNotes}${access.sql}`, access.params)).map(row => row.id);
+    }
+
+    for (const id of [...removedIds, ...noteIds]) {
+      await ftsDb.runAsync('DELETE FROM notes_fts WHERE id = ?', [id]);
+    }
+
+    for (let i = 0; i < noteIds.length; i += FETCH_BATCH_SIZE) {
+      const batch = noteIds.slice(i, i + FETCH_BATCH_SIZE);
+      const notes = await db.allAsync(`
+        SELECT
+          ZUNIQUEIDENTIFIER as id,
+          ZTITLE as title,
+          ZTEXT as content
+        FROM ZSFNOTE
+        WHERE ZUNIQUEIDENTIFIER IN (${batch.map(() => '?').join(',')}) AND ${schema.adapter.indexableNotes}${access.sql}
+      `, [...batch, ...access.params]);
+
+      for (const note of notes) {
+        await ftsDb.runAsync('INSERT INTO notes_fts (id, title, content) VALUES (?, ?, ?)', [note.id, note.title || '', note.content || '']);
+      }
+    }
+
+    await ftsDb.runAsync('COMMIT');
+    return noteIds.length;
+  } catch (error) {
+    await ftsDb.runAsync('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    await ftsDb.closeAsync();
+  }
+};
+
+// Check whether the sidecar has been built
+export const fullTextIndexExists = async (ftsPath) => {
+  try {
+    await fs.access(ftsPath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Split a query into plain terms, "quoted phrases" and -excluded terms or phrases
+export const parseSearchQuery = (query) => {
+  const parsed = { terms: [], phrases: [], excluded: [] };
+  const tokenPattern = /(-?)"([^"]*)"|(-?)(\S+)/g;
+  let match;
+
+  while ((match = tokenPattern.exec(query || '')) !== null) {
+    const isPhrase = match[2] !== undefined;
+    const negated = isPhrase ? match[1] === '-' : match[3] === '-';
+    const text = (isPhrase ? match[2] : match[4]).trim();
+    if (!text) {
+      continue;
+    }
+
+    if (negated) {
+      parsed.excluded.push(text);
+    } else if (isPhrase) {
+      parsed.phrases.push(text);
+    } else {
+      parsed.terms.push(text);
+    }
+  }
+
+  return parsed;
+};
+
+// Quote a term or phrase for an FTS5 MATCH expression
+const quoteFts = (text) => `"${text.replace(/"/g, '""')}"`;
+
+// Build an FTS5 MATCH expression: every term and phrase must match, excluded ones must not
+export const toFtsQuery = ({ terms, phrases, excluded }) => {
+  const required = [...terms, ...phrases].map(quoteFts);
+  if (required.length === 0) {
+    return null;
+  }
+  return [`(${required.join(' ')})`, ...excluded.map(text => `NOT ${quoteFts(text)}`)].join(' ');
+};
+
+// Search the sidecar, best BM25 match first. FTS5's bm25() is negative and lower for better
+// matches, and in a small library it is so close to zero that it says little on its own, so
+// the returned score is relative to the best hit: 1 for the top match, falling towards 0.
+export const searchFullText = async (ftsDb, parsedQuery, limit = 10) => {
+  const match = toFtsQuery(parsedQuery);
+  if (!match) {
+    return [];
+  }
+
+  const rows = await ftsDb.allAsync(`
+    SELECT id, bm25(notes_fts, 0, ${TITLE_WEIGHT}, ${CONTENT_WEIGHT}) as rank
+    FROM notes_fts
+    WHERE notes_fts MATCH ?
+    ORDER BY rank
+    LIMIT ?
+  `, [match, limit]);
+
+  const best = rows.length > 0 ? rows[0].rank : 0;
+  return rows.map(row => ({ id: row.id, score: best < 0 ? row.rank / best : 1 }));
+};
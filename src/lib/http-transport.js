@@ -0,0 +1,332 @@
+// Serve MCP over HTTP, so one long-running server (with the embedding model already loaded)
+// can answer several clients at once. Started with --transport http (or BEAR_MCP_TRANSPORT).
+//
+//   POST/GET/DELETE /mcp   Streamable HTTP, the current MCP transport
+//   GET /sse               Server-sent events, for clients that only speak the older transport;
+//   POST /messages           they send their requests here with the sessionId they were given
+//   GET /health            JSON status for load balancers, Docker health checks and the curious
+//
+// Each client session gets its own MCP server from createServer. With an authenticate
+// function, every request but the health check needs a bearer token it accepts, and a
+// session only answers to the token that opened it (the health check then says no more than
+// "ok"). Without one, the server only starts on a loopback address unless told that is fine.
+// Sessions nobody has used for a while are closed, and there is a limit on how many can be
+// open at once.
+
+import http from 'http';
+import { randomUUID } from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+import { optionValue } from './libraries.js';
+
+export const TRANSPORTS = ['stdio', 'http'];
+
+// Defaults for the HTTP transport: only reachable from this machine unless asked otherwise
+export const DEFAULT_HOST = '127.0.0.1';
+export const DEFAULT_PORT = 8000;
+
+// Defaults for sessions: closed after half an hour without a request, at most 100 open
+export const DEFAULT_SESSION_TIMEOUT = 30 * 60;
+export const DEFAULT_MAX_SESSIONS = 100;
+
+// Largest request body accepted, well above any tool call
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+// Host names that only reach this machine
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+
+// JSON-RPC error codes used before a request reaches an MCP server
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const INTERNAL_ERROR = -32603;
+
+// Read a whole number of at least 0 from an environment variable
+const wholeNumberSetting = (name, defaultValue) => {
+  const setting = process.env[name];
+  if (setting === undefined || setting === '') {
+    return defaultValue;
+  }
+  const value = Number(setting);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`${name} must be a whole number of at least 0, not "${setting}"`);
+  }
+  return value;
+};
+
+// Read the transport settings: --transport, --host and --port, then BEAR_MCP_TRANSPORT,
+// BEAR_MCP_HOST and BEAR_MCP_PORT, then stdio on 127.0.0.1:8000. Sessions time out after
+// BEAR_MCP_SESSION_TIMEOUT seconds without a request (0 never) and BEAR_MCP_MAX_SESSIONS
+// can be open at once (0 no limit). BEAR_MCP_ALLOW_UNAUTHENTICATED=1 serves other hosts
+// without tokens.
+export const getTransportConfig = (args) => {
+  const transport = optionValue(args, 'transport') || process.env.BEAR_MCP_TRANSPORT || 'stdio';
+  if (!TRANSPORTS.includes(transport)) {
+    throw new Error(`Unknown transport "${transport}" (expected one of: ${TRANSPORTS.join(', ')})`);
+  }
+
+  const host = optionValue(args, 'host') || process.env.BEAR_MCP_HOST || DEFAULT_HOST;
+  const portSetting = optionValue(args, 'port') || process.env.BEAR_MCP_PORT;
+  const port = portSetting !== undefined ? Number(portSetting) : DEFAULT_PORT;
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Port must be a number from 0 to 65535, not "${portSetting}"`);
+  }
+
+  const sessionTimeout = wholeNumberSetting('BEAR_MCP_SESSION_TIMEOUT', DEFAULT_SESSION_TIMEOUT);
+  const maxSessions = wholeNumberSetting('BEAR_MCP_MAX_SESSIONS', DEFAULT_MAX_SESSIONS);
+  const allowSetting = process.env.BEAR_MCP_ALLOW_UNAUTHENTICATED;
+  const allowUnauthenticated = allowSetting === 'true' || allowSetting === '1';
+
+  return { transport, host, port, sessionTimeout, maxSessions, allowUnauthenticated };
+};
+
+// Send a JSON response
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+// Send a JSON-RPC error for a request no MCP server has seen
+const sendJsonRpcError = (res, status, code, message) => {
+  sendJson(res, status, { jsonrpc: '2.0', error: { code, message }, id: null });
+};
+
+// Read and parse a JSON request body
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reject(new Error('Request body too large'));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    try {
+      resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+    } catch (error) {
+      reject(new Error(`Request body is not valid JSON: ${error.message}`));
+    }
+  });
+  req.on('error', reject);
+});
+
+// Host headers to accept. Bound to a loopback address, only requests addressed to this
+// machine get through, which stops web pages using DNS rebinding to reach the server
+// through the browser. Bound to anything else (as in Docker) any host name is fine.
+const allowedHostsFor = (host, port) => {
+  if (!LOOPBACK_HOSTS.includes(host)) {
+    return null;
+  }
+  return LOOPBACK_HOSTS.map(name => (name.includes(':') ? `[${name}]:${port}` : `${name}:${port}`));
+};
+
+// Start the HTTP server. createServer(client) returns a new, unconnected MCP server for the
+// client authenticate(req) found (undefined without authentication); authenticate returns
+// null to turn a request away. getHealth returns extra fields for the health endpoint, left
+// out when authenticate is set. sessionTimeout (seconds), maxSessions and allowUnauthenticated
+// are as in getTransportConfig. Resolves to { port, close } once listening.
+export const startHttpServer = async (createServer, {
+  host = DEFAULT_HOST,
+  port = DEFAULT_PORT,
+  authenticate = null,
+  getHealth = () => ({}),
+  sessionTimeout = DEFAULT_SESSION_TIMEOUT,
+  maxSessions = DEFAULT_MAX_SESSIONS,
+  allowUnauthenticated = false
+} = {}) => {
+  // Anyone who can reach a server on another address could read every note without a token
+  if (!authenticate && !LOOPBACK_HOSTS.includes(host) && !allowUnauthenticated) {
+    throw new Error(`Refusing to serve ${host} without access tokens: set BEAR_MCP_TOKEN or BEAR_ACCESS_FILE, or BEAR_MCP_ALLOW_UNAUTHENTICATED=1 if the network is trusted`);
+  }
+
+  const startedAt = Date.now();
+  let transportOptions = {};
+
+  // Open sessions by ID, for both kinds of transport, the client each one belongs to and the
+  // timer that closes it when idle
+  const sessions = new Map();
+  const sessionClients = new WeakMap();
+  const sessionTimers = new Map();
+
+  // Add a session, closing it once it has gone sessionTimeout without a request. Closing the
+  // transport closes its MCP server too, which stops it listening for note changes.
+  const addSession = (id, transport) => {
+    sessions.set(id, transport);
+    if (sessionTimeout > 0) {
+      const timer = setTimeout(() => {
+        console.error(`Closing HTTP session ${id} after ${sessionTimeout} seconds without a request`);
+        transport.close().catch(error => console.error(`Closing HTTP session ${id} failed:`, error.message));
+      }, sessionTimeout * 1000);
+      timer.unref();
+      sessionTimers.set(id, timer);
+    }
+  };
+
+  // Whether another session may be opened; if not, turn the request away
+  const canOpenSession = (res) => {
+    if (maxSessions > 0 && sessions.size >= maxSessions) {
+      sendJsonRpcError(res, 503, INTERNAL_ERROR, `Too many open sessions (at most ${maxSessions}); try again later`);
+      return false;
+    }
+    return true;
+  };
+
+  // Connect a new MCP server for the client to a transport, and forget the session when it closes
+  const connect = async (transport, client) => {
+    sessionClients.set(transport, client);
+    transport.onclose = () => {
+      if (transport.sessionId) {
+        sessions.delete(transport.sessionId);
+        clearTimeout(sessionTimers.get(transport.sessionId));
+        sessionTimers.delete(transport.sessionId);
+      }
+    };
+    await createServer(client).connect(transport);
+  };
+
+  // Find an open session of a transport type that belongs to the client, and restart its
+  // idle timer
+  const findSession = (res, sessionId, type, client) => {
+    const session = sessions.get(sessionId);
+    if (!session || !(session instanceof type) || sessionClients.get(session) !== client) {
+      sendJsonRpcError(res, 404, INVALID_REQUEST, `Session not found: ${sessionId}`);
+      return null;
+    }
+    if (sessionTimers.has(sessionId)) {
+      sessionTimers.get(sessionId).refresh();
+    }
+    return session;
+  };
+
+  // Streamable HTTP: an initialize request opens a session, everything after names it in
+  // the Mcp-Session-Id header
+  const handleMcp = async (req, res, url, client) => {
+    const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+    const sessionId = req.headers['mcp-session-id'];
+
+    if (sessionId) {
+      const session = findSession(res, sessionId, StreamableHTTPServerTransport, client);
+      if (session) {
+        await session.handleRequest(req, res, body);
+      }
+      return;
+    }
+
+    if (req.method !== 'POST' || !isInitializeRequest(body)) {
+      sendJsonRpcError(res, 400, INVALID_REQUEST, 'No session ID; start a session with an initialize request');
+      return;
+    }
+    if (!canOpenSession(res)) {
+      return;
+    }
+
+    const transport = new StreamableHTTPServerTransport({
+      ...transportOptions,
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (id) => {
+        addSession(id, transport);
+      }
+    });
+    await connect(transport, client);
+    await transport.handleRequest(req, res, body);
+
+    // An initialize request that didn't open a session leaves nothing to talk to
+    if (!transport.sessionId) {
+      await transport.close();
+    }
+  };
+
+  // Older SSE transport: a GET opens the event stream and tells the client where to post
+  const handleSse = async (req, res, url, client) => {
+    if (!canOpenSession(res)) {
+      return;
+    }
+    const transport = new SSEServerTransport('/messages', res, transportOptions);
+    addSession(transport.sessionId, transport);
+    await connect(transport, client);
+  };
+
+  const handleSseMessage = async (req, res, url, client) => {
+    const session = findSession(res, url.searchParams.get('sessionId'), SSEServerTransport, client);
+    if (session) {
+      await session.handlePostMessage(req, res, await readJsonBody(req));
+    }
+  };
+
+  const routes = {
+    'POST /mcp': handleMcp,
+    'GET /mcp': handleMcp,
+    'DELETE /mcp': handleMcp,
+    'GET /sse': handleSse,
+    'POST /messages': handleSseMessage,
+    // Anyone can ask, so when tokens are in use that's all they find out
+    'GET /health': (req, res) => sendJson(res, 200, authenticate ? { status: 'ok' } : {
+      status: 'ok',
+      ...getHealth(),
+      sessions: sessions.size,
+      uptimeSeconds: Math.round((Date.now() - startedAt) / 1000)
+    })
+  };
+
+  const httpServer = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const route = routes[`${req.method} ${url.pathname}`];
+    if (!route) {
+      sendJson(res, 404, { error: `Not found: ${req.method} ${url.pathname}` });
+      return;
+    }
+
+    // Everything but the health check needs a token, when tokens are in use
+    let client;
+    if (authenticate && url.pathname !== '/health') {
+      client = authenticate(req);
+      if (!client) {
+        res.setHeader('WWW-Authenticate', 'Bearer realm="bear-mcp-server"');
+        sendJsonRpcError(res, 401, INVALID_REQUEST, 'Missing or unknown bearer token');
+        return;
+      }
+    }
+
+    try {
+      await route(req, res, url, client);
+    } catch (error) {
+      console.error(`HTTP ${req.method} ${url.pathname} failed:`, error.message);
+      if (!res.headersSent) {
+        const parseFailed = error.message.startsWith('Request body');
+        sendJsonRpcError(res, parseFailed ? 400 : 500, parseFailed ? PARSE_ERROR : INTERNAL_ERROR, error.message);
+      }
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, resolve);
+  });
+
+  // With port 0 the system picks one, so check which before working out the allowed hosts
+  const { port: listeningPort } = httpServer.address();
+  const allowedHosts = allowedHostsFor(host, listeningPort);
+  if (allowedHosts) {
+    transportOptions = { enableDnsRebindingProtection: true, allowedHosts };
+  } else if (!authenticate) {
+    console.error('Warning: no access tokens are configured, so anyone who can reach this server can read your notes');
+  }
+  console.error(`Serving MCP over HTTP at http://${host.includes(':') ? `[${host}]` : host}:${listeningPort}/mcp (SSE at /sse, health at /health)`);
+
+  return {
+    port: listeningPort,
+    // Close every session, then stop listening
+    close: async () => {
+      await Promise.all([...sessions.values()].map(session => session.close().catch(() => {})));
+      await new Promise(resolve => {
+        httpServer.close(() => resolve());
+        httpServer.closeAllConnections();
+      });
+    }
+  };
+};
@@ -0,0 +1,63 @@
+// Settings for the FAISS index holding the chunk vectors, which is one of three types:
+//
+// - flat: exact brute-force search. Best results, fine up to a few tens of thousands of chunks
+// - ivf:  vectors are clustered into nlist lists and a search only scans the nprobe nearest
+//         lists. Needs training, which the indexer does on the vectors of a full build
+// - hnsw: a navigable graph with m links per vector, searched with a candidate list of
+//         efSearch. Fast with good recall, but the graph takes extra memory
+//
+// Picked with BEAR_INDEX_TYPE (or --index-type) when building; tuned with BEAR_INDEX_NLIST,
+// BEAR_INDEX_HNSW_M, and at search time BEAR_INDEX_NPROBE and BEAR_INDEX_EF_SEARCH.
+//
+// Nothing here needs faiss-node, which vector-index.js wraps.
+
+export const INDEX_TYPES = ['flat', 'ivf', 'hnsw'];
+
+// Defaults for each index type
+export const DEFAULT_INDEX_TYPE = 'flat';
+export const DEFAULT_NPROBE = 16;
+export const DEFAULT_EF_SEARCH = 64;
+const DEFAULT_HNSW_M = 32;
+
+// FAISS wants about this many training vectors per IVF list, and warns below it
+const TRAINING_VECTORS_PER_LIST = 39;
+
+// Read the index settings from the environment. Without a type, existing indexes keep theirs
+// and new ones are flat.
+export const getIndexConfig = () => ({
+  type: process.env.BEAR_INDEX_TYPE || undefined,
+  nlist: process.env.BEAR_INDEX_NLIST ? Number(process.env.BEAR_INDEX_NLIST) : undefined,
+  m: process.env.BEAR_INDEX_HNSW_M ? Number(process.env.BEAR_INDEX_HNSW_M) : undefined,
+  nprobe: process.env.BEAR_INDEX_NPROBE ? Number(process.env.BEAR_INDEX_NPROBE) : undefined,
+  efSearch: process.env.BEAR_INDEX_EF_SEARCH ? Number(process.env.BEAR_INDEX_EF_SEARCH) : undefined
+});
+
+// Number of IVF lists for a number of vectors: about 4 * sqrt(n), but no more than the
+// training vectors can support
+const defaultListCount = (count) => Math.max(1, Math.min(
+  Math.round(4 * Math.sqrt(count)),
+  Math.floor(count / TRAINING_VECTORS_PER_LIST)
+));
+
+// FAISS factory string for a configuration and number of vectors. An IVF index needs at
+// least one list's worth of training vectors, so small builds use a flat index instead.
+export const indexFactory = ({ type = DEFAULT_INDEX_TYPE, nlist, m = DEFAULT_HNSW_M } = {}, count = 0) => {
+  if (!INDEX_TYPES.includes(type)) {
+    throw new Error(`Unknown index type "${type}" (expected one of: ${INDEX_TYPES.join(', ')})`);
+  }
+  if (type === 'hnsw') {
+    return `HNSW${m}`;
+  }
+  if (type === 'ivf' && count >= TRAINING_VECTORS_PER_LIST) {
+    return `IVF${Math.min(nlist || defaultListCount(count), count)},Flat`;
+  }
+  return 'Flat';
+};
+
+// Whether an index of this factory string can remove vectors, keeping positions contiguous
+export const supportsRemoval = (factory) => factory === 'Flat';
+
+// Cosine similarity of a query and a chunk from the squared L2 distance the indexes return.
+// Embeddings are unit vectors, so distance = 2 - 2 * cosine; chunks pointing away from the
+// query (negative cosine) count as unrelated, which keeps scores in [0, 1].
+export const similarityFromDistance = (distance) => Math.min(1, Math.max(0, 1 - distance / 2));
@@ -0,0 +1,236 @@
+// Reading, writing and checking the vector index files:
+//
+//   note_vectors.index          FAISS index, one vector per chunk
+//   note_vectors.json           vector position -> { id, start, end } of its chunk
+//   note_vectors.vectors        the vectors themselves, as 32-bit floats in position order
+//                               (FAISS can't give them back, and not every index type keeps them)
+//   note_vectors.manifest.json  metadata header (format version, model, counts, source
+//                               database, build time, checksums of the other two files)
+//                               followed by the indexed notes
+//
+// Files are written to temporary names and renamed into place, manifest last, so a crash
+// never leaves a half-written file under the real name, and checksums catch files that
+// were renamed from different runs.
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+import { describeModelMismatch, indexModel } from './embeddings.js';
+
+// Version of the index file layout; bump when the files change incompatibly
+// (3: IVF and HNSW indexes, stale positions mapping to null; 4: stored vectors)
+export const INDEX_FORMAT_VERSION = 4;
+
+// Bytes per stored vector component
+const FLOAT_BYTES = 4;
+
+// Paths of the index files
+export const indexFilePaths = (indexPath) => ({
+  index: `${indexPath}.index`,
+  map: `${indexPath}.json`,
+  vectors: `${indexPath}.vectors`,
+  manifest: `${indexPath}.manifest.json`
+});
+
+// SHA-256 of a file's contents
+const fileChecksum = async (file) => crypto.createHash('sha256').update(await fs.readFile(file)).digest('hex');
+
+// Temporary name next to a file, unique to this process
+const tempPath = (file) => `${file}.tmp-${process.pid}`;
+
+// Load the manifest written by the last indexing run
+export const loadManifest = async (indexPath) => {
+  try {
+    return JSON.parse(await fs.readFile(indexFilePaths(indexPath).manifest, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+// The manifest's metadata header, without the per-note entries
+const manifestMetadata = ({ notes, ...metadata }) => metadata;
+
+// The stored vectors file for vectors (an array, one per position), in the machine's byte
+// order (little-endian on every Mac Bear runs on)
+const vectorsBuffer = (vectors, dimension) => {
+  const data = new Float32Array(vectors.length * dimension);
+  vectors.forEach((vector, position) => data.set(vector, position * dimension));
+  return Buffer.from(data.buffer);
+};
+
+// Write the index, position -> chunk mapping, stored vectors (one per position of the
+// index) and manifest atomically. The manifest gets a fresh metadata header;
+// manifest.model, manifest.indexType, manifest.attachments and manifest.notes are kept as
+// they are.
+export const writeIndexFiles = async (indexPath, { index, noteIdMap, vectors, manifest, dbPath = null }) => {
+  if (vectors.length !== index.ntotal()) {
+    throw new Error(`Cannot save ${vectors.length} stored vectors for an index of ${index.ntotal()}`);
+  }
+
+  const paths = indexFilePaths(indexPath);
+  const temp = {
+    index: tempPath(paths.index),
+    map: tempPath(paths.map),
+    vectors: tempPath(paths.vectors),
+    manifest: tempPath(paths.manifest)
+  };
+
+  try {
+    await fs.mkdir(path.dirname(indexPath), { recursive: true });
+    index.write(temp.index);
+    await fs.writeFile(temp.map, JSON.stringify(noteIdMap));
+    await fs.writeFile(temp.vectors, vectorsBuffer(vectors, index.getDimension()));
+
+    const { notes, model, indexType = null, attachments = false } = manifest;
+    const header = {
+      version: INDEX_FORMAT_VERSION,
+      model,
+      indexType,
+      attachments,
+      dbPath,
+      builtAt: new Date().toISOString(),
+      noteCount: Object.keys(notes).length,
+      chunkCount: index.ntotal(),
+      staleChunkCount: Object.values(noteIdMap).filter(entry => !entry).length,
+      checksums: {
+        index: await fileChecksum(temp.index),
+        map: await fileChecksum(temp.map),
+        vectors: await fileChecksum(temp.vectors)
+      }
+    };
+    await fs.writeFile(temp.manifest, JSON.stringify({ ...header, notes }));
+
+    // The manifest goes last: until it is renamed, the old one's checksums flag the new files
+    await fs.rename(temp.index, paths.index);
+    await fs.rename(temp.map, paths.map);
+    await fs.rename(temp.vectors, paths.vectors);
+    await fs.rename(temp.manifest, paths.manifest);
+
+    return header;
+  } catch (error) {
+    await Promise.all(Object.values(temp).map(file => fs.rm(file, { force: true })));
+    throw error;
+  }
+};
+
+// Check the index files against their metadata header. model is the current embedding model,
+// dbPath the database the server reads and index, if given, the loaded FAISS index.
+// Returns { metadata, errors, warnings }; the index should not be used when there are errors.
+export const validateIndexFiles = async (indexPath, { model = null, dbPath = null, index = null } = {}) => {
+  const paths = indexFilePaths(indexPath);
+  const errors = [];
+  const warnings = [];
+
+  for (const [name, file] of Object.entries({ index: paths.index, map: paths.map, vectors: paths.vectors })) {
+    try {
+      await fs.access(file);
+    } catch (error) {
+      // Indexes from before format 4 have no stored vectors; that is checked below
+      if (name !== 'vectors') {
+        errors.push(`${file} is missing`);
+      }
+      delete paths[name];
+    }
+  }
+
+  const manifest = await loadManifest(indexPath);
+  if (!manifest) {
+    errors.push(`${paths.manifest} is missing or unreadable`);
+    return { metadata: null, errors, warnings };
+  }
+  const metadata = manifestMetadata(manifest);
+
+  if (model) {
+    const mismatch = describeModelMismatch(indexModel(manifest), model);
+    if (mismatch) {
+      errors.push(`${mismatch}; rebuild it with "npm run index -- --full"`);
+    }
+  }
+
+  // Indexes written before the metadata header only have the notes
+  if (!metadata.version) {
+    warnings.push('the index has no metadata header, so it cannot be checked; run "npm run index" to add one');
+    return { metadata, errors, warnings };
+  }
+  if (metadata.version > INDEX_FORMAT_VERSION) {
+    errors.push(`the index was written by a newer version of the server (format ${metadata.version}, this one reads ${INDEX_FORMAT_VERSION})`);
+    return { metadata, errors, warnings };
+  }
+
+  for (const name of ['index', 'map', 'vectors']) {
+    if (paths[name] && metadata.checksums[name] && await fileChecksum(paths[name]) !== metadata.checksums[name]) {
+      errors.push(`${paths[name]} does not match the checksum in the manifest (half-written, or from a different indexing run)`);
+    }
+  }
+
+  if (!metadata.checksums.vectors) {
+    warnings.push('the index has no stored vectors (it was built by an older version), so related notes are found from their text; "npm run index" rebuilds it');
+  } else if (!paths.vectors) {
+    errors.push(`${indexFilePaths(indexPath).vectors} is missing`);
+  }
+
+  if (paths.map && errors.length === 0) {
+    const chunks = Object.keys(JSON.parse(await fs.readFile(paths.map, 'utf8'))).length;
+    if (chunks !== metadata.chunkCount) {
+      errors.push(`the ID mapping has ${chunks} chunks but the manifest expects ${metadata.chunkCount}`);
+    }
+  }
+  if (paths.vectors && errors.length === 0 && metadata.model && metadata.model.dimension) {
+    const { size } = await fs.stat(paths.vectors);
+    if (size !== metadata.chunkCount * metadata.model.dimension * FLOAT_BYTES) {
+      errors.push(`the stored vectors take ${size} bytes but the manifest expects ${metadata.chunkCount} vectors of ${metadata.model.dimension} dimensions`);
+    }
+  }
+  if (index && index.ntotal() !== metadata.chunkCount) {
+    errors.push(`the vector index holds ${index.ntotal()} vectors but the manifest expects ${metadata.chunkCount}`);
+  }
+
+  if (dbPath && metadata.dbPath && metadata.dbPath !== dbPath) {
+    warnings.push(`the index was built from ${metadata.dbPath}, but the server reads ${dbPath}`);
+  }
+
+  return { metadata, errors, warnings };
+};
+
+// Open the stored vectors of an index for reading, or return null if it has none. Reads go
+// through the open file, so they keep seeing these vectors even after the indexer has renamed
+// newer files into place. Close it with closeStoredVectors.
+export const openStoredVectors = async (indexPath, dimension) => {
+  try {
+    return { file: await fs.open(indexFilePaths(indexPath).vectors, 'r'), dimension };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Close stored vectors opened with openStoredVectors
+export const closeStoredVectors = async (stored) => {
+  if (stored) {
+    await stored.file.close();
+  }
+};
+
+// The stored vectors at some positions, as arrays of numbers; positions past the end are skipped
+export const readStoredVectors = async ({ file, dimension }, positions) => {
+  const bytes = dimension * FLOAT_BYTES;
+  const vectors = [];
+  for (const position of positions) {
+    const buffer = Buffer.alloc(bytes);
+    const { bytesRead } = await file.read(buffer, 0, bytes, position * bytes);
+    if (bytesRead === bytes) {
+      vectors.push(Array.from(new Float32Array(buffer.buffer, buffer.byteOffset, dimension)));
+    }
+  }
+  return vectors;
+};
+
+// All the stored vectors, one Float32Array per position
+export const loadStoredVectors = async ({ file, dimension }) => {
+  const { size } = await file.stat();
+  const buffer = Buffer.alloc(size);
+  await file.read(buffer, 0, size, 0);
+  const data = new Float32Array(buffer.buffer, buffer.byteOffset, Math.floor(size / FLOAT_BYTES));
+  return Array.from({ length: Math.floor(data.length / dimension) }, (_, position) =>
+    data.subarray(position * dimension, (position + 1) * dimension));
+};
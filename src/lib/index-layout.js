@@ -0,0 +1,70 @@
+// Finding the search parameters in a serialized FAISS index. faiss-node has no setters for
+// nprobe (IVF) or efSearch (HNSW), so vector-index.js changes them in the index's bytes and
+// reads it back. The layout is FAISS's own, as written by the faiss-node version in
+// package.json (pinned exactly for this reason); every field on the way is checked against
+// the index, so a layout change in a new version is noticed rather than patched blindly.
+//
+// Nothing here needs faiss-node, so the layout can be checked without the native module.
+
+// Size of the header FAISS writes before every index (fourcc, d, ntotal, two unused
+// fields, is_trained, metric type), and its code for the L2 metric
+export const INDEX_HEADER_BYTES = 37;
+const METRIC_L2 = 1;
+
+// Length of a serialized std::vector (a 64-bit count, then the items)
+const vectorLength = (buffer, offset) => Number(buffer.readBigInt64LE(offset));
+
+// Skip a serialized std::vector and return the offset after it
+const skipVector = (buffer, offset, itemBytes) => offset + 8 + vectorLength(buffer, offset) * itemBytes;
+
+// Whether a serialized flat L2 index of count vectors with dimension starts at offset
+const isFlatIndexAt = (buffer, offset, dimension, count) =>
+  buffer.toString('latin1', offset, offset + 4) === 'IxF2' &&
+  buffer.readInt32LE(offset + 4) === dimension &&
+  Number(buffer.readBigInt64LE(offset + 8)) === count;
+
+// Whether a serialized index is a flat L2 index, which has no search parameters
+export const isFlatIndex = (buffer) => buffer.toString('latin1', 0, 4) === 'IxF2';
+
+// Where the search parameter is in a serialized index of count vectors with dimension:
+// { name, offset, bytes } for nprobe (IVF-Flat, "IwFl") or efSearch (HNSW over flat storage,
+// "IHNf"). Returns null for flat indexes, and for anything laid out differently from what
+// FAISS has written so far:
+//
+// - IVF: nlist, then nprobe, then the quantizer, a flat index of nlist centroids
+// - HNSW: the graph (level probabilities, cumulative neighbour counts, each vector's level,
+//   offsets into the neighbours, neighbours), then entry point, max level, efConstruction,
+//   efSearch and upper_beam, then the flat storage of all the vectors
+//
+// Reading past the end of a buffer laid out differently throws a RangeError.
+export const locateSearchParameter = (buffer, { dimension, count }) => {
+  const fourcc = buffer.toString('latin1', 0, 4);
+  if (buffer.readInt32LE(4) !== dimension || Number(buffer.readBigInt64LE(8)) !== count ||
+      buffer.readInt32LE(INDEX_HEADER_BYTES - 4) !== METRIC_L2) {
+    return null;
+  }
+
+  if (fourcc === 'IwFl') {
+    const nlist = Number(buffer.readBigInt64LE(INDEX_HEADER_BYTES));
+    if (nlist < 1 || !isFlatIndexAt(buffer, INDEX_HEADER_BYTES + 16, dimension, nlist)) {
+      return null;
+    }
+    return { name: 'nprobe', offset: INDEX_HEADER_BYTES + 8, bytes: 8 };
+  }
+
+  if (fourcc === 'IHNf') {
+    let offset = skipVector(buffer, INDEX_HEADER_BYTES, 8);
+    offset = skipVector(buffer, offset, 4);
+    const levels = vectorLength(buffer, offset);
+    offset = skipVector(buffer, offset, 4);
+    const offsets = vectorLength(buffer, offset);
+    offset = skipVector(buffer, offset, 8);
+    offset = skipVector(buffer, offset, 4);
+    if (levels !== count || offsets !== count + 1 || !isFlatIndexAt(buffer, offset + 20, dimension, count)) {
+      return null;
+    }
+    return { name: 'efSearch', offset: offset + 12, bytes: 4 };
+  }
+
+  return null;
+};
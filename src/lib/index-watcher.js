@@ -0,0 +1,127 @@
+// Background watcher that keeps the in-memory vector index in step with Bear's database
+// while the server is running.
+
+import { getVectorIndex, replaceVectorIndex } from '../utils.js';
+import { fullTextIndexExists, getFullTextPath, updateFullTextIndex } from './fulltext.js';
+import {
+  findChangedNotes,
+  loadIndexFiles,
+  saveIndexFiles,
+  updateIndex
+} from './indexer.js';
+import { loadManifest, openStoredVectors } from './index-files.js';
+import { prepareSearchIndex } from './vector-index.js';
+import { databaseSignature } from './note-watcher.js';
+
+// Default number of seconds between checks for changes
+export const DEFAULT_SYNC_INTERVAL = 30;
+
+// Create a watcher that polls the database file and re-embeds changed notes
+export const createIndexWatcher = (db, { dbPath, indexPath, interval = DEFAULT_SYNC_INTERVAL }) => {
+  const status = {
+    enabled: interval > 0,
+    intervalSeconds: interval,
+    syncing: false,
+    lastCheckTime: null,
+    lastSyncTime: null,
+    pendingNotes: 0,
+    lastResult: null,
+    lastError: null
+  };
+
+  let timer = null;
+  let manifest = null;
+  let lastSignature = null;
+
+  // Check for changes and, if there are any, embed them and swap the result into the live index
+  const sync = async ({ force = false } = {}) => {
+    if (status.syncing) {
+      return status;
+    }
+    status.syncing = true;
+
+    try {
+      const signature = await databaseSignature(dbPath);
+      if (!force && signature === lastSignature) {
+        return status;
+      }
+
+      const { index, noteIdMap } = getVectorIndex(db);
+      if (!index || !noteIdMap) {
+        throw new Error('Vector index not loaded. Please run indexing first.');
+      }
+
+      if (!manifest) {
+        manifest = await loadManifest(indexPath);
+        if (!manifest) {
+          throw new Error('Index manifest not found. Please rerun "npm run index".');
+        }
+      }
+
+      let changes = await findChangedNotes(db, manifest);
+      status.lastCheckTime = new Date().toISOString();
+      status.pendingNotes = changes.changedIds.length + changes.removedIds.length;
+
+      if (status.pendingNotes > 0) {
+        console.error(`Index watcher: ${status.pendingNotes} notes changed, updating vector index`);
+
+        // Update the index files rather than the index being searched, which has its search
+        // parameters applied (or is a flat stand-in); in-flight searches keep using it until the swap
+        const problems = [];
+        const previous = await loadIndexFiles(indexPath, { log: message => problems.push(message) });
+        if (!previous) {
+          throw new Error(`The index files can't be updated (${problems.join('; ') || 'missing or unreadable'}). Please rerun "npm run index".`);
+        }
+        changes = await findChangedNotes(db, previous.manifest);
+        const result = await updateIndex(db, previous, { changes });
+
+        // Save first, so the stored vectors opened for the new index are its own
+        await saveIndexFiles(indexPath, result, { dbPath });
+        manifest = result.manifest;
+        const storedVectors = await openStoredVectors(indexPath, result.index.getDimension());
+        const prepared = await prepareSearchIndex(result.index, async () => result.vectors);
+        await replaceVectorIndex(db, prepared.index, result.entries, storedVectors, prepared.warning);
+        
+        // Bring keyword search up to date as well
+        const ftsPath = getFullTextPath(indexPath);
+        await updateFullTextIndex(db, ftsPath, {
+          noteIds: result.changedIds,
+          removedIds: result.removedIds,
+          rebuild: !(await fullTextIndexExists(ftsPath))
+        });
+
+        status.lastResult = result.stats;
+        status.pendingNotes = 0;
+        console.error(`Index watcher: vector index now holds ${result.entries.length - result.stats.staleChunks} chunks`);
+      }
+
+      status.lastSyncTime = new Date().toISOString();
+      status.lastError = null;
+      lastSignature = signature;
+    } catch (error) {
+      console.error('Index watcher error:', error.message);
+      status.lastError = error.message;
+    } finally {
+      status.syncing = false;
+    }
+
+    return status;
+  };
+
+  return {
+    start: () => {
+      if (!status.enabled || timer) {
+        return;
+      }
+      timer = setInterval(sync, interval * 1000);
+      // Don't keep the process alive just for the watcher
+      timer.unref();
+    },
+    stop: () => {
+      clearInterval(timer);
+      timer = null;
+    },
+    sync,
+    getStatus: () => ({ ...status })
+  };
+};
@@ -0,0 +1,342 @@
+// Build and incrementally update the chunk vector index from the Bear database.
+// Shared by create-index.js and the server's background index watcher.
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+
+import { createEmbedding, getEmbeddingModel } from '../utils.js';
+import { chunkNote } from './chunk-notes.js';
+import { appleTimeToISO } from './notes.js';
+import { loadNoteAttachmentTexts } from './attachments.js';
+import { resolveSchema } from './schema.js';
+import { buildPolicyConditions } from './access-policy.js';
+import {
+  closeStoredVectors,
+  indexFilePaths,
+  loadManifest,
+  loadStoredVectors,
+  openStoredVectors,
+  validateIndexFiles,
+  writeIndexFiles
+} from './index-files.js';
+import { DEFAULT_INDEX_TYPE, getIndexConfig, supportsRemoval } from './index-config.js';
+import { createIndex, readIndex } from './vector-index.js';
+
+// Notes loaded per query when fetching the content of changed notes
+const FETCH_BATCH_SIZE = 500;
+
+// Hash the text chunks are cut from so notes touched without content changes can be skipped
+const hashText = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+// Share of stale vectors (left behind by changed and deleted notes in IVF and HNSW indexes)
+// above which the indexer suggests a full rebuild
+const STALE_REBUILD_RATIO = 0.2;
+
+// Index type an index was built as, from its manifest; indexes from before index types were flat
+export const manifestIndexType = (manifest) => (manifest && manifest.indexType) || { type: 'flat', factory: 'Flat' };
+
+// Turn the position -> chunk mapping stored in note_vectors.json into an ordered array.
+// Positions of stale vectors map to null.
+export const mapToEntries = (noteIdMap) => Object.keys(noteIdMap)
+  .sort((a, b) => Number(a) - Number(b))
+  .map(position => noteIdMap[position]);
+
+// Load the index, chunk entries, stored vectors and manifest from a previous run, if they are
+// all present and agree. If indexType (the configured { type }) names a type, an index of another type is rebuilt
+// too, and so is one that does (or doesn't) hold attachment text when attachments says otherwise.
+export const loadIndexFiles = async (indexPath, { log = console.error, indexType = null, attachments = null } = {}) => {
+  try {
+    const paths = indexFilePaths(indexPath);
+    const index = readIndex(paths.index);
+    const entries = mapToEntries(JSON.parse(await fs.readFile(paths.map, 'utf8')));
+
+    // Indexes from before chunking map positions to bare note IDs
+    if (entries.some(entry => typeof entry === 'string')) {
+      log('Existing index stores one vector per note, rebuilding with chunks');
+      return null;
+    }
+
+    if (index.ntotal() !== entries.length) {
+      log('Existing index and ID mapping are out of sync, rebuilding from scratch');
+      return null;
+    }
+
+    const { errors, warnings } = await validateIndexFiles(indexPath, { model: getEmbeddingModel(), index });
+    warnings.forEach(warning => log(`Note: ${warning}`));
+    if (errors.length > 0) {
+      log(`Rebuilding from scratch, as ${errors.join('; ')}`);
+      return null;
+    }
+
+    const manifest = await loadManifest(indexPath);
+    const built = manifestIndexType(manifest);
+    if (indexType && indexType.type && indexType.type !== built.type) {
+      log(`Existing index is ${built.type} but ${indexType.type} was asked for, rebuilding from scratch`);
+      return null;
+    }
+    if (attachments !== null && attachments !== Boolean(manifest.attachments)) {
+      log(`Existing index ${manifest.attachments ? 'includes' : 'leaves out'} attachment text, rebuilding from scratch`);
+      return null;
+    }
+
+    const stored = await openStoredVectors(indexPath, index.getDimension());
+    if (!stored) {
+      log('Existing index has no stored vectors, rebuilding from scratch');
+      return null;
+    }
+    let vectors;
+    try {
+      vectors = await loadStoredVectors(stored);
+    } finally {
+      await closeStoredVectors(stored);
+    }
+
+    return { index, entries, vectors, manifest };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Write the index, position -> chunk mapping, stored vectors and manifest, recording the
+// database they came from
+export const saveIndexFiles = async (indexPath, { index, entries, vectors, manifest }, { dbPath = null } = {}) => {
+  const noteIdMap = {};
+  for (let i = 0; i < entries.length; i++) {
+    noteIdMap[i] = entries[i];
+  }
+
+  return writeIndexFiles(indexPath, { index, noteIdMap, vectors, manifest, dbPath });
+};
+
+// Compare the notes in the database with the manifest using only their modification dates.
+// Notes the access policy hides are left out, so they count as removed once it hides them.
+export const findChangedNotes = async (db, manifest) => {
+  const previousEntries = (manifest && manifest.notes) || {};
+  const schema = await resolveSchema(db);
+  const access = buildPolicyConditions(db.accessPolicy, schema);
+
+  const rows = await db.allAsync(`
+    SELECT
+      ZUNIQUEIDENTIFIER as id,
+      ZMODIFICATIONDATE as modification_date
+    FROM ZSFNOTE
+    WHERE ${schema.adapter.indexableNotes}${access.sql}
+  `, access.params);
+
+  const unchanged = {};
+  const changedIds = [];
+  for (const row of rows) {
+    const entry = previousEntries[row.id];
+    if (entry && entry.modified === row.modification_date) {
+      unchanged[row.id] = entry;
+    } else {
+      changedIds.push(row.id);
+    }
+  }
+
+  // Notes that were indexed before but are now trashed, deleted, encrypted or hidden
+  const currentIds = new Set(rows.map(row => row.id));
+  const removedIds = Object.keys(previousEntries).filter(id => !currentIds.has(id));
+
+  return { total: rows.length, unchanged, changedIds, removedIds };
+};
+
+// Bring an index up to date with the database. previous is { index, entries, vectors,
+// manifest } from an earlier run, or null to build from scratch as indexConfig says (see vector-index.js).
+// A new index embeds the text of the notes' attachments too if attachments is true; an
+// existing one keeps doing whatever it was built to do. Embedding happens first; the index
+// is only trained and modified at the end, in one synchronous step.
+export const updateIndex = async (db, previous, { changes = null, log = console.error, indexConfig = getIndexConfig(), attachments = false } = {}) => {
+  const previousEntries = previous ? previous.manifest.notes || {} : {};
+  const { total, unchanged, changedIds, removedIds } = changes || await findChangedNotes(db, previous && previous.manifest);
+
+  log(`Found ${total} notes, ${changedIds.length} new or modified since the last index`);
+
+  const schema = await resolveSchema(db);
+  const access = buildPolicyConditions(db.accessPolicy, schema);
+  const model = getEmbeddingModel();
+  if (!model) {
+    throw new Error('Embedding model not initialized');
+  }
+  const withAttachments = previous ? Boolean(previous.manifest.attachments) : Boolean(attachments);
+  const manifest = { model, indexType: null, attachments: withAttachments, notes: { ...unchanged } };
+  let skipped = Object.keys(unchanged).length;
+
+  // Load the content of notes with a new modification date and check whether it really changed
+  const toEmbed = [];
+  for (let i = 0; i < changedIds.length; i += FETCH_BATCH_SIZE) {
+    const batch = changedIds.slice(i, i + FETCH_BATCH_SIZE);
+    const notes = await db.allAsync(`
+      SELECT
+        ZUNIQUEIDENTIFIER as id,
+        ZTITLE as title,
+        ZTEXT as content,
+        ZMODIFICATIONDATE as modification_date
+      FROM ZSFNOTE
+      WHERE ZUNIQUEIDENTIFIER IN (${batch.map(() => '?').join(',')}) AND ${schema.adapter.indexableNotes}${access.sql}
+    `, [...batch, ...access.params]);
+    const attachmentTexts = withAttachments ? await loadNoteAttachmentTexts(db, notes.map(note => note.id)) : new Map();
+
+    for (const note of notes) {
+      // Attachment text counts as part of the note's text
+      note.attachments = attachmentTexts.get(note.id) || [];
+      const hash = hashText(`${note.title || ''}\n${note.content || ''}`.trim() +
+        note.attachments.map(attachment => `\n${attachment.id}\n${attachment.text}`).join(''));
+      const entry = previousEntries[note.id];
+
+      // Modified, but the text is unchanged (e.g. only pinned or tagged)
+      if (entry && entry.hash === hash) {
+        manifest.notes[note.id] = { modified: note.modification_date, hash };
+        skipped++;
+        continue;
+      }
+
+      toEmbed.push({ note, hash, isNew: !entry });
+    }
+  }
+
+  // Embed new and changed notes one chunk at a time to avoid memory issues
+  const embedded = [];
+  for (let i = 0; i < toEmbed.length; i++) {
+    const { note } = toEmbed[i];
+
+    try {
+      // Chunks of attachment text carry the attachment's ID, and its name as context. Their
+      // text is kept too, so searches needn't read the attachment again.
+      const chunks = [
+        ...chunkNote(note.title, note.content),
+        ...note.attachments.flatMap(attachment =>
+          chunkNote(`${note.title || 'Untitled'} (${attachment.filename})`, attachment.text)
+            .map(chunk => ({
+              ...chunk,
+              attachment: { id: attachment.id, filename: attachment.filename, text: attachment.text.slice(chunk.start, chunk.end) }
+            })))
+      ];
+      const embeddings = [];
+      for (const chunk of chunks) {
+        embeddings.push(await createEmbedding(chunk.text));
+      }
+      embedded.push({ ...toEmbed[i], chunks, embeddings });
+
+      if ((i + 1) % 50 === 0 || i === toEmbed.length - 1) {
+        log(`Embedded ${i + 1} of ${toEmbed.length} new or changed notes`);
+      }
+    } catch (error) {
+      log(`Error embedding note ${note.id}: ${error.message}`);
+    }
+  }
+
+  // A new index is trained on all the vectors going into it
+  let index;
+  if (previous) {
+    index = previous.index;
+    manifest.indexType = manifestIndexType(previous.manifest);
+  } else {
+    const trainingVectors = embedded.flatMap(item => item.embeddings);
+    const created = createIndex(indexConfig, model.dimension, trainingVectors);
+    index = created.index;
+    manifest.indexType = { type: indexConfig.type || DEFAULT_INDEX_TYPE, factory: created.factory };
+    log(`Building a ${manifest.indexType.type} index (${created.factory}) for ${trainingVectors.length} chunk vectors`);
+  }
+
+  // Drop chunk vectors of changed and removed notes. A flat index compacts the remaining
+  // positions in order; other types keep the vectors, and their positions map to null.
+  const staleIds = new Set(removedIds);
+  toEmbed.filter(item => !item.isNew).forEach(item => staleIds.add(item.note.id));
+
+  let entries = previous ? previous.entries : [];
+  let vectors = previous ? previous.vectors : [];
+  const stalePositions = [];
+  entries.forEach((entry, position) => {
+    if (entry && staleIds.has(entry.id)) {
+      stalePositions.push(position);
+    }
+  });
+  if (stalePositions.length > 0) {
+    if (supportsRemoval(manifest.indexType.factory)) {
+      index.removeIds(stalePositions);
+      const removed = new Set(stalePositions);
+      entries = entries.filter((entry, position) => !removed.has(position));
+      vectors = vectors.filter((vector, position) => !removed.has(position));
+    } else {
+      entries = entries.map(entry => entry && staleIds.has(entry.id) ? null : entry);
+    }
+  }
+
+  // Add the new chunk vectors with their note ID and character offsets, and for attachment
+  // chunks the attachment and its text
+  let added = 0;
+  let updated = 0;
+  for (const { note, hash, isNew, chunks, embeddings } of embedded) {
+    chunks.forEach((chunk, c) => {
+      index.add(embeddings[c]);
+      vectors.push(embeddings[c]);
+      entries.push({
+        id: note.id,
+        start: chunk.start,
+        end: chunk.end,
+        ...(chunk.attachment ? { attachment: chunk.attachment.id, filename: chunk.attachment.filename, text: chunk.attachment.text } : {})
+      });
+    });
+    manifest.notes[note.id] = { modified: note.modification_date, hash };
+
+    if (isNew) {
+      added++;
+    } else {
+      updated++;
+    }
+  }
+
+  const staleChunks = entries.filter(entry => !entry).length;
+  if (staleChunks > entries.length * STALE_REBUILD_RATIO) {
+    log(`${Math.round(staleChunks / entries.length * 100)}% of the vectors in the ${manifest.indexType.type} index belong to changed or deleted notes; run "npm run index -- --full" to rebuild it`);
+  }
+
+  return {
+    index,
+    entries,
+    vectors,
+    manifest,
+    // Notes whose text changed, whether or not their embedding succeeded
+    changedIds: toEmbed.map(item => item.note.id),
+    removedIds,
+    stats: { added, updated, removed: removedIds.length, skipped, staleChunks }
+  };
+};
+
+// Describe the index on disk for the get_index_status tool: its metadata header, whether it
+// passes validation, and how far it lags behind the database. loaded says whether the server
+// is currently searching it, and searchWarning why it isn't searching it as configured (see
+// prepareSearchIndex), which is added to the warnings.
+export const getIndexStatus = async (db, indexPath, { model = null, dbPath = null, loaded = false, searchWarning = null } = {}) => {
+  const { metadata, errors, warnings } = await validateIndexFiles(indexPath, { model, dbPath });
+  const manifest = metadata ? await loadManifest(indexPath) : null;
+  const built = metadata || {};
+  const schema = await resolveSchema(db);
+  const access = buildPolicyConditions(db.accessPolicy, schema);
+
+  const latest = await db.getAsync(`SELECT MAX(ZMODIFICATIONDATE) as modified FROM ZSFNOTE WHERE ${schema.adapter.indexableNotes}${access.sql}`, access.params);
+  const changes = manifest ? await findChangedNotes(db, manifest) : null;
+
+  return {
+    loaded,
+    valid: errors.length === 0,
+    errors,
+    warnings: searchWarning ? [...warnings, searchWarning] : warnings,
+    version: built.version || null,
+    model: built.model ? built.model.name : null,
+    dimension: built.model ? built.model.dimension : null,
+    noteCount: manifest ? Object.keys(manifest.notes || {}).length : 0,
+    indexType: manifest ? manifestIndexType(manifest).factory : null,
+    attachments: manifest ? Boolean(manifest.attachments) : null,
+    chunkCount: built.chunkCount !== undefined ? built.chunkCount : null,
+    staleChunks: built.staleChunkCount || 0,
+    dbPath: built.dbPath || null,
+    builtAt: built.builtAt || null,
+    lastNoteModified: appleTimeToISO(latest && latest.modified),
+    // Notes modified since they were indexed (some may turn out to have unchanged text), and deleted ones
+    changedNotes: changes ? changes.changedIds.length : null,
+    removedNotes: changes ? changes.removedIds.length : null,
+    upToDate: Boolean(changes) && changes.changedIds.length === 0 && changes.removedIds.length === 0
+  };
+};
@@ -0,0 +1,143 @@
+// Where the Bear databases and their vector indexes live. By default the server reads one
+// library: the database from BEAR_DATABASE_PATH (or wherever this Mac's Bear keeps it),
+// with its index at --index-path, BEAR_INDEX_PATH or the XDG data directory.
+//
+// To serve several databases (say your own and a synced copy from a work Mac), list them
+// in a libraries file, ~/.config/bear-mcp-server/libraries.json or BEAR_LIBRARIES_FILE:
+// {
+//   "personal": { "database": "/Users/me/Library/Group Containers/.../database.sqlite" },
+//   "work": { "database": "/Users/me/Sync/work-bear.sqlite", "index": "/Users/me/indexes/work" }
+// }
+// Each library gets its own index, by default in its own folder of the data directory.
+// The first library is the default one tools use when no library argument is given.
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { findDatabasePath } from './bear-versions.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Name of the library when no libraries file is used
+export const DEFAULT_LIBRARY = 'default';
+
+// Base name of the index files inside a data directory
+const INDEX_NAME = 'note_vectors';
+
+// Where indexes lived before they moved to the data directory: inside the package
+const LEGACY_INDEX_PATH = path.join(__dirname, '..', INDEX_NAME);
+
+// Default libraries file
+const DEFAULT_LIBRARIES_FILE = path.join(os.homedir(), '.config', 'bear-mcp-server', 'libraries.json');
+
+// Library names double as folder names, so keep them simple
+const LIBRARY_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Get the libraries file from environment variable or use default
+export const getLibrariesFile = () => process.env.BEAR_LIBRARIES_FILE || DEFAULT_LIBRARIES_FILE;
+
+// Directory for generated data, following the XDG base directory spec
+export const getDataDir = () => path.join(
+  process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share'),
+  'bear-mcp-server'
+);
+
+// Value of a --name value command line option, or undefined
+export const optionValue = (args, name) => {
+  const position = args.indexOf(`--${name}`);
+  if (position === -1) {
+    return undefined;
+  }
+  if (position + 1 >= args.length || args[position + 1].startsWith('--')) {
+    throw new Error(`--${name} needs a value`);
+  }
+  return args[position + 1];
+};
+
+// Index path of the default library: --index-path, then BEAR_INDEX_PATH, then the data
+// directory. An index still sitting inside the package from an older version is used until
+// there is one in the data directory, so upgrading doesn't silently lose semantic search.
+const defaultIndexPath = (indexPath) => {
+  if (indexPath || process.env.BEAR_INDEX_PATH) {
+    return path.resolve(indexPath || process.env.BEAR_INDEX_PATH);
+  }
+  const dataPath = path.join(getDataDir(), INDEX_NAME);
+  if (!fs.existsSync(`${dataPath}.index`) && fs.existsSync(`${LEGACY_INDEX_PATH}.index`)) {
+    console.error(`Note: using the index in ${LEGACY_INDEX_PATH}; move the note_vectors files to ${getDataDir()} or set BEAR_INDEX_PATH`);
+    return LEGACY_INDEX_PATH;
+  }
+  return dataPath;
+};
+
+// Read and check the libraries file. Returns null when there isn't one.
+const readLibrariesFile = (file) => {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT' && !process.env.BEAR_LIBRARIES_FILE) {
+      return null;
+    }
+    throw new Error(`Could not read the libraries file ${file}: ${error.message}`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`The libraries file ${file} is not valid JSON: ${error.message}`);
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config) || Object.keys(config).length === 0) {
+    throw new Error(`The libraries file ${file} should map library names to { "database": ..., "index": ... }`);
+  }
+
+  return Object.entries(config).map(([name, library]) => {
+    if (!LIBRARY_NAME_PATTERN.test(name)) {
+      throw new Error(`Library name "${name}" in ${file} may only contain letters, digits, - and _`);
+    }
+    if (!library || typeof library.database !== 'string') {
+      throw new Error(`Library "${name}" in ${file} needs a "database" path`);
+    }
+    return {
+      name,
+      dbPath: path.resolve(path.dirname(file), library.database),
+      indexPath: library.index
+        ? path.resolve(path.dirname(file), library.index)
+        : path.join(getDataDir(), name, INDEX_NAME)
+    };
+  });
+};
+
+// Get the libraries to serve or index, default first. indexPath (from --index-path) only
+// applies when there is no libraries file; each library's index is set in the file instead.
+export const loadLibraries = ({ indexPath } = {}) => {
+  const file = getLibrariesFile();
+  const libraries = readLibrariesFile(file);
+
+  if (!libraries) {
+    return [{ name: DEFAULT_LIBRARY, dbPath: process.env.BEAR_DATABASE_PATH || findDatabasePath(), indexPath: defaultIndexPath(indexPath) }];
+  }
+
+  if (indexPath || process.env.BEAR_INDEX_PATH) {
+    console.error(`Note: ignoring the index path setting, library indexes are configured in ${file}`);
+  }
+  const indexPaths = new Set(libraries.map(library => library.indexPath));
+  if (indexPaths.size < libraries.length) {
+    throw new Error(`Libraries in ${file} must not share an index path`);
+  }
+  return libraries;
+};
+
+// Find a library by name; no name means the default (first) library
+export const selectLibrary = (libraries, name) => {
+  if (name === undefined || name === null || name === '') {
+    return libraries[0];
+  }
+  const library = libraries.find(candidate => candidate.name === name);
+  if (!library) {
+    throw new Error(`Unknown library "${name}" (expected one of: ${libraries.map(candidate => candidate.name).join(', ')})`);
+  }
+  return library;
+};
@@ -0,0 +1,260 @@
+// Links between notes. Bear notes link to each other with [[Note title]] (or
+// [[Note title/Heading]], optionally with a |label). Bear 2 records the links in its backlink
+// table, which is used when the database has one; otherwise links are parsed from the text
+// and resolved to notes by title. Either way only links between notes that are active and
+// visible under the access policy are returned.
+
+import { findSimilarNotes, noteConditions, retrieveNotes } from '../utils.js';
+import { BATCH_SIZE, batches } from './notes.js';
+import { resolveSchema } from './schema.js';
+
+// [[...]] on a single line
+const WIKI_LINK_PATTERN = /\[\[([^[\]\n]+?)\]\]/g;
+
+// Deepest get_note_graph goes, and the most notes it collects
+export const MAX_GRAPH_DEPTH = 3;
+export const MAX_GRAPH_NOTES = 100;
+
+// Order of linked notes in get_related_notes, after the notes linked both ways
+const RELATION_ORDER = ['links_to', 'linked_from'];
+
+// Escape LIKE wildcards so titles are matched literally
+const escapeLike = (text) => text.replace(/[\\%_]/g, '\\$&');
+
+// Titles a note's text links to, without labels, each once
+export const parseWikiLinks = (text) => {
+  const titles = new Set();
+  for (const match of (text || '').matchAll(WIKI_LINK_PATTERN)) {
+    const title = match[1].split('|')[0].trim();
+    if (title) {
+      titles.add(title);
+    }
+  }
+  return [...titles];
+};
+
+// Titles a link may point at: the whole link, and for [[Note/Heading]] the part before the
+// last slash. Lower case, as Bear matches titles regardless of case.
+const linkTargets = (link) => {
+  const targets = [link.toLowerCase()];
+  const slash = link.lastIndexOf('/');
+  if (slash > 0) {
+    targets.push(link.slice(0, slash).trim().toLowerCase());
+  }
+  return targets;
+};
+
+// The active notes among ids that the access policy lets through, as a Map of ID -> { id, title }
+export const visibleNotes = async (db, ids, { policy = null } = {}) => {
+  const schema = await resolveSchema(db);
+  const access = noteConditions(db, schema, { policy });
+  const visible = new Map();
+
+  for (const batch of batches([...new Set(ids)])) {
+    const rows = await db.allAsync(`
+      SELECT ZUNIQUEIDENTIFIER as id, ZTITLE as title
+      FROM ZSFNOTE
+      WHERE ZUNIQUEIDENTIFIER IN (${batch.map(() => '?').join(',')}) AND ${schema.adapter.activeNotes}${access.sql}
+    `, [...batch, ...access.params]);
+    rows.forEach(row => visible.set(row.id, row));
+  }
+  return visible;
+};
+
+// Links from or to any of the notes, from Bear's backlink table. Each ID is bound twice, so
+// batches are half the usual size.
+const linksFromBacklinkTable = async (db, ids, { backlinks }) => {
+  const links = [];
+  for (const batch of batches(ids, BATCH_SIZE / 2)) {
+    const placeholders = batch.map(() => '?').join(',');
+    const rows = await db.allAsync(`
+      SELECT S.ZUNIQUEIDENTIFIER as source, T.ZUNIQUEIDENTIFIER as target
+      FROM ${backlinks.table} L
+      JOIN ZSFNOTE S ON S.Z_PK = L.ZLINKEDBY
+      JOIN ZSFNOTE T ON T.Z_PK = L.ZLINKINGTO
+      WHERE S.ZUNIQUEIDENTIFIER IN (${placeholders}) OR T.ZUNIQUEIDENTIFIER IN (${placeholders})
+    `, [...batch, ...batch]);
+    links.push(...rows);
+  }
+  return links;
+};
+
+// Map of lower-case title -> note ID for the active notes with one of the titles that the
+// access policy lets through. When several notes share a title, the most recently modified
+// one wins; hidden notes are left out first, so a link to a title shared with a hidden
+// note still finds the visible one.
+const notesByTitle = async (db, titles, schema, { policy = null } = {}) => {
+  const access = noteConditions(db, schema, { policy });
+  const byTitle = new Map();
+  for (const batch of batches([...new Set(titles)])) {
+    const rows = await db.allAsync(`
+      SELECT ZUNIQUEIDENTIFIER as id, ZTITLE as title
+      FROM ZSFNOTE
+      WHERE ZTITLE COLLATE NOCASE IN (${batch.map(() => '?').join(',')}) AND ${schema.adapter.activeNotes}${access.sql}
+      ORDER BY ZMODIFICATIONDATE
+    `, [...batch, ...access.params]);
+    rows.forEach(row => byTitle.set(row.title.toLowerCase(), row.id));
+  }
+  return byTitle;
+};
+
+// Resolve a link to a note ID using a title map, or null
+const resolveLink = (link, byTitle) => {
+  const target = linkTargets(link).find(title => byTitle.has(title));
+  return target ? byTitle.get(target) : null;
+};
+
+// Links from or to any of the notes, parsed from note text: outgoing links from the notes'
+// own text, incoming ones from notes whose text mentions [[their title. Outgoing links resolve
+// to notes the access policy (the database's and policy) lets through.
+const linksFromText = async (db, ids, schema, { policy = null } = {}) => {
+  const { adapter } = schema;
+  const links = [];
+  const notes = [];
+  for (const batch of batches(ids)) {
+    notes.push(...await db.allAsync(`
+      SELECT ZUNIQUEIDENTIFIER as id, ZTITLE as title, ZTEXT as content
+      FROM ZSFNOTE
+      WHERE ZUNIQUEIDENTIFIER IN (${batch.map(() => '?').join(',')}) AND ${adapter.activeNotes}
+    `, batch));
+  }
+
+  // Outgoing
+  const outgoing = notes.map(note => ({ id: note.id, links: parseWikiLinks(note.content) }));
+  const byTitle = await notesByTitle(db, outgoing.flatMap(note => note.links.flatMap(linkTargets)), schema, { policy });
+  for (const note of outgoing) {
+    for (const link of note.links) {
+      const target = resolveLink(link, byTitle);
+      if (target && target !== note.id) {
+        links.push({ source: note.id, target });
+      }
+    }
+  }
+
+  // Incoming: find candidates with LIKE, then check their links really resolve to the note
+  const titled = notes.filter(note => note.title);
+  const ownTitles = new Map(titled.map(note => [note.title.toLowerCase(), note.id]));
+  for (const batch of batches(titled, 50)) {
+    const candidates = await db.allAsync(`
+      SELECT ZUNIQUEIDENTIFIER as id, ZTEXT as content
+      FROM ZSFNOTE
+      WHERE ${adapter.activeNotes} AND (${batch.map(() => 'ZTEXT LIKE ? ESCAPE \'\\\'').join(' OR ')})
+    `, batch.map(note => `%[[${escapeLike(note.title)}%`));
+    for (const candidate of candidates) {
+      for (const link of parseWikiLinks(candidate.content)) {
+        const target = resolveLink(link, ownTitles);
+        if (target && target !== candidate.id) {
+          links.push({ source: candidate.id, target });
+        }
+      }
+    }
+  }
+
+  return links;
+};
+
+// Links from or to any of the notes, as { source, target } pairs (source links to target),
+// each once, between notes the access policy lets through. Returns the links and the
+// visible notes at either end as a Map of ID -> { id, title }.
+export const findNoteLinks = async (db, ids, { policy = null } = {}) => {
+  const schema = await resolveSchema(db);
+  const found = schema.backlinks
+    ? await linksFromBacklinkTable(db, ids, schema)
+    : await linksFromText(db, ids, schema, { policy });
+
+  const notes = await visibleNotes(db, found.flatMap(link => [link.source, link.target]), { policy });
+  const seen = new Set();
+  const links = found.filter(link => {
+    const key = `${link.source}\n${link.target}`;
+    if (seen.has(key) || !notes.has(link.source) || !notes.has(link.target) || link.source === link.target) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+
+  return { links, notes };
+};
+
+// The link neighbourhood of a note: every note reachable by following links in either
+// direction at most depth times, up to maxNotes notes, and the links between them. Nodes
+// carry their distance from the note; truncated says whether maxNotes cut the walk short.
+export const getNoteGraph = async (db, id, { depth = 1, maxNotes = MAX_GRAPH_NOTES, policy = null } = {}) => {
+  const root = (await visibleNotes(db, [id], { policy })).get(id);
+  if (!root) {
+    throw new Error('Note not found');
+  }
+
+  const nodes = new Map([[id, { ...root, depth: 0 }]]);
+  const edges = new Map();
+  let frontier = [id];
+  let truncated = false;
+
+  for (let level = 1; level <= depth && frontier.length > 0; level++) {
+    const { links, notes } = await findNoteLinks(db, frontier, { policy });
+    const next = [];
+    for (const link of links) {
+      for (const noteId of [link.source, link.target]) {
+        if (!nodes.has(noteId)) {
+          if (nodes.size >= maxNotes) {
+            truncated = true;
+            continue;
+          }
+          nodes.set(noteId, { ...notes.get(noteId), depth: level });
+          next.push(noteId);
+        }
+      }
+      if (nodes.has(link.source) && nodes.has(link.target)) {
+        edges.set(`${link.source}\n${link.target}`, link);
+      }
+    }
+    frontier = next;
+  }
+
+  return { root: id, depth, nodes: [...nodes.values()], edges: [...edges.values()], truncated };
+};
+
+// Notes related to a note: those it links to or is linked from, then (with semantic search)
+// the notes nearest to it in the vector index. Each note lists its relations ('links_to',
+// 'linked_from', 'similar'); similar notes carry a score and snippet. limit caps the similar
+// notes, and linked notes are capped at MAX_GRAPH_NOTES.
+export const getRelatedNotes = async (db, id, limit = 10, { semantic = true, minScore = 0, policy = null } = {}) => {
+  const [note] = await retrieveNotes(db, [id], { policy });
+  if (!note) {
+    throw new Error('Note not found');
+  }
+
+  const relations = new Map();
+  const relate = (noteId, relation) => {
+    if (!relations.has(noteId)) {
+      relations.set(noteId, []);
+    }
+    relations.get(noteId).push(relation);
+  };
+
+  const { links } = await findNoteLinks(db, [id], { policy });
+  links.forEach(link => relate(link.source === id ? link.target : link.source, link.source === id ? 'links_to' : 'linked_from'));
+  const linkedIds = [...relations.keys()]
+    .sort((a, b) => relations.get(b).length - relations.get(a).length ||
+      RELATION_ORDER.indexOf(relations.get(a)[0]) - RELATION_ORDER.indexOf(relations.get(b)[0]))
+    .slice(0, MAX_GRAPH_NOTES);
+  const linked = await retrieveNotes(db, linkedIds, { policy });
+
+  const similar = semantic ? await findSimilarNotes(db, id, limit, { policy, minScore }) : [];
+  const similarById = new Map(similar.map(similarNote => [similarNote.id, similarNote]));
+  similar.forEach(similarNote => relate(similarNote.id, 'similar'));
+
+  const related = [
+    ...linked.map(linkedNote => {
+      const { content, ...rest } = linkedNote;
+      const match = similarById.get(linkedNote.id);
+      return match ? { ...rest, score: match.score, snippet: match.snippet } : rest;
+    }),
+    ...similar.filter(similarNote => !linkedIds.includes(similarNote.id))
+  ];
+  related.forEach(relatedNote => {
+    relatedNote.relations = relations.get(relatedNote.id);
+  });
+
+  return { note: { id: note.id, title: note.title }, notes: related };
+};
@@ -0,0 +1,139 @@
+// Lightweight watcher that notices notes being added, changed, trashed or deleted in Bear's
+// database, for resource notifications. It only compares modification dates, so it works
+// without embeddings or a vector index and sees encrypted notes too, and it only polls while
+// something is listening.
+
+import fs from 'fs/promises';
+
+import { resolveSchema } from './schema.js';
+import { buildPolicyConditions } from './access-policy.js';
+
+// Default number of seconds between checks for changes
+export const DEFAULT_NOTIFY_INTERVAL = 10;
+
+// Modification times of the database and its write-ahead log; Bear commits land in the -wal file first
+export const databaseSignature = async (dbPath) => {
+  const times = await Promise.all([dbPath, `${dbPath}-wal`].map(async (file) => {
+    try {
+      const stats = await fs.stat(file);
+      return `${stats.mtimeMs}:${stats.size}`;
+    } catch (error) {
+      return '-';
+    }
+  }));
+  return times.join('|');
+};
+
+// Read the polling interval: BEAR_NOTIFY_INTERVAL seconds, 0 to switch notifications off
+export const getNotifyInterval = () => {
+  const setting = process.env.BEAR_NOTIFY_INTERVAL;
+  if (setting === undefined || setting === '') {
+    return DEFAULT_NOTIFY_INTERVAL;
+  }
+  const interval = Number(setting);
+  if (!Number.isFinite(interval) || interval < 0) {
+    throw new Error(`BEAR_NOTIFY_INTERVAL must be a number of seconds of at least 0, not "${setting}"`);
+  }
+  return interval;
+};
+
+// Modification dates of every active note the database's access policy lets through, by ID
+const loadModificationDates = async (db) => {
+  const schema = await resolveSchema(db);
+  const access = buildPolicyConditions(db.accessPolicy, schema);
+  const rows = await db.allAsync(`
+    SELECT ZUNIQUEIDENTIFIER as id, ZMODIFICATIONDATE as modified
+    FROM ZSFNOTE
+    WHERE ${schema.adapter.activeNotes}${access.sql}
+  `, access.params);
+  return new Map(rows.map(row => [row.id, row.modified]));
+};
+
+// Create a watcher that polls the database every interval seconds while it has listeners
+export const createNoteWatcher = (db, { dbPath, interval = DEFAULT_NOTIFY_INTERVAL }) => {
+  let timer = null;
+  let checking = false;
+  let lastSignature = null;
+  let modificationDates = null;
+  const changeListeners = [];
+
+  // Compare the notes with the last check and tell the listeners what changed. The first
+  // check only takes note of where things stand.
+  const check = async () => {
+    if (checking) {
+      return;
+    }
+    checking = true;
+
+    try {
+      const signature = await databaseSignature(dbPath);
+      if (signature === lastSignature) {
+        return;
+      }
+
+      const current = await loadModificationDates(db);
+      const previous = modificationDates;
+      modificationDates = current;
+      lastSignature = signature;
+      if (!previous) {
+        return;
+      }
+
+      const changedIds = [...current.keys()].filter(id => previous.get(id) !== current.get(id));
+      const removedIds = [...previous.keys()].filter(id => !current.has(id));
+      if (changedIds.length === 0 && removedIds.length === 0) {
+        return;
+      }
+
+      for (const listener of [...changeListeners]) {
+        try {
+          await listener({ changedIds, removedIds });
+        } catch (error) {
+          console.error('Note watcher listener error:', error.message);
+        }
+      }
+    } catch (error) {
+      console.error('Note watcher error:', error.message);
+    } finally {
+      checking = false;
+    }
+  };
+
+  const start = () => {
+    timer = setInterval(check, interval * 1000);
+    // Don't keep the process alive just for the watcher
+    timer.unref();
+    check();
+  };
+
+  // Forget where things stood, so a later listener isn't told about changes from before it came
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+    lastSignature = null;
+    modificationDates = null;
+  };
+
+  return {
+    enabled: interval > 0,
+    check,
+    // Register a function called with { changedIds, removedIds } after notes change, and
+    // start polling if it's the first. Returns a function that removes it again.
+    onChange: (listener) => {
+      changeListeners.push(listener);
+      if (interval > 0 && !timer) {
+        start();
+      }
+      return () => {
+        const position = changeListeners.indexOf(listener);
+        if (position !== -1) {
+          changeListeners.splice(position, 1);
+        }
+        if (changeListeners.length === 0 && timer) {
+          stop();
+        }
+      };
+    },
+    isWatching: () => timer !== null
+  };
+};
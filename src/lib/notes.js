@@ -0,0 +1,104 @@
+// Note rows as tools return them: the shared SELECT list for ZSFNOTE, Apple timestamps
+// converted to ISO dates, and tags and attachments loaded for a whole result set in one
+// grouped query rather than one query per note.
+
+import { resolveSchema } from './schema.js';
+import { loadNoteAttachments } from './attachments.js';
+
+// Seconds between the Unix epoch and Apple's reference date (2001-01-01)
+export const APPLE_EPOCH_OFFSET = 978307200;
+
+// Note IDs, titles or file IDs per query; keeps well under SQLite's limit on bound parameters
+export const BATCH_SIZE = 500;
+
+// Columns selected for a note, aliased to the names tools use. Leave out content when
+// only titles are needed (e.g. listings).
+export const noteColumns = ({ content = true } = {}) => [
+  'ZUNIQUEIDENTIFIER as id',
+  'ZTITLE as title',
+  ...(content ? ['ZTEXT as content'] : []),
+  'ZSUBTITLE as subtitle',
+  'ZCREATIONDATE as creation_date',
+  'ZMODIFICATIONDATE as modification_date'
+].join(',\n  ');
+
+// Split a list into batches of at most size items, for queries with a parameter per item
+export const batches = (items, size = BATCH_SIZE) => Array.from(
+  { length: Math.ceil(items.length / size) },
+  (_, i) => items.slice(i * size, (i + 1) * size)
+);
+
+// Convert Apple's timestamp (seconds since 2001-01-01) to an ISO date string
+export const appleTimeToISO = (value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  return new Date((value + APPLE_EPOCH_OFFSET) * 1000).toISOString();
+};
+
+// Load the tags of many notes at once. Returns a Map of note ID -> tag names.
+export const loadNoteTags = async (db, ids) => {
+  const { noteTags } = await resolveSchema(db);
+  const tagsById = new Map(ids.map(id => [id, []]));
+
+  for (const batch of batches(ids)) {
+    const rows = await db.allAsync(`
+      SELECT ZN.ZUNIQUEIDENTIFIER as id, ZT.ZTITLE as tag_name
+      FROM ${noteTags.table} ZNT
+      JOIN ZSFNOTETAG ZT ON ZT.Z_PK = ZNT.${noteTags.tagColumn}
+      JOIN ZSFNOTE ZN ON ZN.Z_PK = ZNT.${noteTags.noteColumn}
+      WHERE ZN.ZUNIQUEIDENTIFIER IN (${batch.map(() => '?').join(',')})
+      ORDER BY ZT.ZTITLE
+    `, batch);
+
+    for (const row of rows) {
+      tagsById.get(row.id).push(row.tag_name);
+    }
+  }
+
+  return tagsById;
+};
+
+// Turn note rows selected with noteColumns() into the notes tools return: dates as ISO
+// strings and, unless tags or attachments is false, each note's tags and attachments. Rows
+// are updated in place.
+export const hydrateNotes = async (db, notes, { tags = true, attachments = tags } = {}) => {
+  if (tags && notes.length > 0) {
+    try {
+      const tagsById = await loadNoteTags(db, notes.map(note => note.id));
+      notes.forEach(note => {
+        note.tags = tagsById.get(note.id) || [];
+      });
+    } catch (tagError) {
+      console.error('Error fetching tags for notes:', tagError.message);
+      notes.forEach(note => {
+        note.tags = [];
+      });
+    }
+  }
+
+  if (attachments && notes.length > 0) {
+    try {
+      const attachmentsById = await loadNoteAttachments(db, notes.map(note => note.id));
+      notes.forEach(note => {
+        note.attachments = attachmentsById.get(note.id) || [];
+      });
+    } catch (attachmentError) {
+      console.error('Error fetching attachments for notes:', attachmentError.message);
+      notes.forEach(note => {
+        note.attachments = [];
+      });
+    }
+  }
+
+  for (const note of notes) {
+    if ('creation_date' in note) {
+      note.creation_date = appleTimeToISO(note.creation_date);
+    }
+    if ('modification_date' in note) {
+      note.modification_date = appleTimeToISO(note.modification_date);
+    }
+  }
+
+  return notes;
+};
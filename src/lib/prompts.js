@@ -0,0 +1,215 @@
+// MCP prompt templates for common note workflows. Built-in prompts are filled server-side
+// with the right notes; users can add their own as JSON files in a prompts directory.
+//
+// A user prompt file looks like:
+// {
+//   "name": "project_status",
+//   "description": "Status update for a project",
+//   "arguments": [{ "name": "project", "description": "Project name", "required": true }],
+//   "notes": { "query": "{{project}}", "limit": 5, "tags": ["work"], "modified_days": 30 },
+//   "template": "Give me a status update on {{project}} from these notes:\n\n{{notes}}"
+// }
+// "notes" is optional. With a query, notes are found through retrieveForRAG(); without one,
+// the most recently modified notes matching the tags and modified_days are used.
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+import { listNotes, retrieveNotes, retrieveForRAG } from '../utils.js';
+import { parseTodos } from './todos.js';
+
+// Default directory for user prompt templates
+const DEFAULT_PROMPTS_DIR = path.join(os.homedir(), '.config', 'bear-mcp-server', 'prompts');
+
+// Get the prompts directory from environment variable or use default
+export const getPromptsDir = () => process.env.BEAR_PROMPTS_DIR || DEFAULT_PROMPTS_DIR;
+
+// Most notes a recent-notes prompt pulls in
+const MAX_RECENT_NOTES = 50;
+
+// Render notes as markdown sections for a prompt
+const formatNotes = (notes) => {
+  if (notes.length === 0) {
+    return '(No matching notes found.)';
+  }
+  return notes.map(note => [
+    `## ${note.title || 'Untitled'}`,
+    `Note ID: ${note.id}${note.tags && note.tags.length > 0 ? ` | Tags: ${note.tags.map(tag => `#${tag}`).join(' ')}` : ''}`,
+    '',
+    note.content || ''
+  ].join('\n')).join('\n\n---\n\n');
+};
+
+// Parse a numeric prompt argument (prompt arguments always arrive as strings)
+const numberArgument = (value, fallback) => {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+// ISO date a number of days ago
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+// Full notes (with content and tags) matching filters, most recently modified first
+const recentNotes = async (db, filters, limit = MAX_RECENT_NOTES, policy = null) => {
+  const listed = await listNotes(db, { limit, filters, policy });
+  return retrieveNotes(db, listed.map(note => note.id), { policy });
+};
+
+// Open checklist items of a note
+const openTodos = (content) => parseTodos(content)
+  .filter(todo => !todo.completed)
+  .map(todo => `- [ ] ${todo.text}`);
+
+// Built-in prompts, each with a build function that returns the prompt text. build gets the
+// client's access policy, so prompts only draw on notes the client may see.
+const BUILT_IN_PROMPTS = [
+  {
+    name: 'summarize_topic',
+    description: 'Summarise what your Bear notes say about a topic',
+    arguments: [
+      { name: 'topic', description: 'Topic to summarise', required: true },
+      { name: 'limit', description: 'Number of notes to draw on (default: 8)', required: false }
+    ],
+    build: async (db, args, { policy }) => {
+      const notes = await retrieveForRAG(db, args.topic, numberArgument(args.limit, 8), { policy });
+      return `Summarise what my notes say about "${args.topic}". Group related points, call out any open questions or contradictions, and mention which notes each point comes from.\n\n${formatNotes(notes)}`;
+    }
+  },
+  {
+    name: 'weekly_review',
+    description: 'Review the notes you modified over the past week',
+    arguments: [
+      { name: 'days', description: 'How many days to look back (default: 7)', required: false }
+    ],
+    build: async (db, args, { policy }) => {
+      const days = numberArgument(args.days, 7);
+      const notes = await recentNotes(db, { modifiedAfter: daysAgo(days) }, MAX_RECENT_NOTES, policy);
+      return `Help me with a weekly review of the ${notes.length} notes I changed in the past ${days} days. Summarise what I worked on, highlight decisions and open loops, and suggest what to follow up on next week.\n\n${formatNotes(notes)}`;
+    }
+  },
+  {
+    name: 'find_open_todos',
+    description: 'Collect open checklist items from your notes',
+    arguments: [
+      { name: 'tag', description: 'Only notes with this tag (and its nested tags)', required: false }
+    ],
+    build: async (db, args, { policy }) => {
+      const notes = await recentNotes(db, { hasTodos: true, tags: args.tag ? [args.tag] : [] }, MAX_RECENT_NOTES, policy);
+      const sections = notes
+        .map(note => ({ note, todos: openTodos(note.content) }))
+        .filter(({ todos }) => todos.length > 0)
+        .map(({ note, todos }) => `## ${note.title || 'Untitled'}\nNote ID: ${note.id}\n\n${todos.join('\n')}`);
+      const scope = args.tag ? ` tagged #${args.tag.replace(/^#/, '')}` : '';
+      return `Here are the open todos from my notes${scope}. Group them by theme, flag anything that looks urgent or stale, and suggest a sensible order to tackle them.\n\n${sections.length > 0 ? sections.join('\n\n') : '(No open todos found.)'}`;
+    }
+  },
+  {
+    name: 'answer_from_notes',
+    description: 'Answer a question using only your Bear notes as the source',
+    arguments: [
+      { name: 'question', description: 'Question to answer', required: true },
+      { name: 'limit', description: 'Number of notes to draw on (default: 5)', required: false }
+    ],
+    build: async (db, args, { policy }) => {
+      const notes = await retrieveForRAG(db, args.question, numberArgument(args.limit, 5), { policy });
+      return `Answer the question below using only the notes provided. Cite the titles of the notes you rely on, and say so plainly if the notes don't contain the answer.\n\nQuestion: ${args.question}\n\n${formatNotes(notes)}`;
+    }
+  }
+];
+
+// Replace {{name}} placeholders with values
+const fillTemplate = (template, values) => template.replace(/\{\{\s*([\w-]+)\s*\}\}/g, (match, name) =>
+  values[name] !== undefined ? String(values[name]) : match
+);
+
+// Turn a user prompt definition into a prompt with a build function
+const fromDefinition = (definition, file) => {
+  if (!definition.name || typeof definition.template !== 'string') {
+    throw new Error(`${file} needs a "name" and a "template"`);
+  }
+
+  return {
+    name: definition.name,
+    description: definition.description || '',
+    arguments: definition.arguments || [],
+    build: async (db, args, { policy }) => {
+      let notesText = '';
+      if (definition.notes) {
+        const { query, limit, tags, modified_days: modifiedDays } = definition.notes;
+        const filters = {
+          tags: (tags || []).map(tag => fillTemplate(tag, args)),
+          modifiedAfter: modifiedDays ? daysAgo(modifiedDays) : undefined
+        };
+        const notes = query
+          ? await retrieveForRAG(db, fillTemplate(query, args), limit || 5, { filters, policy })
+          : await recentNotes(db, filters, limit || MAX_RECENT_NOTES, policy);
+        notesText = formatNotes(notes);
+      }
+      return fillTemplate(definition.template, { ...args, notes: notesText });
+    }
+  };
+};
+
+// Load user prompt templates from the prompts directory. Bad files are logged and skipped.
+const loadUserPrompts = async (promptsDir) => {
+  let files;
+  try {
+    files = (await fs.readdir(promptsDir)).filter(file => file.endsWith('.json')).sort();
+  } catch (error) {
+    return [];
+  }
+
+  const prompts = [];
+  for (const file of files) {
+    try {
+      const definition = JSON.parse(await fs.readFile(path.join(promptsDir, file), 'utf8'));
+      prompts.push(fromDefinition(definition, file));
+    } catch (error) {
+      console.error(`Skipping prompt template ${file}:`, error.message);
+    }
+  }
+
+  if (prompts.length > 0) {
+    console.error(`Loaded ${prompts.length} prompt templates from ${promptsDir}`);
+  }
+  return prompts;
+};
+
+// Create the set of prompts the server offers; user prompts override built-ins with the same name
+export const createPromptRegistry = async (db, { promptsDir = getPromptsDir() } = {}) => {
+  const prompts = new Map();
+  for (const prompt of [...BUILT_IN_PROMPTS, ...await loadUserPrompts(promptsDir)]) {
+    prompts.set(prompt.name, prompt);
+  }
+
+  return {
+    list: () => [...prompts.values()].map(({ name, description, arguments: args }) => ({
+      name,
+      description,
+      arguments: args
+    })),
+
+    // Fill a prompt from the notes policy lets through; throws if it does not exist or a
+    // required argument is missing
+    get: async (name, args = {}, { policy = null } = {}) => {
+      const prompt = prompts.get(name);
+      if (!prompt) {
+        throw new Error(`Prompt not found: ${name}`);
+      }
+
+      const missing = prompt.arguments
+        .filter(argument => argument.required && !args[argument.name])
+        .map(argument => argument.name);
+      if (missing.length > 0) {
+        throw new Error(`Missing required arguments: ${missing.join(', ')}`);
+      }
+
+      const text = await prompt.build(db, args, { policy });
+      return {
+        description: prompt.description,
+        messages: [{ role: 'user', content: { type: 'text', text } }]
+      };
+    }
+  };
+};
@@ -0,0 +1,141 @@
+// Bear database schema introspection. Core Data numbers its junction tables and columns
+// (Z_5TAGS, Z_5NOTES, Z_13TAGS, ...) and renumbers them between Bear versions, so the
+// names are looked up from sqlite_master and PRAGMA table_info instead of being hard-coded.
+// The detected schema also carries the query adapter for the Bear generation (bear-versions.js).
+
+import { createQueryAdapter, detectGeneration } from './bear-versions.js';
+
+// Columns every query relies on
+const REQUIRED_NOTE_COLUMNS = [
+  'Z_PK',
+  'ZUNIQUEIDENTIFIER',
+  'ZTITLE',
+  'ZTEXT',
+  'ZTRASHED',
+  'ZCREATIONDATE',
+  'ZMODIFICATIONDATE'
+];
+
+// Tables that may hold a note's files and images, newest name first
+const FILE_TABLE_CANDIDATES = ['ZSFNOTEFILE', 'ZSFNOTEIMAGE'];
+
+// Table recording links between notes
+const BACKLINK_TABLE = 'ZSFNOTEBACKLINK';
+
+// Get the column names of a table
+const columnsOf = async (db, table) => (await db.allAsync(`PRAGMA table_info(${table})`)).map(column => column.name);
+
+// Find the note-tag junction table. Prefer the Core Data shape Z_<n>TAGS with Z_<n>NOTES and
+// Z_<n>TAGS columns; otherwise fall back to any Z_ table with a note and a tag column (the
+// heuristic explore-database.js uses), skipping pinned-in-tag and full-text tables.
+const findNoteTagJunction = async (db, tables) => {
+  const strict = tables.filter(name => /^Z_\d+TAGS$/.test(name));
+  const loose = tables.filter(name => name.startsWith('Z_') && !strict.includes(name) &&
+    !name.includes('FTS') && !name.includes('PINNED'));
+
+  for (const table of [...strict, ...loose]) {
+    const columns = await columnsOf(db, table);
+    const isStrict = strict.includes(table);
+    const noteColumn = columns.find(column => isStrict ? /^Z_\d+NOTES$/.test(column) : column.includes('NOTE') && !column.includes('PINNED'));
+    const tagColumn = columns.find(column => isStrict ? /^Z_\d+TAGS$/.test(column) : column.includes('TAG') && !column.includes('PINNED'));
+    if (noteColumn && tagColumn) {
+      return { table, noteColumn, tagColumn };
+    }
+  }
+  return null;
+};
+
+// Find the table of files and images attached to notes
+const findFileTable = async (db, tables) => {
+  for (const table of FILE_TABLE_CANDIDATES.filter(name => tables.includes(name))) {
+    const columns = await columnsOf(db, table);
+    if (columns.includes('ZNOTE')) {
+      return { table, columns };
+    }
+  }
+  return null;
+};
+
+// Find the table of links between notes
+const findBacklinkTable = async (db, tables) => {
+  if (!tables.includes(BACKLINK_TABLE)) {
+    return null;
+  }
+  const columns = await columnsOf(db, BACKLINK_TABLE);
+  if (!columns.includes('ZLINKEDBY') || !columns.includes('ZLINKINGTO')) {
+    return null;
+  }
+  return { table: BACKLINK_TABLE, columns };
+};
+
+// Inspect the database and resolve the table and column names queries should use.
+// Throws with a diagnostic listing what is missing if the schema is not supported.
+export const detectSchema = async (db) => {
+  const tables = (await db.allAsync(`
+    SELECT name FROM sqlite_master
+    WHERE type = 'table'
+    ORDER BY name
+  `)).map(table => table.name);
+
+  const problems = [];
+  let noteColumns = [];
+
+  if (tables.includes('ZSFNOTE')) {
+    noteColumns = await columnsOf(db, 'ZSFNOTE');
+    const missing = REQUIRED_NOTE_COLUMNS.filter(column => !noteColumns.includes(column));
+    if (missing.length > 0) {
+      problems.push(`note table ZSFNOTE is missing columns: ${missing.join(', ')}`);
+    }
+  } else {
+    problems.push('note table ZSFNOTE not found');
+  }
+
+  if (!tables.includes('ZSFNOTETAG')) {
+    problems.push('tag table ZSFNOTETAG not found');
+  }
+
+  const noteTags = await findNoteTagJunction(db, tables);
+  if (!noteTags) {
+    problems.push('no note-tag junction table found (looked for Z_<n>TAGS with Z_<n>NOTES and Z_<n>TAGS columns)');
+  }
+
+  if (problems.length > 0) {
+    throw new Error([
+      'Unsupported Bear database schema:',
+      ...problems.map(problem => `  - ${problem}`),
+      `Tables found: ${tables.length > 0 ? tables.join(', ') : '(none)'}`,
+      'Check BEAR_DATABASE_PATH points at Bear\'s database.sqlite, or run "npm run explore" to inspect the database.'
+    ].join('\n'));
+  }
+
+  const generation = detectGeneration(tables, noteColumns);
+
+  return {
+    generation,
+    adapter: createQueryAdapter(generation, noteColumns, noteTags),
+    noteColumns,
+    noteTags,
+    files: await findFileTable(db, tables),
+    backlinks: await findBacklinkTable(db, tables)
+  };
+};
+
+// Get the schema for a database connection, detecting it on first use
+export const resolveSchema = (db) => {
+  if (!db.schemaPromise) {
+    db.schemaPromise = detectSchema(db);
+    // Let a failed detection be retried rather than cached
+    db.schemaPromise.catch(() => {
+      db.schemaPromise = null;
+    });
+  }
+  return db.schemaPromise;
+};
+
+// One-line description of a resolved schema for logs
+export const describeSchema = ({ generation, noteTags, files, backlinks }) => [
+  `Bear ${generation}`,
+  `tags via ${noteTags.table} (${noteTags.noteColumn} -> ${noteTags.tagColumn})`,
+  `files: ${files ? files.table : 'none'}`,
+  `backlinks: ${backlinks ? backlinks.table : 'none'}`
+].join(', ');
@@ -0,0 +1,124 @@
+// Keeping results small: short snippets around the matched terms or best chunk with the
+// terms highlighted, and packing the most relevant passages into a size budget for RAG.
+
+// Default length of a snippet in characters
+export const SNIPPET_CHARS = 240;
+
+// Rough characters per token for English text, used to turn a token budget into characters
+export const CHARS_PER_TOKEN = 4;
+
+// Terms shorter than this are not highlighted ("a", "of", ...)
+const MIN_HIGHLIGHT_LENGTH = 3;
+
+// Escape a string for use in a regular expression
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-insensitive pattern matching any of the query's terms and phrases, longest first so
+// a phrase wins over the words in it. Returns null when there is nothing to highlight.
+const highlightPattern = ({ terms = [], phrases = [] }) => {
+  const words = [...phrases, ...terms]
+    .filter(word => word.length >= MIN_HIGHLIGHT_LENGTH)
+    .sort((a, b) => b.length - a.length);
+  return words.length > 0 ? new RegExp(words.map(escapeRegExp).join('|'), 'gi') : null;
+};
+
+// Wrap matches of the query in **bold**
+export const highlight = (text, query) => {
+  const pattern = highlightPattern(query);
+  return pattern ? text.replace(pattern, match => `**${match}**`) : text;
+};
+
+// Move start back and end forward to the nearest whitespace, so words are not cut in half
+const snapToWords = (text, start, end) => {
+  while (start > 0 && !/\s/.test(text[start - 1])) {
+    start--;
+  }
+  while (end < text.length && !/\s/.test(text[end])) {
+    end++;
+  }
+  return [start, end];
+};
+
+// Short excerpt of a note's content with the query highlighted. The excerpt is centred on the
+// best matching chunk if there is one ({ start, end } offsets from the vector index), otherwise
+// on the first match of the query, otherwise it is the start of the note.
+export const createSnippet = (content, query, { chunk = null, maxChars = SNIPPET_CHARS } = {}) => {
+  const text = content || '';
+  if (!text) {
+    return '';
+  }
+
+  let focus = 0;
+  if (chunk && chunk.end > chunk.start) {
+    focus = chunk.start;
+    // Prefer a match inside the chunk, so the snippet shows why it matched
+    const pattern = highlightPattern(query);
+    const match = pattern && pattern.exec(text.slice(chunk.start, chunk.end));
+    if (match) {
+      focus += match.index;
+    }
+  } else {
+    const pattern = highlightPattern(query);
+    const match = pattern && pattern.exec(text);
+    if (match) {
+      focus = match.index;
+    }
+  }
+
+  // Start a little before the focus so the match has some context in front of it
+  let start = Math.max(0, focus - Math.floor(maxChars / 4));
+  let end = Math.min(text.length, start + maxChars);
+  start = Math.max(0, end - maxChars);
+  [start, end] = snapToWords(text, start, end);
+
+  const excerpt = text.slice(start, end).replace(/\s+/g, ' ').trim();
+  return `${start > 0 ? '…' : ''}${highlight(excerpt, query)}${end < text.length ? '…' : ''}`;
+};
+
+// Cut text down to at most maxChars, at a word boundary where possible
+const truncateText = (text, maxChars) => {
+  if (text.length <= maxChars) {
+    return text;
+  }
+  const cut = text.slice(0, maxChars - 1);
+  const lastSpace = cut.search(/\s\S*$/);
+  return `${lastSpace > maxChars / 2 ? cut.slice(0, lastSpace) : cut}…`;
+};
+
+// Pack the most relevant passages of a ranked list of notes into maxChars. Notes without
+// passages count as one passage holding their whole content. Passages are taken best first
+// (by score, then rank) and skipped when they do not fit, so smaller ones can still use the
+// room left; if not even the best passage fits, it is truncated. Notes come back in order of
+// their best packed passage, each with only its packed passages.
+export const packPassages = (notes, maxChars) => {
+  const candidates = notes.flatMap((note, rank) => {
+    const passages = note.passages || [{ text: note.content || '', start: 0, end: (note.content || '').length, score: note.score }];
+    return passages.map(passage => ({ note, rank, passage }));
+  });
+
+  candidates.sort((a, b) => {
+    const scoreA = typeof a.passage.score === 'number' ? a.passage.score : -Infinity;
+    const scoreB = typeof b.passage.score === 'number' ? b.passage.score : -Infinity;
+    return scoreB - scoreA || a.rank - b.rank;
+  });
+
+  const packed = new Map();
+  let used = 0;
+  for (const { note, passage } of candidates) {
+    let text = passage.text;
+    if (used + text.length > maxChars) {
+      if (used > 0) {
+        continue;
+      }
+      text = truncateText(text, maxChars);
+    }
+    if (!packed.has(note.id)) {
+      const { content, passages, ...rest } = note;
+      packed.set(note.id, { ...rest, passages: [] });
+    }
+    packed.get(note.id).passages.push({ ...passage, text });
+    used += text.length;
+  }
+
+  return { notes: [...packed.values()], usedChars: used };
+};
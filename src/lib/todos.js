@@ -0,0 +1,161 @@
+// Checklist items across notes. Bear writes todos as markdown checklists, "- [ ] open" and
+// "- [x] done" (any list marker, at any indent), and counts the open and completed ones per
+// note; the items themselves are parsed from the note text, with the headings they sit under
+// and their line numbers.
+
+import { noteConditions, semanticSearch } from '../utils.js';
+import { parseSearchQuery } from './fulltext.js';
+import { appleTimeToISO } from './notes.js';
+import { resolveSchema } from './schema.js';
+
+// A checklist item: list marker, [ ], [x] or [X], then the item text
+const TODO_PATTERN = /^\s*(?:[-*+]|\d+[.)])\s+\[([ xX])\]\s+(.*)$/;
+
+// A markdown heading line, and the start of a fenced code block (no todos or headings inside)
+const HEADING_PATTERN = /^(#{1,6})\s+(.*\S)\s*$/;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+
+// Notes a semantic todo search draws on
+const MAX_SEMANTIC_NOTES = 50;
+
+// Notes read per query, and at most per call, so a page of todos never parses every note
+const NOTES_PER_QUERY = 100;
+export const MAX_SCANNED_NOTES = 500;
+
+// Which items each status keeps
+export const TODO_STATUSES = {
+  open: (todo) => !todo.completed,
+  completed: (todo) => todo.completed,
+  all: () => true
+};
+
+// Checklist items of a note's text, in order: their text, whether they're ticked off, their
+// line number (from 1), the nearest heading above them and the whole heading path
+export const parseTodos = (content) => {
+  const todos = [];
+  const headings = [];
+  let inFence = false;
+
+  (content || '').split('\n').forEach((line, i) => {
+    if (FENCE_PATTERN.test(line)) {
+      inFence = !inFence;
+      return;
+    }
+    if (inFence) {
+      return;
+    }
+
+    const heading = HEADING_PATTERN.exec(line);
+    if (heading) {
+      // A heading ends every section at its level or deeper
+      const level = heading[1].length;
+      while (headings.length > 0 && headings[headings.length - 1].level >= level) {
+        headings.pop();
+      }
+      headings.push({ level, text: heading[2] });
+      return;
+    }
+
+    const todo = TODO_PATTERN.exec(line);
+    if (todo && todo[2].trim()) {
+      todos.push({
+        text: todo[2].trim(),
+        completed: todo[1] !== ' ',
+        line: i + 1,
+        heading: headings.length > 0 ? headings[headings.length - 1].text : null,
+        headings: headings.map(entry => entry.text)
+      });
+    }
+  });
+
+  return todos;
+};
+
+// Whether a todo matches a keyword query: every term and phrase appears in the item, its
+// headings or its note's title, and no excluded one does
+const matchesQuery = (todo, note, { terms, phrases, excluded }) => {
+  const text = [note.title || '', ...todo.headings, todo.text].join('\n').toLowerCase();
+  return [...terms, ...phrases].every(word => text.includes(word.toLowerCase())) &&
+    !excluded.some(word => text.includes(word.toLowerCase()));
+};
+
+// Up to limit notes, from offset on, that may hold todos with a status, passing the filters
+// and access policies, most recently modified first. LIKE narrows them down before their
+// text is parsed.
+const notesWithTodos = async (db, status, { filters, policy, limit, offset }) => {
+  const schema = await resolveSchema(db);
+  const filter = noteConditions(db, schema, { filters, policy });
+  const patterns = { open: ['%[ ]%'], completed: ['%[x]%'], all: ['%[ ]%', '%[x]%'] }[status];
+
+  const notes = await db.allAsync(`
+    SELECT ZUNIQUEIDENTIFIER as id, ZTITLE as title, ZTEXT as content, ZMODIFICATIONDATE as modification_date
+    FROM ZSFNOTE
+    WHERE ${schema.adapter.activeNotes} AND (${patterns.map(() => 'ZTEXT LIKE ?').join(' OR ')})${filter.sql}
+    ORDER BY ZMODIFICATIONDATE DESC, Z_PK
+    LIMIT ? OFFSET ?
+  `, [...patterns, ...filter.params, limit, offset]);
+  return notes.map(note => ({ ...note, modification_date: appleTimeToISO(note.modification_date) }));
+};
+
+// Checklist items across notes, a page at a time. status is 'open', 'completed' or 'all'.
+// Without a query, items come from the most recently modified notes first. With one,
+// semantic search picks the notes most related to it (up to MAX_SEMANTIC_NOTES, most
+// related first) and returns all their items; otherwise only items whose text, headings or
+// note title contain the query are kept. Each item carries its note's ID, title and
+// modification date.
+//
+// A page holds up to limit items from start ({ note, item }: the position of a note in that
+// order and of an item among the note's matching ones) on. Notes are read a batch at a
+// time until the page is full, and no more than MAX_SCANNED_NOTES of them, so the page may
+// come back short. Resolves to { todos, next }, next being where the next page starts, or
+// null when there are no more notes.
+export const listTodos = async (db, {
+  status = 'open',
+  query = null,
+  semantic = false,
+  filters = null,
+  policy = null,
+  limit = 50,
+  start = { note: 0, item: 0 }
+} = {}) => {
+  if (!TODO_STATUSES[status]) {
+    throw new Error(`Unknown todo status: ${status} (expected: ${Object.keys(TODO_STATUSES).join(', ')})`);
+  }
+
+  let loadNotes;
+  if (query && semantic) {
+    // Open todos are counted per note, so notes without any can be skipped up front
+    const todoFilters = status === 'open' ? { ...(filters || {}), hasTodos: true } : filters;
+    const related = await semanticSearch(db, query, MAX_SEMANTIC_NOTES, { filters: todoFilters, policy });
+    loadNotes = async (offset, count) => related.slice(offset, offset + count);
+  } else {
+    loadNotes = (offset, count) => notesWithTodos(db, status, { filters, policy, limit: count, offset });
+  }
+
+  const parsedQuery = query && !semantic ? parseSearchQuery(query) : null;
+  const todos = [];
+  let position = start.note;
+  while (position < start.note + MAX_SCANNED_NOTES) {
+    const count = Math.min(NOTES_PER_QUERY, start.note + MAX_SCANNED_NOTES - position);
+    const notes = await loadNotes(position, count);
+    for (const note of notes) {
+      const items = parseTodos(note.content)
+        .filter(TODO_STATUSES[status])
+        .filter(todo => !parsedQuery || matchesQuery(todo, note, parsedQuery));
+      for (let item = position === start.note ? start.item : 0; item < items.length; item++) {
+        // One more item than fits is where the next page starts
+        if (todos.length === limit) {
+          return { todos, next: { note: position, item } };
+        }
+        todos.push({ ...items[item], noteId: note.id, noteTitle: note.title, modified: note.modification_date });
+      }
+      position++;
+    }
+    if (notes.length < count) {
+      return { todos, next: null };
+    }
+  }
+
+  // Scanned as many notes as a page may, and there could be more after them
+  return { todos, next: { note: position, item: 0 } };
+};
@@ -0,0 +1,407 @@
+// MCP tool results: readable markdown text blocks, a structuredContent payload matching
+// each tool's declared output schema, and isError for failures.
+
+// Result with a markdown text block and, optionally, structured content
+export const toolResult = (text, structuredContent) => ({
+  content: [{ type: 'text', text }],
+  ...(structuredContent ? { structuredContent } : {})
+});
+
+// Failed tool call; reported as a result with isError so the model can see what went wrong
+export const toolError = (message) => ({
+  content: [{ type: 'text', text: message }],
+  isError: true
+});
+
+// Render a list of tags as #tag #other
+const formatTags = (tags) => (tags || []).map(tag => `#${tag}`).join(' ');
+
+// Render a file size as 12 KB
+const formatSize = (size) => typeof size === 'number'
+  ? (size < 1024 ? `${size} bytes` : size < 1024 * 1024 ? `${Math.round(size / 1024)} KB` : `${(size / 1024 / 1024).toFixed(1)} MB`)
+  : 'unknown size';
+
+// One-line summary of a note's ID, score, matching retrievers, relations, tags and attachments
+const formatNoteMeta = (note) => [
+  `ID: ${note.id}`,
+  typeof note.score === 'number' ? `score: ${note.score.toFixed(3)}` : null,
+  note.matchedBy ? `matched by: ${note.matchedBy.join(', ')}` : null,
+  note.relations ? `related by: ${note.relations.map(relation => relation.replace('_', ' ')).join(', ')}` : null,
+  note.tags && note.tags.length > 0 ? `tags: ${formatTags(note.tags)}` : null,
+  note.attachments && note.attachments.length > 0 ? `attachments: ${note.attachments.map(attachment => attachment.filename).join(', ')}` : null
+].filter(Boolean).join(' | ');
+
+// Render matching passages as block quotes
+const formatPassages = (passages) => passages
+  .map(passage => passage.text.split('\n').map(line => `> ${line}`).join('\n'))
+  .join('\n>\n');
+
+// Markdown for a list of search results: title, metadata and subtitle or passages
+export const formatNoteList = (notes, heading) => {
+  if (notes.length === 0) {
+    return `${heading}\n\nNo matching notes found.`;
+  }
+
+  const items = notes.map((note, i) => {
+    const lines = [`${i + 1}. **${note.title || 'Untitled'}**`, `   ${formatNoteMeta(note)}`];
+    if (note.passages) {
+      lines.push('', formatPassages(note.passages));
+    } else if (note.snippet) {
+      lines.push(`   ${note.snippet}`);
+    } else if (note.subtitle) {
+      lines.push(`   ${note.subtitle}`);
+    }
+    return lines.join('\n');
+  });
+
+  return `${heading}\n\n${items.join('\n\n')}`;
+};
+
+// Line telling the model how to fetch the next page, or nothing on the last page
+export const formatMoreResults = (nextCursor) => nextCursor
+  ? `\n\nMore results available. To see them, call again with the same arguments and cursor: ${nextCursor}`
+  : '';
+
+// Markdown for notes including their content, used as RAG context
+export const formatNoteContext = (notes, heading) => {
+  if (notes.length === 0) {
+    return `${heading}\n\nNo relevant notes found.`;
+  }
+
+  const sections = notes.map(note => [
+    `## ${note.title || 'Untitled'}`,
+    formatNoteMeta(note),
+    '',
+    note.passages ? formatPassages(note.passages) : (note.content || '')
+  ].join('\n'));
+
+  return `${heading}\n\n${sections.join('\n\n---\n\n')}`;
+};
+
+// Markdown for a single note: its metadata and attachments followed by the note itself
+export const formatNote = (note) => [
+  formatNoteMeta(note),
+  note.creation_date ? `Created: ${note.creation_date}` : null,
+  note.modification_date ? `Modified: ${note.modification_date}` : null,
+  ...(note.attachments && note.attachments.length > 0
+    ? ['Attachments:', ...note.attachments.map(attachment =>
+      `- ${attachment.filename} (ID: ${attachment.id}, ${attachment.type}, ${formatSize(attachment.size)}${attachment.hasText ? ', has text' : ''})`)]
+    : []),
+  '',
+  note.content || ''
+].filter(line => line !== null).join('\n');
+
+// Markdown for an attachment: what it is, where it is and its text
+export const formatAttachment = ({ attachment, text, textSource, textError, truncated }) => [
+  `${attachment.filename} (ID: ${attachment.id}, ${attachment.type}, ${formatSize(attachment.size)})`,
+  `Note: ${attachment.note.title || 'Untitled'} (ID: ${attachment.note.id})`,
+  `Local file: ${attachment.path || 'not on this Mac'}`,
+  '',
+  text
+    ? `Text (${textSource === 'pdf' ? 'extracted from the PDF' : 'from Bear'}${truncated ? ', truncated' : ''}):\n\n${text}`
+    : `No text available${textError ? `: ${textError}` : ''}.`
+].join('\n');
+
+// Markdown for a note's link graph: the notes by distance, then the links between them
+export const formatNoteGraph = (graph) => {
+  const titles = new Map(graph.nodes.map(node => [node.id, node.title || 'Untitled']));
+  const nodes = graph.nodes.map(node => `- **${node.title || 'Untitled'}** (ID: ${node.id}, depth ${node.depth})`);
+  const edges = graph.edges.map(edge => `- ${titles.get(edge.source)} → ${titles.get(edge.target)}`);
+  return [
+    `Link graph of "${titles.get(graph.root)}" to depth ${graph.depth}: ${graph.nodes.length} notes, ${graph.edges.length} links${graph.truncated ? ' (stopped at the note limit)' : ''}`,
+    '',
+    'Notes:',
+    ...nodes,
+    '',
+    'Links:',
+    ...(edges.length > 0 ? edges : ['(none)'])
+  ].join('\n');
+};
+
+// Markdown for checklist items, grouped under the notes they come from
+export const formatTodoList = (todos, heading) => {
+  if (todos.length === 0) {
+    return `${heading}\n\nNo matching todos found.`;
+  }
+
+  const sections = [];
+  for (const todo of todos) {
+    const last = sections[sections.length - 1];
+    const item = `- [${todo.completed ? 'x' : ' '}] ${todo.text} (line ${todo.line}${todo.heading ? `, under "${todo.heading}"` : ''})`;
+    if (last && last.noteId === todo.noteId) {
+      last.items.push(item);
+    } else {
+      sections.push({ noteId: todo.noteId, items: [`**${todo.noteTitle || 'Untitled'}** (ID: ${todo.noteId})`, item] });
+    }
+  }
+
+  return `${heading}\n\n${sections.map(section => section.items.join('\n')).join('\n\n')}`;
+};
+
+// Markdown for a list of tags
+export const formatTagList = (tags) => tags.length > 0
+  ? `${tags.length} tags:\n\n${tags.map(tag => `- #${tag}`).join('\n')}`
+  : 'No tags found.';
+
+// Markdown for a key/value object, one item per line
+export const formatFields = (heading, fields) => `${heading}\n\n${Object.entries(fields)
+  .map(([key, value]) => `- ${key}: ${value !== null && typeof value === 'object' ? JSON.stringify(value) : value}`)
+  .join('\n')}`;
+
+// JSON schema of an attachment of a note
+const ATTACHMENT_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    filename: { type: ['string', 'null'] },
+    type: { type: 'string' },
+    size: { type: ['number', 'null'] },
+    path: { type: ['string', 'null'] },
+    hasText: { type: 'boolean' }
+  },
+  required: ['id', 'type']
+};
+
+// JSON schema shared by the note objects tools return
+const NOTE_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    title: { type: ['string', 'null'] },
+    subtitle: { type: ['string', 'null'] },
+    content: { type: ['string', 'null'] },
+    snippet: { type: 'string' },
+    creation_date: { type: ['string', 'null'] },
+    modification_date: { type: ['string', 'null'] },
+    tags: { type: 'array', items: { type: 'string' } },
+    attachments: { type: 'array', items: ATTACHMENT_SCHEMA },
+    score: { type: 'number' },
+    semanticScore: { type: 'number' },
+    passages: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          text: { type: 'string' },
+          start: { type: 'number' },
+          end: { type: 'number' },
+          score: { type: 'number' },
+          attachment: { type: 'string' }
+        }
+      }
+    },
+    matchedBy: { type: 'array', items: { type: 'string' } },
+    relations: { type: 'array', items: { type: 'string', enum: ['links_to', 'linked_from', 'similar'] } }
+  },
+  required: ['id']
+};
+
+// Result of the write tools
+const WRITE_ACTION_SCHEMA = {
+  type: 'object',
+  properties: {
+    action: { type: 'string' },
+    url: { type: 'string' },
+    id: { type: 'string' },
+    status: { type: 'string' }
+  },
+  required: ['action', 'url', 'status']
+};
+
+// Output schemas declared for each tool's structuredContent
+export const OUTPUT_SCHEMAS = {
+  search_notes: {
+    type: 'object',
+    properties: {
+      notes: { type: 'array', items: NOTE_SCHEMA },
+      searchMethod: { type: 'string', enum: ['semantic', 'keyword', 'hybrid'] },
+      hasMore: { type: 'boolean' },
+      nextCursor: { type: 'string' }
+    },
+    required: ['notes', 'searchMethod', 'hasMore']
+  },
+  list_notes: {
+    type: 'object',
+    properties: {
+      notes: { type: 'array', items: NOTE_SCHEMA },
+      hasMore: { type: 'boolean' },
+      nextCursor: { type: 'string' }
+    },
+    required: ['notes', 'hasMore']
+  },
+  get_note: {
+    type: 'object',
+    properties: {
+      note: NOTE_SCHEMA
+    },
+    required: ['note']
+  },
+  get_tags: {
+    type: 'object',
+    properties: {
+      tags: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['tags']
+  },
+  get_index_sync_status: {
+    type: 'object',
+    properties: {
+      status: {
+        type: 'object',
+        properties: {
+          enabled: { type: 'boolean' },
+          intervalSeconds: { type: 'number' },
+          syncing: { type: 'boolean' },
+          lastCheckTime: { type: ['string', 'null'] },
+          lastSyncTime: { type: ['string', 'null'] },
+          pendingNotes: { type: 'number' },
+          lastResult: { type: ['object', 'null'] },
+          lastError: { type: ['string', 'null'] }
+        }
+      }
+    },
+    required: ['status']
+  },
+  get_index_status: {
+    type: 'object',
+    properties: {
+      status: {
+        type: 'object',
+        properties: {
+          library: { type: 'string' },
+          loaded: { type: 'boolean' },
+          valid: { type: 'boolean' },
+          errors: { type: 'array', items: { type: 'string' } },
+          warnings: { type: 'array', items: { type: 'string' } },
+          version: { type: ['number', 'null'] },
+          model: { type: ['string', 'null'] },
+          dimension: { type: ['number', 'null'] },
+          noteCount: { type: 'number' },
+          indexType: { type: ['string', 'null'] },
+          attachments: { type: ['boolean', 'null'] },
+          chunkCount: { type: ['number', 'null'] },
+          staleChunks: { type: 'number' },
+          dbPath: { type: ['string', 'null'] },
+          builtAt: { type: ['string', 'null'] },
+          lastNoteModified: { type: ['string', 'null'] },
+          changedNotes: { type: ['number', 'null'] },
+          removedNotes: { type: ['number', 'null'] },
+          upToDate: { type: 'boolean' }
+        }
+      }
+    },
+    required: ['status']
+  },
+  retrieve_for_rag: {
+    type: 'object',
+    properties: {
+      context: { type: 'array', items: NOTE_SCHEMA },
+      query: { type: 'string' },
+      maxChars: { type: 'number' },
+      usedChars: { type: 'number' }
+    },
+    required: ['context', 'query']
+  },
+  list_todos: {
+    type: 'object',
+    properties: {
+      todos: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            text: { type: 'string' },
+            completed: { type: 'boolean' },
+            line: { type: 'number' },
+            heading: { type: ['string', 'null'] },
+            headings: { type: 'array', items: { type: 'string' } },
+            noteId: { type: 'string' },
+            noteTitle: { type: ['string', 'null'] },
+            modified: { type: ['string', 'null'] }
+          },
+          required: ['text', 'completed', 'line', 'noteId']
+        }
+      },
+      searchMethod: { type: 'string', enum: ['semantic', 'keyword'] },
+      hasMore: { type: 'boolean' },
+      nextCursor: { type: 'string' }
+    },
+    required: ['todos', 'hasMore']
+  },
+  get_attachment: {
+    type: 'object',
+    properties: {
+      attachment: {
+        ...ATTACHMENT_SCHEMA,
+        properties: {
+          ...ATTACHMENT_SCHEMA.properties,
+          note: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              title: { type: ['string', 'null'] }
+            },
+            required: ['id']
+          }
+        }
+      },
+      text: { type: ['string', 'null'] },
+      textSource: { type: ['string', 'null'], enum: ['bear', 'pdf', null] },
+      textError: { type: 'string' },
+      truncated: { type: 'boolean' },
+      totalChars: { type: 'number' }
+    },
+    required: ['attachment', 'text']
+  },
+  get_related_notes: {
+    type: 'object',
+    properties: {
+      note: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          title: { type: ['string', 'null'] }
+        },
+        required: ['id']
+      },
+      notes: { type: 'array', items: NOTE_SCHEMA }
+    },
+    required: ['note', 'notes']
+  },
+  get_note_graph: {
+    type: 'object',
+    properties: {
+      root: { type: 'string' },
+      depth: { type: 'number' },
+      nodes: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            title: { type: ['string', 'null'] },
+            depth: { type: 'number' }
+          },
+          required: ['id', 'depth']
+        }
+      },
+      edges: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            source: { type: 'string' },
+            target: { type: 'string' }
+          },
+          required: ['source', 'target']
+        }
+      },
+      truncated: { type: 'boolean' }
+    },
+    required: ['root', 'depth', 'nodes', 'edges', 'truncated']
+  },
+  create_note: WRITE_ACTION_SCHEMA,
+  append_to_note: WRITE_ACTION_SCHEMA,
+  add_tags: WRITE_ACTION_SCHEMA,
+  trash_note: WRITE_ACTION_SCHEMA
+};
@@ -0,0 +1,95 @@
+// The FAISS index holding the chunk vectors: creating, reading and preparing it for searching.
+// See index-config.js for the index types and their settings, and index-layout.js for how the
+// search parameters are found in a serialized index.
+//
+// Only the flat index can drop vectors and keep positions contiguous (IVF keeps the old
+// positions, HNSW can't remove at all), so with the other types vectors of changed and
+// deleted notes stay in the index as stale entries until the next full build.
+//
+// faiss-node can't give vectors back, so the indexer also keeps them in a file of their own
+// (see index-files.js), for finding notes similar to a note and as a fallback for searching.
+
+// Fix for CommonJS module import in ESM
+import faissNode from 'faiss-node';
+
+import { DEFAULT_EF_SEARCH, DEFAULT_NPROBE, getIndexConfig, indexFactory } from './index-config.js';
+import { isFlatIndex, locateSearchParameter } from './index-layout.js';
+
+const { Index, MetricType } = faissNode;
+
+// Vectors added to a fallback flat index per call, to keep the flattened arrays small
+const ADD_BATCH_SIZE = 1000;
+
+// Create an empty index for the configuration, trained on vectors (an array of vectors)
+// when the index type needs training. Returns { index, factory }; see prepareSearchIndex
+// for the search settings.
+export const createIndex = (config, dimension, vectors = []) => {
+  const factory = indexFactory(config, vectors.length);
+  const index = Index.fromFactory(dimension, factory, MetricType.METRIC_L2);
+  if (!index.isTrained()) {
+    index.train(vectors.flat());
+  }
+  return { index, factory };
+};
+
+// A flat index holding vectors (an array of vectors) at the same positions
+export const createFlatIndex = (dimension, vectors) => {
+  const index = Index.fromFactory(dimension, 'Flat', MetricType.METRIC_L2);
+  for (let i = 0; i < vectors.length; i += ADD_BATCH_SIZE) {
+    index.add(vectors.slice(i, i + ADD_BATCH_SIZE).flatMap(vector => Array.from(vector)));
+  }
+  return index;
+};
+
+// Read an index file of any type, as it was saved (see prepareSearchIndex for searching it)
+export const readIndex = (file) => Index.read(file);
+
+// Set nprobe (IVF) or efSearch (HNSW) on an index by writing it into the serialized index
+// and loading that again. The patched index must load and serialize back to exactly the
+// patched bytes, value included. Flat indexes come back unchanged; null means the value
+// could not be set safely (see prepareSearchIndex).
+export const applySearchParameters = (index, { nprobe = DEFAULT_NPROBE, efSearch = DEFAULT_EF_SEARCH } = {}) => {
+  try {
+    const buffer = index.toBuffer();
+    if (isFlatIndex(buffer)) {
+      return index;
+    }
+    const parameter = locateSearchParameter(buffer, { dimension: index.getDimension(), count: index.ntotal() });
+    if (!parameter) {
+      return null;
+    }
+
+    const value = Math.max(1, Math.floor(parameter.name === 'nprobe' ? nprobe : efSearch));
+    if (parameter.bytes === 8) {
+      buffer.writeBigInt64LE(BigInt(value), parameter.offset);
+    } else {
+      buffer.writeInt32LE(value, parameter.offset);
+    }
+
+    const patched = Index.fromBuffer(buffer);
+    return patched.ntotal() === index.ntotal() && patched.toBuffer().equals(buffer) ? patched : null;
+  } catch (error) {
+    // Reading past the end of a buffer laid out differently, or FAISS rejecting the result
+    return null;
+  }
+};
+
+// Make an index ready for searching with the configured nprobe or efSearch. If they can't be
+// set safely, searches use a flat index of the stored vectors instead: exact, slower, but
+// with every vector at the same position. loadVectors gives those vectors (an array, one
+// per position), or null if there are none, in which case FAISS's own defaults apply.
+// Resolves to { index, warning }, with a warning (also logged) when the parameters weren't set.
+export const prepareSearchIndex = async (index, loadVectors, config = getIndexConfig()) => {
+  const prepared = applySearchParameters(index, config);
+  if (prepared) {
+    return { index: prepared, warning: null };
+  }
+
+  const vectors = await loadVectors();
+  const fallback = vectors && vectors.length === index.ntotal();
+  const warning = 'Could not set the search parameters on the vector index (unexpected FAISS file layout, ' +
+    'is faiss-node the version in package.json?); ' +
+    (fallback ? 'searching its stored vectors exactly instead, which is slower' : 'searching with FAISS defaults');
+  console.error(`Warning: ${warning}`);
+  return { index: fallback ? createFlatIndex(index.getDimension(), vectors) : index, warning };
+};
@@ -1,44 +1,61 @@
 import sqlite3 from 'sqlite3';
-import path from 'path';
-import os from 'os';
 import { promisify } from 'util';
-import { fileURLToPath } from 'url';
 import fs from 'fs/promises';
-import { pipeline } from '@xenova/transformers';
-// Fix for CommonJS module import in ESM
-import faissNode from 'faiss-node';
-const { IndexFlatL2 } = faissNode;
-
-// Get current file path for ES modules
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import {
+  fullTextIndexExists,
+  getFullTextPath,
+  openFullTextDb,
+  parseSearchQuery,
+  searchFullText
+} from './lib/fulltext.js';
+import { buildFilterConditions } from './lib/filters.js';
+import { buildPolicyConditions } from './lib/access-policy.js';
+import { resolveSchema } from './lib/schema.js';
+import { hydrateNotes, noteColumns } from './lib/notes.js';
+import { createSnippet, packPassages } from './lib/snippets.js';
+import { createEmbeddingProvider } from './lib/embeddings.js';
+import {
+  closeStoredVectors,
+  loadStoredVectors,
+  openStoredVectors,
+  readStoredVectors,
+  validateIndexFiles
+} from './lib/index-files.js';
+import { similarityFromDistance } from './lib/index-config.js';
+import { prepareSearchIndex, readIndex } from './lib/vector-index.js';
+import { findAttachment, loadAttachmentTexts } from './lib/attachments.js';
 
 // Setup SQLite with verbose mode
 const sqlite = sqlite3.verbose();
 const { Database } = sqlite;
 
-// Default path to Bear's database
-const defaultDBPath = path.join(
-  os.homedir(),
-  'Library/Group Containers/9K33E3U3T4.net.shinyfrog.bear/Application Data/database.sqlite'
-);
+// Chunk hits fetched per requested note, since several chunks of one note can match
+const CHUNKS_PER_NOTE = 5;
+
+// How much wider each retry of a search gets when filters leave too few notes
+const OVERFETCH_FACTOR = 4;
 
-// Path to the vector index - store in src directory
-const INDEX_PATH = path.join(__dirname, 'note_vectors');
+// Reciprocal rank fusion constant; dampens the advantage of the very top ranks
+const RRF_K = 60;
 
-// Embedding model name
-const EMBEDDING_MODEL = 'Xenova/all-MiniLM-L6-v2';
+// ORDER BY clauses for the ways notes can be listed; Z_PK keeps the order stable for paging
+const LIST_SORT_ORDERS = {
+  modified: 'ZMODIFICATIONDATE DESC, Z_PK',
+  created: 'ZCREATIONDATE DESC, Z_PK',
+  title: 'ZTITLE COLLATE NOCASE, Z_PK'
+};
 
-// Global variables for embedding model and vector index
+// Global variables for the embedding model; each library's vector index lives on its db
 let embedder = null;
-let vectorIndex = null;
-let noteIdMap = null;
+let embeddingModel = null;
 
-// Get the database path from environment variable or use default
-export const getDbPath = () => process.env.BEAR_DATABASE_PATH || defaultDBPath;
+// Get the path of a library's vector index files (without extension)
+export const getIndexPath = (db) => db.indexPath;
 
-// Create and configure database connection
-export const createDb = (dbPath) => {
+// Create and configure database connection. indexPath is where the vector index for this
+// database lives; the loaded index and full-text sidecar are kept on the connection too.
+// accessPolicy hides notes from every query and from the indexes (see access-policy.js).
+export const createDb = (dbPath, { indexPath = null, accessPolicy = [] } = {}) => {
   const db = new Database(dbPath, sqlite3.OPEN_READONLY, (err) => {
     if (err) {
       console.error('Error connecting to Bear database:', err.message);
@@ -51,17 +68,27 @@ export const createDb = (dbPath) => {
   db.allAsync = promisify(db.all).bind(db);
   db.getAsync = promisify(db.get).bind(db);
   
+  db.dbPath = dbPath;
+  db.indexPath = indexPath;
+  db.accessPolicy = accessPolicy;
+  db.vectorIndex = null;
+  db.noteIdMap = null;
+  db.storedVectors = null;
+  db.fullTextDb = null;
+  
   return db;
 };
 
-// Initialize the embedding model
+// Initialize the embedding model chosen by BEAR_EMBEDDING_PROVIDER and BEAR_EMBEDDING_MODEL
 export const initEmbedder = async () => {
   if (!embedder) {
     try {
-      // Using Xenova's implementation of transformers
-      console.error(`Initializing embedding model (${EMBEDDING_MODEL})...`);
-      embedder = await pipeline('feature-extraction', EMBEDDING_MODEL);
-      console.error('Embedding model initialized');
+      const provider = createEmbeddingProvider();
+      console.error(`Initializing embedding model (${provider.name})...`);
+      const dimension = await provider.init();
+      embedder = provider;
+      embeddingModel = { name: provider.name, dimension };
+      console.error(`Embedding model initialized (${dimension} dimensions)`);
       return true;
     } catch (error) {
       console.error('Error initializing embedding model:', error);
@@ -71,21 +98,40 @@ export const initEmbedder = async () => {
   return true;
 };
 
-// Load the vector index
-export const loadVectorIndex = async () => {
+// Name and dimension of the initialized embedding model, or null before initEmbedder()
+export const getEmbeddingModel = () => embeddingModel;
+
+// Load the vector index of a database
+export const loadVectorIndex = async (db) => {
   try {
-    if (!vectorIndex) {
+    if (!db.vectorIndex) {
       // Check if index exists
       try {
-      await fs.access(`${INDEX_PATH}.index`);
-      
-      // Load index using the direct file reading method
-      vectorIndex = IndexFlatL2.read(`${INDEX_PATH}.index`);
+        await fs.access(`${db.indexPath}.index`);
+        
+        // Load the index, whichever type it is
+        const index = readIndex(`${db.indexPath}.index`);
         
-        const idMapData = await fs.readFile(`${INDEX_PATH}.json`, 'utf8');
-        noteIdMap = JSON.parse(idMapData);
+        const idMapData = await fs.readFile(`${db.indexPath}.json`, 'utf8');
+        const idMap = JSON.parse(idMapData);
         
-        console.error(`Loaded vector index with ${vectorIndex.ntotal} vectors`);
+        // Check the files belong together, match their checksums and were built with this
+        // model; vectors from a different model are meaningless to compare with the query's
+        const { errors, warnings } = await validateIndexFiles(db.indexPath, { model: embeddingModel, dbPath: db.dbPath, index });
+        warnings.forEach(warning => console.error(`Warning: ${warning}`));
+        if (errors.length > 0) {
+          console.error(`Not using the vector index: ${errors.join('; ')}`);
+          return false;
+        }
+        
+        // Search it with the configured search parameters, and keep its stored vectors open
+        const storedVectors = await openStoredVectors(db.indexPath, index.getDimension());
+        const prepared = await prepareSearchIndex(index, async () => storedVectors && loadStoredVectors(storedVectors));
+        db.vectorIndex = prepared.index;
+        db.searchWarning = prepared.warning;
+        db.noteIdMap = idMap;
+        db.storedVectors = storedVectors;
+        console.error(`Loaded vector index with ${index.ntotal()} vectors from ${db.indexPath}`);
         return true;
       } catch (error) {
         console.error('Vector index not found. Please run indexing first:', error.message);
@@ -99,6 +145,53 @@ export const loadVectorIndex = async () => {
   }
 };
 
+// Open a database's full-text sidecar built by the indexer, if there is one
+export const loadFullTextIndex = async (db) => {
+  if (!db.fullTextDb) {
+    const ftsPath = getFullTextPath(db.indexPath);
+    if (await fullTextIndexExists(ftsPath)) {
+      try {
+        db.fullTextDb = await openFullTextDb(ftsPath, { readonly: true });
+        console.error('Loaded full-text index');
+      } catch (error) {
+        console.error('Error loading full-text index:', error.message);
+      }
+    }
+  }
+  return db.fullTextDb;
+};
+
+// Get a database's in-memory vector index, its position -> chunk mapping, its stored vectors
+// and the warning from preparing it for searching, if there was one
+export const getVectorIndex = (db) => ({
+  index: db.vectorIndex,
+  noteIdMap: db.noteIdMap,
+  storedVectors: db.storedVectors,
+  searchWarning: db.searchWarning || null
+});
+
+// Swap in a new vector index, mapping and stored vectors together, so searches never see one
+// without the others, and close the stored vectors replaced. searchWarning is as from
+// prepareSearchIndex.
+export const replaceVectorIndex = async (db, index, idMap, storedVectors = null, searchWarning = null) => {
+  const previous = db.storedVectors;
+  db.vectorIndex = index;
+  db.searchWarning = searchWarning;
+  db.noteIdMap = idMap;
+  db.storedVectors = storedVectors;
+  if (previous && previous !== storedVectors) {
+    await closeStoredVectors(previous);
+  }
+};
+
+// SQL conditions for the notes a query may return: those passing the filters, the database's
+// access policy and the client's own policy, if it has one
+export const noteConditions = (db, schema, { filters = null, policy = null } = {}) => {
+  const filter = buildFilterConditions(filters, schema);
+  const access = buildPolicyConditions([...(db.accessPolicy || []), ...(policy || [])], schema);
+  return { sql: filter.sql + access.sql, params: [...filter.params, ...access.params] };
+};
+
 // Create text embeddings
 export const createEmbedding = async (text) => {
   if (!embedder) {
@@ -109,210 +202,475 @@ export const createEmbedding = async (text) => {
   }
   
   try {
-    // Generate embeddings using Xenova transformers
-    const result = await embedder(text, { 
-      pooling: 'mean',
-      normalize: true 
-    });
-    
-    // Return the embedding as a regular array
-    return Array.from(result.data);
+    return await embedder.embed(text);
   } catch (error) {
     console.error('Error creating embedding:', error);
     throw error;
   }
 };
 
-// Search for notes using semantic search
-export const semanticSearch = async (db, query, limit = 10) => {
-  try {
-    // Ensure vector index is loaded
-    if (!vectorIndex || !noteIdMap) {
-      const loaded = await loadVectorIndex();
-      if (!loaded) {
-        throw new Error('Vector index not available. Please run indexing first.');
-      }
+// The filename and text of a matched chunk of attachment text, or null if there is none. The
+// index stores both; for indexes from before it did, the text is cut from Bear's text of the
+// attachment in attachmentTexts.
+const attachmentPassage = (hit, attachmentTexts) => {
+  if (hit.text !== undefined) {
+    return { filename: hit.filename, text: hit.text };
+  }
+  const attachment = attachmentTexts.get(hit.attachment);
+  return attachment ? { filename: attachment.filename, text: attachment.text.slice(hit.start, hit.end) } : null;
+};
+
+// Text of a matched chunk; entries from indexes built before chunking cover the whole note.
+const passageText = (note, hit, attachmentTexts = new Map()) => {
+  if (hit.attachment) {
+    const passage = attachmentPassage(hit, attachmentTexts);
+    return passage ? passage.text : '';
+  }
+  if (hit.start === undefined) {
+    return note.content || '';
+  }
+  return hit.end > hit.start ? (note.content || '').slice(hit.start, hit.end) : note.title;
+};
+
+// Lowest similarity that counts as having anything in common with the query. Scores are
+// shown with three decimals, and float rounding leaves unrelated chunks just above 0.
+const MIN_SIMILARITY = 0.001;
+
+// Whether a chunk this similar to the query counts as a match: it has to clear minScore,
+// and a chunk with nothing in common with the query never does
+const isMatch = (score, minScore) => score >= Math.max(minScore, MIN_SIMILARITY);
+
+// Group vector search hits by note, keeping each chunk's offsets and similarity score.
+// Hits that are not a match are dropped.
+const groupChunkHits = (noteIdMap, labels, distances, minScore = 0) => {
+  const hitsByNote = new Map();
+  labels.forEach((label, i) => {
+    const entry = noteIdMap[label];
+    const score = similarityFromDistance(distances[i]);
+    if (!entry || !isMatch(score, minScore)) {
+      return;
     }
+    const chunk = typeof entry === 'string' ? { id: entry } : entry;
+    if (!hitsByNote.has(chunk.id)) {
+      hitsByNote.set(chunk.id, []);
+    }
+    hitsByNote.get(chunk.id).push({
+      start: chunk.start,
+      end: chunk.end,
+      score,
+      ...(chunk.attachment ? { attachment: chunk.attachment, filename: chunk.filename, text: chunk.text } : {})
+    });
+  });
+  return hitsByNote;
+};
+
+// Make sure a database's vector index is loaded, or throw
+const requireVectorIndex = async (db) => {
+  if (!db.vectorIndex || !db.noteIdMap) {
+    const loaded = await loadVectorIndex(db);
+    if (!loaded) {
+      throw new Error('Vector index not available. Please run indexing first.');
+    }
+  }
+};
+
+// Find the notes with chunks nearest to a vector, over-fetching chunks so enough distinct
+// notes come back. If trashed, hidden, filtered-out or excluded notes leave fewer than limit,
+// widen the search and retry, unless the hits already stopped matching (wider searches
+// only add worse ones). Returns the note rows, unsorted and not yet hydrated, and their hits.
+const searchByVector = async (db, vector, limit, { filters = null, policy = null, minScore = 0, excludeIds = [] } = {}) => {
+  const schema = await resolveSchema(db);
+  const filter = noteConditions(db, schema, { filters, policy });
+  
+  // Hold on to this index and mapping; the watcher may swap in new ones mid-search
+  const { index: vectorIndex, noteIdMap } = getVectorIndex(db);
+  let k = Math.min((limit + excludeIds.length) * CHUNKS_PER_NOTE, vectorIndex.ntotal());
+  
+  while (true) {
+    if (k === 0) {
+      return { notes: [], hitsByNote: new Map() };
+    }
+    const total = vectorIndex.ntotal();
+    const { labels, distances } = vectorIndex.search(vector, k);
+    const hitsByNote = groupChunkHits(noteIdMap, labels, distances, minScore);
+    excludeIds.forEach(id => hitsByNote.delete(id));
+    const pastMatches = distances.length > 0 && !isMatch(similarityFromDistance(distances[distances.length - 1]), minScore);
     
-    // Create embedding for the query
-    const queryEmbedding = await createEmbedding(query);
-    
-    // Search in vector index
-    const { labels, distances } = vectorIndex.search(queryEmbedding, limit);
-    
-    // Get note IDs from the results
-    const noteIds = labels.map(idx => noteIdMap[idx]).filter(id => id);
+    const noteIds = [...hitsByNote.keys()];
     
-    if (noteIds.length === 0) {
-      return [];
+    if (noteIds.length === 0 && (k >= total || pastMatches)) {
+      return { notes: [], hitsByNote };
     }
     
     // Prepare placeholders for SQL query
     const placeholders = noteIds.map(() => '?').join(',');
     
-    // Get full note details from database
-    const notes = await db.allAsync(`
-      SELECT 
-        ZUNIQUEIDENTIFIER as id,
-        ZTITLE as title,
-        ZTEXT as content,
-        ZSUBTITLE as subtitle,
-        ZCREATIONDATE as creation_date
+    // Get full note details from database, applying the filters and access policy
+    const notes = noteIds.length === 0 ? [] : await db.allAsync(`
+      SELECT ${noteColumns()}
       FROM ZSFNOTE
-      WHERE ZUNIQUEIDENTIFIER IN (${placeholders}) AND ZTRASHED = 0
+      WHERE ZUNIQUEIDENTIFIER IN (${placeholders}) AND ${schema.adapter.activeNotes}${filter.sql}
       ORDER BY ZMODIFICATIONDATE DESC
-    `, noteIds);
+    `, [...noteIds, ...filter.params]);
     
-    // Get tags for each note
-    for (const note of notes) {
-      try {
-        const tags = await db.allAsync(`
-          SELECT ZT.ZTITLE as tag_name
-          FROM Z_5TAGS ZNT
-          JOIN ZSFNOTETAG ZT ON ZT.Z_PK = ZNT.Z_13TAGS
-          JOIN ZSFNOTE ZN ON ZN.Z_PK = ZNT.Z_5NOTES
-          WHERE ZN.ZUNIQUEIDENTIFIER = ?
-        `, [note.id]);
-        note.tags = tags.map(t => t.tag_name);
-      } catch (tagError) {
-        console.error(`Error fetching tags for note ${note.id}:`, tagError.message);
-        note.tags = [];
-      }
-      
-      // Convert Apple's timestamp (seconds since 2001-01-01) to standard timestamp
-      if (note.creation_date) {
-        // Apple's reference date is 2001-01-01, so add seconds to get UNIX timestamp
-        note.creation_date = new Date((note.creation_date + 978307200) * 1000).toISOString();
+    if (notes.length >= limit || k >= total || pastMatches) {
+      return { notes, hitsByNote };
+    }
+    k = Math.min(k * OVERFETCH_FACTOR, total);
+  }
+};
+
+// Load Bear's text of the attachments behind the notes' hits on attachment chunks the index
+// doesn't store the text of, if any
+const loadHitAttachmentTexts = async (db, notes, hitsByNote) => {
+  const ids = new Set(notes.flatMap(note => hitsByNote.get(note.id)
+    .filter(hit => hit.attachment && hit.text === undefined)
+    .map(hit => hit.attachment)));
+  return ids.size > 0 ? loadAttachmentTexts(db, [...ids]) : new Map();
+};
+
+// Score each note as its best matching chunk, with a snippet around that chunk (marked with
+// the attachment's filename if the chunk is from an attachment)
+const scoreByBestHit = (notes, hitsByNote, parsedQuery, attachmentTexts) => {
+  for (const note of notes) {
+    const hits = hitsByNote.get(note.id);
+    const bestHit = hits.reduce((best, hit) => hit.score > best.score ? hit : best);
+    const passage = bestHit.attachment && attachmentPassage(bestHit, attachmentTexts);
+    note.score = bestHit.score;
+    note.snippet = passage
+      ? `[${passage.filename}] ${createSnippet(passage.text, parsedQuery)}`
+      : createSnippet(note.content, parsedQuery, { chunk: bestHit.attachment ? null : bestHit });
+  }
+};
+
+// Search for notes using semantic search. Scores are cosine similarities in (0, 1]; notes
+// (and passages) with nothing in common with the query or less similar than minScore are left out.
+export const semanticSearch = async (db, query, limit = 10, { passages = false, filters = null, policy = null, minScore = 0 } = {}) => {
+  try {
+    await requireVectorIndex(db);
+    
+    // Create embedding for the query
+    const queryEmbedding = await createEmbedding(query);
+    
+    // Search in vector index; filters and the access policy apply to the notes behind the hits
+    const { notes, hitsByNote } = await searchByVector(db, queryEmbedding, limit, { filters, policy, minScore });
+    
+    await hydrateNotes(db, notes);
+    const attachmentTexts = await loadHitAttachmentTexts(db, notes, hitsByNote);
+    scoreByBestHit(notes, hitsByNote, parseSearchQuery(query), attachmentTexts);
+    
+    // Return the matching passages instead of the whole note if asked to
+    if (passages) {
+      for (const note of notes) {
+        note.passages = hitsByNote.get(note.id).map(hit => ({
+          text: passageText(note, hit, attachmentTexts),
+          start: hit.start,
+          end: hit.end,
+          score: hit.score,
+          ...(hit.attachment ? { attachment: hit.attachment } : {})
+        }));
+        delete note.content;
       }
-      
-      // Store the semantic similarity score (lower distance is better)
-      const idx = noteIds.indexOf(note.id);
-      note.score = idx >= 0 ? 1 - distances[idx] : 0;
     }
     
     // Sort by similarity score
-    return notes.sort((a, b) => b.score - a.score);
+    return notes.sort((a, b) => b.score - a.score).slice(0, limit);
   } catch (error) {
     console.error('Semantic search error:', error);
     throw error;
   }
 };
 
-// Fallback to keyword search if vector search fails
-export const searchNotes = async (db, query, limit = 10, useSemanticSearch = true) => {
+// Find the notes most similar to a note, by searching with the note's own stored vectors
+// (averaged over its chunks). Indexes built without stored vectors, and notes not indexed
+// yet, use an embedding of the note's text instead. Scores are as for
+// semanticSearch; the note itself is left out, and so are notes the policy hides.
+export const findSimilarNotes = async (db, id, limit = 10, { policy = null, minScore = 0 } = {}) => {
   try {
-    // Try semantic search first if enabled
-    if (useSemanticSearch) {
+    const note = await retrieveNote(db, id, { policy });
+    await requireVectorIndex(db);
+    
+    const { noteIdMap, storedVectors } = getVectorIndex(db);
+    const positions = Object.keys(noteIdMap)
+      .filter(position => {
+        const entry = noteIdMap[position];
+        return entry && (typeof entry === 'string' ? entry : entry.id) === id;
+      })
+      .map(Number);
+    let vectors = null;
+    if (storedVectors && positions.length > 0) {
       try {
-        const semanticResults = await semanticSearch(db, query, limit);
-        if (semanticResults && semanticResults.length > 0) {
-          return semanticResults;
-        }
+        vectors = await readStoredVectors(storedVectors, positions);
       } catch (error) {
-        console.error('Semantic search failed, falling back to keyword search:', error.message);
+        // Closed by an index swap while reading; the note's text will do
+        console.error('Error reading stored vectors:', error.message);
       }
     }
+    if (!vectors || vectors.length === 0) {
+      vectors = [await createEmbedding(`${note.title || ''}\n${note.content || ''}`.trim())];
+    }
     
-    // Fallback to keyword search
-    const notes = await db.allAsync(`
-      SELECT 
-        ZUNIQUEIDENTIFIER as id,
-        ZTITLE as title,
-        ZTEXT as content,
-        ZSUBTITLE as subtitle,
-        ZCREATIONDATE as creation_date
-      FROM ZSFNOTE
-      WHERE ZTRASHED = 0 AND (ZTITLE LIKE ? OR ZTEXT LIKE ?)
-      ORDER BY ZMODIFICATIONDATE DESC
-      LIMIT ?
-    `, [`%${query}%`, `%${query}%`, limit]);
+    // Average the chunk vectors and scale the result back to unit length
+    const sum = vectors[0].map((_, i) => vectors.reduce((total, vector) => total + vector[i], 0));
+    const length = Math.hypot(...sum) || 1;
+    const vector = sum.map(value => value / length);
     
-    // Get tags for each note
-    for (const note of notes) {
-      try {
-        const tags = await db.allAsync(`
-          SELECT ZT.ZTITLE as tag_name
-          FROM Z_5TAGS ZNT
-          JOIN ZSFNOTETAG ZT ON ZT.Z_PK = ZNT.Z_13TAGS
-          JOIN ZSFNOTE ZN ON ZN.Z_PK = ZNT.Z_5NOTES
-          WHERE ZN.ZUNIQUEIDENTIFIER = ?
-        `, [note.id]);
+    const { notes, hitsByNote } = await searchByVector(db, vector, limit, { policy, minScore, excludeIds: [id] });
+    await hydrateNotes(db, notes);
+    scoreByBestHit(notes, hitsByNote, {}, await loadHitAttachmentTexts(db, notes, hitsByNote));
+    notes.forEach(similar => delete similar.content);
+    
+    return notes.sort((a, b) => b.score - a.score).slice(0, limit);
+  } catch (error) {
+    console.error('Similar notes error:', error);
+    throw error;
+  }
+};
+
+// Match notes with LIKE when the full-text index has not been built: every term and
+// phrase must appear in the title or text, excluded ones must not. Newest notes first.
+const likeSearch = async (db, { terms, phrases, excluded }, limit, filter, adapter) => {
+  const required = [...terms, ...phrases];
+  if (required.length === 0) {
+    return [];
+  }
+  
+  const conditions = [
+    ...required.map(() => '(ZTITLE LIKE ? OR ZTEXT LIKE ?)'),
+    ...excluded.map(() => 'NOT (IFNULL(ZTITLE, \'\') LIKE ? OR IFNULL(ZTEXT, \'\') LIKE ?)')
+  ];
+  const params = [...required, ...excluded].flatMap(text => [`%${text}%`, `%${text}%`]);
+  
+  return db.allAsync(`
+    SELECT ${noteColumns()}
+    FROM ZSFNOTE
+    WHERE ${adapter.activeNotes} AND ${conditions.join(' AND ')}${filter.sql}
+    ORDER BY ZMODIFICATIONDATE DESC
+    LIMIT ?
+  `, [...params, ...filter.params, limit]);
+};
+
+// Search for notes by keyword. Supports multiple terms, "quoted phrases" and -exclusions,
+// ranked with BM25 through the full-text index.
+export const keywordSearch = async (db, query, limit = 10, { filters = null, policy = null } = {}) => {
+  try {
+    const parsedQuery = parseSearchQuery(query);
+    const schema = await resolveSchema(db);
+    const filter = noteConditions(db, schema, { filters, policy });
+    let notes;
+    
+    const fullText = await loadFullTextIndex(db);
+    if (fullText) {
+      // Over-fetch, as the sidecar can lag behind trashed notes and filters drop matches.
+      // If that still leaves fewer than limit, widen the search and retry.
+      let fetchLimit = limit * 2;
+      while (true) {
+        const hits = await searchFullText(fullText, parsedQuery, fetchLimit);
+        if (hits.length === 0) {
+          return [];
+        }
+        
+        const placeholders = hits.map(() => '?').join(',');
+        const rows = await db.allAsync(`
+          SELECT ${noteColumns()}
+          FROM ZSFNOTE
+          WHERE ZUNIQUEIDENTIFIER IN (${placeholders}) AND ${schema.adapter.activeNotes}${filter.sql}
+        `, [...hits.map(hit => hit.id), ...filter.params]);
+        
+        // Keep the BM25 order
+        const scores = new Map(hits.map(hit => [hit.id, hit.score]));
+        rows.forEach(note => {
+          note.score = scores.get(note.id);
+        });
+        notes = rows.sort((a, b) => b.score - a.score).slice(0, limit);
         
-        note.tags = tags.map(t => t.tag_name);
-      } catch (tagError) {
-        console.error(`Error fetching tags for note ${note.id}:`, tagError.message);
-        note.tags = [];
+        if (notes.length >= limit || hits.length < fetchLimit) {
+          break;
+        }
+        fetchLimit *= OVERFETCH_FACTOR;
       }
-      
-      // Convert Apple's timestamp (seconds since 2001-01-01) to standard timestamp
-      if (note.creation_date) {
-        // Apple's reference date is 2001-01-01, so add seconds to get UNIX timestamp
-        note.creation_date = new Date((note.creation_date + 978307200) * 1000).toISOString();
+    } else {
+      console.error('Full-text index not found, using unranked keyword matching. Run "npm run index" to build it.');
+      notes = await likeSearch(db, parsedQuery, limit, filter, schema.adapter);
+    }
+    
+    for (const note of notes) {
+      note.snippet = createSnippet(note.content, parsedQuery);
+    }
+    
+    return await hydrateNotes(db, notes);
+  } catch (error) {
+    console.error('Keyword search error:', error);
+    throw error;
+  }
+};
+
+// Fallback to keyword search if vector search fails or finds nothing. Returns the notes and
+// the method that found them. Keyword search can't apply minScore, so with a threshold set,
+// semantic search finding nothing above it is the answer rather than a reason to fall back.
+export const searchNotes = async (db, query, limit = 10, useSemanticSearch = true, options = {}) => {
+  try {
+    // Try semantic search first if enabled
+    if (useSemanticSearch) {
+      try {
+        const semanticResults = await semanticSearch(db, query, limit, options);
+        if (semanticResults.length > 0 || options.minScore > 0) {
+          return { notes: semanticResults, searchMethod: 'semantic' };
+        }
+      } catch (error) {
+        console.error('Semantic search failed, falling back to keyword search:', error.message);
       }
     }
     
-    return notes;
+    // Fallback to keyword search
+    return { notes: await keywordSearch(db, query, limit, options), searchMethod: 'keyword' };
   } catch (error) {
     console.error('Search error:', error);
     throw error;
   }
 };
 
-// Retrieve a specific note by ID
-export const retrieveNote = async (db, id) => {
+// Run keyword and semantic search together and merge them with reciprocal rank fusion.
+// Each note scores the sum of 1 / (RRF_K + rank) over the retrievers that found it.
+export const hybridSearch = async (db, query, limit = 10, options = {}) => {
+  try {
+    // Fetch deeper candidate lists than requested so the fusion has something to work with
+    const candidates = limit * 2;
+    const [semanticResults, keywordResults] = await Promise.all([
+      semanticSearch(db, query, candidates, options).catch(error => {
+        console.error('Semantic search failed, using keyword results only:', error.message);
+        return [];
+      }),
+      keywordSearch(db, query, candidates, options)
+    ]);
+    
+    const fused = new Map();
+    const addResults = (results, retriever) => {
+      results.forEach((note, rank) => {
+        if (!fused.has(note.id)) {
+          fused.set(note.id, { ...note, score: 0, matchedBy: [] });
+        }
+        const result = fused.get(note.id);
+        result.score += 1 / (RRF_K + rank + 1);
+        result.matchedBy.push(retriever);
+        if (retriever === 'semantic') {
+          result.semanticScore = note.score;
+        }
+      });
+    };
+    
+    // Semantic results go first so their passages (if requested) win over keyword copies
+    addResults(semanticResults, 'semantic');
+    addResults(keywordResults, 'keyword');
+    
+    return [...fused.values()]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  } catch (error) {
+    console.error('Hybrid search error:', error);
+    throw error;
+  }
+};
+
+// Retrieve a specific note by ID. Notes the access policy hides are not found.
+export const retrieveNote = async (db, id, { policy = null } = {}) => {
   try {
     if (!id) {
       throw new Error('Note ID is required');
     }
     
-    // Get the note by ID
-    const note = await db.getAsync(`
-      SELECT 
-        ZUNIQUEIDENTIFIER as id,
-        ZTITLE as title,
-        ZTEXT as content,
-        ZSUBTITLE as subtitle,
-        ZCREATIONDATE as creation_date
-      FROM ZSFNOTE
-      WHERE ZUNIQUEIDENTIFIER = ? AND ZTRASHED = 0
-    `, [id]);
-    
+    const [note] = await retrieveNotes(db, [id], { policy });
     if (!note) {
       throw new Error('Note not found');
     }
     
-    // Get tags for the note
-    try {
-      const tags = await db.allAsync(`
-        SELECT ZT.ZTITLE as tag_name
-        FROM Z_5TAGS ZNT
-        JOIN ZSFNOTETAG ZT ON ZT.Z_PK = ZNT.Z_13TAGS
-        JOIN ZSFNOTE ZN ON ZN.Z_PK = ZNT.Z_5NOTES
-        WHERE ZN.ZUNIQUEIDENTIFIER = ?
-      `, [note.id]);
-      note.tags = tags.map(t => t.tag_name);
-    } catch (tagError) {
-      console.error(`Error fetching tags for note ${note.id}:`, tagError.message);
-      note.tags = [];
+    return note;
+  } catch (error) {
+    console.error('Retrieve error:', error);
+    throw error;
+  }
+};
+
+// Get an attachment by ID with its note and text. Attachments of notes the access policy
+// hides are not found.
+export const getAttachment = async (db, id, { policy = null } = {}) => {
+  try {
+    if (!id) {
+      throw new Error('Attachment ID is required');
     }
     
-    // Convert Apple's timestamp (seconds since 2001-01-01) to standard timestamp
-    if (note.creation_date) {
-      // Apple's reference date is 2001-01-01, so add seconds to get UNIX timestamp
-      note.creation_date = new Date((note.creation_date + 978307200) * 1000).toISOString();
+    const schema = await resolveSchema(db);
+    if (!schema.files) {
+      throw new Error('This Bear database has no attachments table');
+    }
+    const attachment = await findAttachment(db, id, noteConditions(db, schema, { policy }));
+    if (!attachment) {
+      throw new Error('Attachment not found');
     }
     
-    return note;
+    return attachment;
+  } catch (error) {
+    console.error('Attachment error:', error);
+    throw error;
+  }
+};
+
+// Retrieve several notes by ID in the order given; IDs of missing, trashed or hidden notes are skipped
+export const retrieveNotes = async (db, ids, { policy = null } = {}) => {
+  try {
+    if (ids.length === 0) {
+      return [];
+    }
+    
+    const schema = await resolveSchema(db);
+    const access = noteConditions(db, schema, { policy });
+    const notes = await db.allAsync(`
+      SELECT ${noteColumns()}
+      FROM ZSFNOTE
+      WHERE ZUNIQUEIDENTIFIER IN (${ids.map(() => '?').join(',')}) AND ${schema.adapter.activeNotes}${access.sql}
+    `, [...ids, ...access.params]);
+    
+    const order = new Map(ids.map((id, i) => [id, i]));
+    notes.sort((a, b) => order.get(a.id) - order.get(b.id));
+    
+    return await hydrateNotes(db, notes);
   } catch (error) {
     console.error('Retrieve error:', error);
     throw error;
   }
 };
 
-// Get all tags
-export const getAllTags = async (db) => {
+// List notes without their content, most recently modified first unless sort is 'created'
+// (newest first) or 'title' (A to Z). Tags are only loaded when asked for.
+export const listNotes = async (db, { limit = 50, offset = 0, filters = null, policy = null, sort = 'modified', tags = false } = {}) => {
   try {
-    const tags = await db.allAsync('SELECT ZTITLE as name FROM ZSFNOTETAG');
+    if (!LIST_SORT_ORDERS[sort]) {
+      throw new Error(`Unknown sort order: ${sort}`);
+    }
+    
+    const schema = await resolveSchema(db);
+    const filter = noteConditions(db, schema, { filters, policy });
+    const notes = await db.allAsync(`
+      SELECT ${noteColumns({ content: false })}
+      FROM ZSFNOTE
+      WHERE ${schema.adapter.activeNotes}${filter.sql}
+      ORDER BY ${LIST_SORT_ORDERS[sort]}
+      LIMIT ? OFFSET ?
+    `, [...filter.params, limit, offset]);
+    
+    return await hydrateNotes(db, notes, { tags });
+  } catch (error) {
+    console.error('List notes error:', error);
+    throw error;
+  }
+};
+
+// Get all tags in use by notes the access policy lets through
+export const getAllTags = async (db, { policy = null } = {}) => {
+  try {
+    const schema = await resolveSchema(db);
+    const access = noteConditions(db, schema, { policy });
+    const tags = await db.allAsync(schema.adapter.tagsQuery(access.sql), access.params);
     return tags.map(tag => tag.name);
   } catch (error) {
     console.error('Get tags error:', error);
@@ -320,29 +678,31 @@ export const getAllTags = async (db) => {
   }
 };
 
-// RAG function to retrieve notes that are semantically similar to a query
-export const retrieveForRAG = async (db, query, limit = 5) => {
-  try {
-    // Get semantically similar notes
-    const notes = await semanticSearch(db, query, limit);
-    
-    // Format for RAG context
-    return notes.map(note => ({
+// RAG function to retrieve notes that are semantically similar to a query. With maxChars,
+// the most relevant passages are packed into that many characters instead. Notes scoring
+// below minScore are left out, even if that leaves fewer than limit.
+export const retrieveForRAG = async (db, query, limit = 5, { passages = false, filters = null, policy = null, maxChars = null, minScore = 0 } = {}) => {
+  // Format for RAG context, with either the whole note or just its matching passages
+  const toContext = (notes, withPassages) => {
+    const context = notes.map(note => ({
       id: note.id,
       title: note.title,
-      content: note.content,
+      ...(withPassages ? { passages: note.passages } : { content: note.content }),
       tags: note.tags,
-      score: note.score
+      ...(typeof note.score === 'number' ? { score: note.score } : {})
     }));
+    return maxChars ? packPassages(context, maxChars).notes : context;
+  };
+  
+  try {
+    // Get semantically similar notes; a budget needs passages to pick from
+    const withPassages = passages || Boolean(maxChars);
+    const notes = await semanticSearch(db, query, limit, { passages: withPassages, filters, policy, minScore });
+    return toContext(notes, withPassages);
   } catch (error) {
     console.error('RAG retrieval error:', error);
     // Fallback to keyword search
-    const notes = await searchNotes(db, query, limit, false);
-    return notes.map(note => ({
-      id: note.id,
-      title: note.title,
-      content: note.content,
-      tags: note.tags
-    }));
+    const { notes } = await searchNotes(db, query, limit, false, { filters, policy });
+    return toContext(notes.map(({ score, ...note }) => note), false);
   }
-};
\ No newline at end of file
+};
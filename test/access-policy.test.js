@@ -0,0 +1,171 @@
+import { test, before, after, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { connectServer, createTestDatabase, faissUnavailable, noteIds, openDb, runIndexer } from './helpers.js';
+import {
+  authenticateToken,
+  buildPolicyConditions,
+  describePolicy,
+  loadAccessConfig
+} from '../src/lib/access-policy.js';
+import { resolveSchema } from '../src/lib/schema.js';
+
+let fixture;
+let db;
+let schema;
+
+before(async () => {
+  fixture = await createTestDatabase([
+    { id: 'NOTE-1', title: 'Stand-up', text: '', tags: ['work/meetings'] },
+    { id: 'NOTE-2', title: 'Bank passwords', text: '', tags: ['private'] },
+    { id: 'NOTE-3', title: 'Diary: March', text: '', tags: ['journal'] },
+    { id: 'NOTE-4', title: 'Shopping', text: '', tags: ['workshop'] },
+    { id: 'NOTE-5', title: '100%_done', text: '' }
+  ]);
+  db = await openDb(fixture.dbPath);
+  schema = await resolveSchema(db);
+});
+
+after(async () => {
+  await db.closeAsync();
+  await fixture.cleanup();
+});
+
+// IDs of the notes a policy lets through
+const visible = (policy) => {
+  const { sql, params } = buildPolicyConditions(policy, schema);
+  return noteIds(db, `1 = 1${sql}`, params);
+};
+
+const rule = ({ allow, deny }) => {
+  const list = (matchers) => (matchers ? { tags: [], titles: [], ids: [], ...matchers } : null);
+  return { allow: list(allow), deny: list(deny) };
+};
+
+// Write an access file and load it, with BEAR_ACCESS_FILE and BEAR_MCP_TOKEN set for the call
+const loadFrom = async (config, { token } = {}) => {
+  const file = path.join(fixture.folder, 'access.json');
+  await fs.writeFile(file, typeof config === 'string' ? config : JSON.stringify(config));
+  const original = { file: process.env.BEAR_ACCESS_FILE, token: process.env.BEAR_MCP_TOKEN };
+  process.env.BEAR_ACCESS_FILE = file;
+  if (token) {
+    process.env.BEAR_MCP_TOKEN = token;
+  } else {
+    delete process.env.BEAR_MCP_TOKEN;
+  }
+  try {
+    return loadAccessConfig();
+  } finally {
+    for (const [name, value] of [['BEAR_ACCESS_FILE', original.file], ['BEAR_MCP_TOKEN', original.token]]) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  }
+};
+
+describe('policy conditions', () => {
+  test('an empty policy lets every note through', async () => {
+    assert.deepEqual(buildPolicyConditions([], schema), { sql: '', params: [] });
+    assert.deepEqual(await visible([]), ['NOTE-1', 'NOTE-2', 'NOTE-3', 'NOTE-4', 'NOTE-5']);
+  });
+
+  test('denied tags hide nested tags but not tags that merely start the same', async () => {
+    assert.deepEqual(await visible([rule({ deny: { tags: ['work', 'private'] } })]), ['NOTE-3', 'NOTE-4', 'NOTE-5']);
+  });
+
+  test('title patterns are case-insensitive and treat LIKE wildcards literally', async () => {
+    assert.deepEqual(await visible([rule({ deny: { titles: ['*PASSWORD*', 'diary:*'] } })]), ['NOTE-1', 'NOTE-4', 'NOTE-5']);
+    assert.deepEqual(await visible([rule({ allow: { titles: ['?00%_*'] } })]), ['NOTE-5']);
+    assert.deepEqual(await visible([rule({ allow: { titles: ['1__*'] } })]), []);
+  });
+
+  test('an allow list lets through notes matching any entry, minus the denied ones', async () => {
+    const policy = [rule({ allow: { tags: ['work'], ids: ['NOTE-2', 'NOTE-4'] }, deny: { tags: ['private'] } })];
+    assert.deepEqual(await visible(policy), ['NOTE-1', 'NOTE-4']);
+  });
+
+  test('a note has to pass every rule of a policy', async () => {
+    const policy = [
+      rule({ deny: { tags: ['journal'] } }),
+      rule({ allow: { ids: ['NOTE-1', 'NOTE-3'] } })
+    ];
+    assert.deepEqual(await visible(policy), ['NOTE-1']);
+  });
+});
+
+describe('access file', () => {
+  test('gives the shared rule and each token with its own policy', async () => {
+    const config = await loadFrom({
+      deny: { tags: ['private'] },
+      tokens: {
+        laptop: { token: 'a-long-random-laptop-token' },
+        work: { token: 'a-long-random-work-token', allow: { tags: ['work'] } }
+      }
+    });
+
+    assert.deepEqual(config.policy, [rule({ deny: { tags: ['private'] } })]);
+    assert.deepEqual(config.tokens.map(token => [token.name, token.policy]), [
+      ['laptop', []],
+      ['work', [rule({ allow: { tags: ['work'] } })]]
+    ]);
+    assert.equal(describePolicy(config.policy), 'deny tags private');
+    assert.equal(describePolicy([]), 'all notes visible');
+  });
+
+  test('BEAR_MCP_TOKEN adds a token that sees everything the shared rule allows', async () => {
+    const config = await loadFrom({}, { token: 'a-long-random-container-token' });
+    assert.deepEqual(config.tokens.map(token => [token.name, token.policy]), [['BEAR_MCP_TOKEN', []]]);
+  });
+
+  test('mistakes in the file are reported', async () => {
+    await assert.rejects(() => loadFrom('{ "deny": '), /is not valid JSON/);
+    await assert.rejects(() => loadFrom([]), /should hold an object/);
+    await assert.rejects(() => loadFrom({ deny: { labels: ['x'] } }), /unknown keys: labels/);
+    await assert.rejects(() => loadFrom({ deny: { tags: 'private' } }), /"deny"\.tags should be a list of strings/);
+    await assert.rejects(() => loadFrom({ tokens: { short: { token: 'tiny' } } }), /needs a "token" of at least 16 characters/);
+    await assert.rejects(() => loadFrom({ tokens: {
+      one: { token: 'the-very-same-token' },
+      two: { token: 'the-very-same-token' }
+    } }), /must all be different/);
+    await assert.rejects(() => loadFrom({}, { token: 'tiny' }), /BEAR_MCP_TOKEN needs at least 16 characters/);
+  });
+});
+
+test('bearer tokens are matched exactly', async () => {
+  const { tokens } = await loadFrom({ tokens: { laptop: { token: 'a-long-random-laptop-token' } } });
+
+  assert.equal(authenticateToken(tokens, 'Bearer a-long-random-laptop-token').name, 'laptop');
+  assert.equal(authenticateToken(tokens, 'bearer   a-long-random-laptop-token ').name, 'laptop');
+  assert.equal(authenticateToken(tokens, 'Bearer a-long-random-laptop-toke'), null);
+  assert.equal(authenticateToken(tokens, 'Basic a-long-random-laptop-token'), null);
+  assert.equal(authenticateToken(tokens, undefined), null);
+});
+
+// The server with an access file hiding the private notes. Needs the FAISS binding and the
+// embedding model.
+test('hidden notes are kept out of the index and every tool', { skip: faissUnavailable }, async (t) => {
+  const accessFile = path.join(fixture.folder, 'server-access.json');
+  await fs.writeFile(accessFile, JSON.stringify({ deny: { tags: ['private'], titles: ['diary*'] } }));
+  const env = { BEAR_ACCESS_FILE: accessFile };
+
+  await runIndexer(fixture, [], env);
+  const client = await connectServer(fixture, env);
+  t.after(() => client.close());
+  const callTool = async (name, args) => (await client.callTool({ name, arguments: args })).structuredContent;
+
+  const listed = await callTool('list_notes', { limit: 10 });
+  assert.deepEqual(listed.notes.map(note => note.id).sort(), ['NOTE-1', 'NOTE-4', 'NOTE-5']);
+
+  const searched = await callTool('search_notes', { query: 'bank passwords diary', limit: 10 });
+  assert.ok(searched.notes.every(note => !['NOTE-2', 'NOTE-3'].includes(note.id)));
+
+  const hidden = await client.callTool({ name: 'get_note', arguments: { id: 'NOTE-2' } });
+  assert.equal(hidden.isError, true);
+
+  const { tags } = await callTool('get_tags', {});
+  assert.ok(!tags.includes('private') && !tags.includes('journal'));
+});
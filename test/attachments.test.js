@@ -0,0 +1,111 @@
+// Attachments of the fixture databases: Bear 2's has a PDF with search text, Bear 1's an
+// image without; both have a PDF on disk that Bear hasn't read.
+
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+
+import { createFixture } from './helpers.js';
+import {
+  extractPdfText,
+  findAttachment,
+  getAttachmentIndexing,
+  loadAttachmentTexts,
+  loadNoteAttachmentTexts,
+  loadNoteAttachments
+} from '../src/lib/attachments.js';
+import { buildPolicyConditions } from '../src/lib/access-policy.js';
+import { resolveSchema } from '../src/lib/schema.js';
+
+// Reason to skip tests that read PDFs, or false when the optional pdfjs-dist is installed
+const pdfjsUnavailable = await import('pdfjs-dist/legacy/build/pdf.mjs').then(
+  () => false,
+  () => 'pdfjs-dist is not installed'
+);
+
+const SCOPE_TEXT = 'Project Alpha scope\nPhase one: research and interviews\nPhase two: prototype by the end of the quarter';
+
+for (const generation of [1, 2]) {
+  describe(`Bear ${generation} attachments`, () => {
+    let fixture;
+
+    before(async () => {
+      fixture = await createFixture(generation);
+    });
+
+    after(() => fixture.cleanup());
+
+    test('are listed per note with their type and whether they have text', async () => {
+      const byId = await loadNoteAttachments(fixture.db, ['FIXTURE-1', 'FIXTURE-2']);
+      assert.deepEqual(byId.get('FIXTURE-2'), []);
+
+      const [first, scope] = byId.get('FIXTURE-1');
+      assert.deepEqual(first, generation === 2
+        ? { id: 'FIXTURE-FILE-1', filename: 'agenda.pdf', type: 'application/pdf', size: 2048, hasText: true }
+        : { id: 'FIXTURE-FILE-1', filename: 'whiteboard.png', type: 'image/png', size: 4096, hasText: false });
+      assert.equal(scope.filename, 'scope.pdf');
+      assert.equal(scope.hasText, true);
+    });
+
+    test('found by ID come with their note, file and text', { skip: pdfjsUnavailable }, async () => {
+      const found = await findAttachment(fixture.db, 'FIXTURE-FILE-2');
+      assert.equal(found.attachment.path, path.join(fixture.folder, 'Local Files', 'Note Files', 'FIXTURE-FILE-2', 'scope.pdf'));
+      assert.deepEqual(found.attachment.note, { id: 'FIXTURE-1', title: 'Project kickoff' });
+      assert.equal(found.text, SCOPE_TEXT);
+      assert.equal(found.textSource, 'pdf');
+
+      const first = await findAttachment(fixture.db, 'FIXTURE-FILE-1');
+      assert.equal(first.attachment.path, null, 'not on disk');
+      if (generation === 2) {
+        assert.equal(first.text, 'Agenda for the project Alpha kickoff');
+        assert.equal(first.textSource, 'bear');
+      } else {
+        assert.equal(first.text, null);
+        assert.equal(first.attachment.hasText, false);
+      }
+    });
+
+    test('are not found when unknown or on a note the conditions leave out', async () => {
+      assert.equal(await findAttachment(fixture.db, 'NO-SUCH-FILE'), null);
+
+      const schema = await resolveSchema(fixture.db);
+      const hidden = buildPolicyConditions([{ allow: null, deny: { tags: ['work'], titles: [], ids: [] } }], schema);
+      assert.equal(await findAttachment(fixture.db, 'FIXTURE-FILE-2', hidden), null);
+    });
+
+    test('searches only get Bear\'s text, never the PDF\'s', async () => {
+      const texts = await loadAttachmentTexts(fixture.db, ['FIXTURE-FILE-1', 'FIXTURE-FILE-2']);
+      assert.deepEqual([...texts.keys()], generation === 2 ? ['FIXTURE-FILE-1'] : []);
+    });
+
+    test('indexing gets every attachment with text, reading PDFs', { skip: pdfjsUnavailable }, async () => {
+      const byNote = await loadNoteAttachmentTexts(fixture.db, ['FIXTURE-1', 'FIXTURE-2']);
+      assert.deepEqual(byNote.get('FIXTURE-2'), []);
+      assert.deepEqual(byNote.get('FIXTURE-1').map(attachment => attachment.filename),
+        generation === 2 ? ['agenda.pdf', 'scope.pdf'] : ['scope.pdf']);
+      assert.equal(byNote.get('FIXTURE-1').find(attachment => attachment.id === 'FIXTURE-FILE-2').text, SCOPE_TEXT);
+    });
+  });
+}
+
+test('extractPdfText reports files it can\'t read', { skip: pdfjsUnavailable }, async () => {
+  await assert.rejects(() => extractPdfText(path.join(import.meta.dirname, 'no-such.pdf')), /ENOENT/);
+});
+
+test('BEAR_INDEX_ATTACHMENTS turns attachment indexing on or off, or leaves it as it was', (t) => {
+  const original = process.env.BEAR_INDEX_ATTACHMENTS;
+  t.after(() => {
+    if (original === undefined) {
+      delete process.env.BEAR_INDEX_ATTACHMENTS;
+    } else {
+      process.env.BEAR_INDEX_ATTACHMENTS = original;
+    }
+  });
+
+  delete process.env.BEAR_INDEX_ATTACHMENTS;
+  assert.equal(getAttachmentIndexing(), null);
+  process.env.BEAR_INDEX_ATTACHMENTS = 'true';
+  assert.equal(getAttachmentIndexing(), true);
+  process.env.BEAR_INDEX_ATTACHMENTS = '0';
+  assert.equal(getAttachmentIndexing(), false);
+});
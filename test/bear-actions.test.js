@@ -0,0 +1,125 @@
+// Write tools: the bear://x-callback-url URLs they open, through a recording launcher, and
+// the BEAR_ENABLE_WRITES opt-in.
+
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  addTags,
+  appendToNote,
+  buildBearUrl,
+  createNote,
+  createRecordingLauncher,
+  setUrlLauncher,
+  trashNote,
+  writesEnabled
+} from '../src/lib/bear-actions.js';
+
+let launcher;
+const originalSetting = process.env.BEAR_ENABLE_WRITES;
+
+beforeEach(() => {
+  launcher = createRecordingLauncher();
+  setUrlLauncher(launcher);
+});
+
+afterEach(() => {
+  setUrlLauncher();
+  if (originalSetting === undefined) {
+    delete process.env.BEAR_ENABLE_WRITES;
+  } else {
+    process.env.BEAR_ENABLE_WRITES = originalSetting;
+  }
+});
+
+describe('buildBearUrl', () => {
+  test('encodes spaces as %20 and leaves out missing parameters', () => {
+    assert.equal(
+      buildBearUrl('open-note', { id: 'A B', header: undefined, title: null, text: 'a+b=c&d/e?' }),
+      'bear://x-callback-url/open-note?id=A%20B&text=a%2Bb%3Dc%26d%2Fe%3F'
+    );
+    assert.equal(buildBearUrl('trash'), 'bear://x-callback-url/trash');
+  });
+});
+
+describe('with writes enabled', () => {
+  beforeEach(() => {
+    process.env.BEAR_ENABLE_WRITES = 'true';
+  });
+
+  test('create_note opens a create URL in the background', async () => {
+    const result = await createNote({
+      title: 'Meeting notes',
+      text: 'Line one\nLine & two',
+      tags: ['#work', ' work/meetings ', ''],
+      pin: true
+    });
+
+    const url = 'bear://x-callback-url/create?title=Meeting%20notes&text=Line%20one%0ALine%20%26%20two' +
+      '&tags=work%2Cwork%2Fmeetings&pin=yes&open_note=no&show_window=no';
+    assert.deepEqual(launcher.urls, [url]);
+    assert.deepEqual(result, { action: 'create', url });
+  });
+
+  test('create_note leaves out tags and pin when not given', async () => {
+    await createNote({ title: 'Just a title' });
+    assert.deepEqual(launcher.urls, ['bear://x-callback-url/create?title=Just%20a%20title&open_note=no&show_window=no']);
+  });
+
+  test('append_to_note adds text under a heading, appending or prepending', async () => {
+    await appendToNote({ id: 'NOTE-1', text: '- [ ] follow up', header: 'Next steps' });
+    await appendToNote({ id: 'NOTE-1', text: 'First!', prepend: true });
+    assert.deepEqual(launcher.urls, [
+      'bear://x-callback-url/add-text?id=NOTE-1&text=-%20%5B%20%5D%20follow%20up&header=Next%20steps&mode=append&new_line=yes&open_note=no&show_window=no',
+      'bear://x-callback-url/add-text?id=NOTE-1&text=First!&mode=prepend&new_line=yes&open_note=no&show_window=no'
+    ]);
+  });
+
+  test('add_tags appends the tags with empty text', async () => {
+    await addTags({ id: 'NOTE-1', tags: ['#food', 'food/pasta dishes'] });
+    assert.deepEqual(launcher.urls, [
+      'bear://x-callback-url/add-text?id=NOTE-1&text=&tags=food%2Cfood%2Fpasta%20dishes&mode=append&open_note=no&show_window=no'
+    ]);
+  });
+
+  test('trash_note opens a trash URL', async () => {
+    await trashNote({ id: 'NOTE-1' });
+    assert.deepEqual(launcher.urls, ['bear://x-callback-url/trash?id=NOTE-1&show_window=no']);
+  });
+
+  test('missing arguments are rejected before anything is opened', async () => {
+    await assert.rejects(createNote({}), /A title or text is required/);
+    await assert.rejects(appendToNote({ id: 'NOTE-1' }), /Text to append is required/);
+    await assert.rejects(appendToNote({ text: 'hello' }), /Note ID is required/);
+    await assert.rejects(addTags({ id: 'NOTE-1', tags: ['#', ' '] }), /At least one tag is required/);
+    await assert.rejects(trashNote({}), /Note ID is required/);
+    assert.deepEqual(launcher.urls, []);
+  });
+});
+
+describe('without BEAR_ENABLE_WRITES', () => {
+  for (const value of [undefined, '', 'false', '0', 'no']) {
+    test(`every action is rejected (${value === undefined ? 'unset' : `"${value}"`})`, async () => {
+      if (value === undefined) {
+        delete process.env.BEAR_ENABLE_WRITES;
+      } else {
+        process.env.BEAR_ENABLE_WRITES = value;
+      }
+
+      assert.equal(writesEnabled(), false);
+      const disabled = /Write tools are disabled\. Set BEAR_ENABLE_WRITES=true/;
+      await assert.rejects(createNote({ title: 'Nope' }), disabled);
+      await assert.rejects(appendToNote({ id: 'NOTE-1', text: 'Nope' }), disabled);
+      await assert.rejects(addTags({ id: 'NOTE-1', tags: ['nope'] }), disabled);
+      await assert.rejects(trashNote({ id: 'NOTE-1' }), disabled);
+      assert.deepEqual(launcher.urls, []);
+    });
+  }
+
+  test('accepts true, 1 and yes in any case', () => {
+    for (const value of ['true', 'TRUE', '1', 'Yes']) {
+      process.env.BEAR_ENABLE_WRITES = value;
+      assert.equal(writesEnabled(), true);
+    }
+  });
+});
@@ -0,0 +1,152 @@
+// Schema detection and the Bear 1 / Bear 2 query adapters, against fixture databases of
+// each generation.
+
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+
+import { createFixture, noteIds } from './helpers.js';
+import { detectSchema, describeSchema, resolveSchema } from '../src/lib/schema.js';
+import { buildFilterConditions, parseFilterArguments } from '../src/lib/filters.js';
+import { BATCH_SIZE, batches, hydrateNotes, loadNoteTags, noteColumns } from '../src/lib/notes.js';
+import { findAttachment } from '../src/lib/attachments.js';
+
+// What each generation's fixture should be detected as
+const EXPECTED = {
+  1: {
+    noteTags: { table: 'Z_7TAGS', noteColumn: 'Z_7NOTES', tagColumn: 'Z_14TAGS' },
+    files: 'ZSFNOTEIMAGE',
+    backlinks: null,
+    active: ['FIXTURE-1', 'FIXTURE-2', 'FIXTURE-3', 'FIXTURE-4'],
+    indexable: ['FIXTURE-1', 'FIXTURE-2', 'FIXTURE-3', 'FIXTURE-4'],
+    attachments: ['whiteboard.png', 'scope.pdf']
+  },
+  2: {
+    noteTags: { table: 'Z_5TAGS', noteColumn: 'Z_5NOTES', tagColumn: 'Z_13TAGS' },
+    files: 'ZSFNOTEFILE',
+    backlinks: 'ZSFNOTEBACKLINK',
+    active: ['FIXTURE-1', 'FIXTURE-2', 'FIXTURE-3', 'FIXTURE-4', 'FIXTURE-7'],
+    indexable: ['FIXTURE-1', 'FIXTURE-2', 'FIXTURE-3', 'FIXTURE-4'],
+    attachments: ['agenda.pdf', 'scope.pdf']
+  }
+};
+
+for (const generation of [1, 2]) {
+  describe(`Bear ${generation} database`, () => {
+    const expected = EXPECTED[generation];
+    let fixture;
+    let schema;
+
+    before(async () => {
+      fixture = await createFixture(generation);
+      schema = await resolveSchema(fixture.db);
+    });
+
+    after(() => fixture.cleanup());
+
+    // IDs of the active notes that pass filters given as tool arguments
+    const matching = async (args) => {
+      const { sql, params } = buildFilterConditions(parseFilterArguments(args), schema);
+      return noteIds(fixture.db, `${schema.adapter.activeNotes}${sql}`, params);
+    };
+
+    test('is detected with its junction, file and backlink tables', () => {
+      assert.equal(schema.generation, generation);
+      assert.equal(schema.adapter.generation, generation);
+      assert.deepEqual(schema.noteTags, expected.noteTags);
+      assert.equal(schema.files.table, expected.files);
+      assert.equal(schema.backlinks ? schema.backlinks.table : null, expected.backlinks);
+      assert.match(describeSchema(schema), new RegExp(`^Bear ${generation}, tags via ${expected.noteTags.table}`));
+    });
+
+    test('active notes leave out trashed and permanently deleted notes', async () => {
+      assert.deepEqual(await noteIds(fixture.db, schema.adapter.activeNotes), expected.active);
+    });
+
+    test('indexable notes also leave out encrypted notes', async () => {
+      assert.deepEqual(await noteIds(fixture.db, schema.adapter.indexableNotes), expected.indexable);
+    });
+
+    test('tags are listed only while an active note has them', async () => {
+      const tags = (await fixture.db.allAsync(schema.adapter.tagsQuery())).map(tag => tag.name);
+      assert.deepEqual(tags, ['food', 'personal', 'work', 'work/meetings']);
+
+      const shown = await fixture.db.allAsync(schema.adapter.tagsQuery(' AND ZSFNOTE.ZUNIQUEIDENTIFIER = ?'), ['FIXTURE-2']);
+      assert.deepEqual(shown.map(tag => tag.name), ['food']);
+    });
+
+    test('note tags are loaded through the junction table', async () => {
+      const tagsById = await loadNoteTags(fixture.db, ['FIXTURE-1', 'FIXTURE-2', 'FIXTURE-5', 'MISSING']);
+      assert.deepEqual(tagsById.get('FIXTURE-1'), ['work', 'work/meetings']);
+      assert.deepEqual(tagsById.get('FIXTURE-2'), ['food']);
+      assert.deepEqual(tagsById.get('FIXTURE-5'), ['scratch']);
+      assert.deepEqual(tagsById.get('MISSING'), []);
+
+      const many = [...Array.from({ length: BATCH_SIZE }, (_, i) => `MISSING-${i}`), 'FIXTURE-2'];
+      assert.deepEqual((await loadNoteTags(fixture.db, many)).get('FIXTURE-2'), ['food'], 'found in the second batch');
+    });
+
+    test('tag filters match nested tags and exclusions', async () => {
+      assert.deepEqual(await matching({ tags: ['work'] }), ['FIXTURE-1', 'FIXTURE-4']);
+      assert.deepEqual(await matching({ tags: ['#Work/Meetings'] }), ['FIXTURE-1']);
+      assert.deepEqual(await matching({ tags: ['work'], exclude_tags: ['work/meetings'] }), ['FIXTURE-4']);
+    });
+
+    test('pinned filters keep or leave out pinned notes', async () => {
+      assert.deepEqual(await matching({ pinned: true }), ['FIXTURE-1']);
+      assert.deepEqual(await matching({ pinned: false }), expected.active.filter(id => id !== 'FIXTURE-1'));
+    });
+
+    test('hydrateNotes adds tags and attachments and converts dates', async () => {
+      const notes = await fixture.db.allAsync(`
+        SELECT ${noteColumns()}
+        FROM ZSFNOTE
+        WHERE ZUNIQUEIDENTIFIER IN ('FIXTURE-1', 'FIXTURE-2')
+        ORDER BY ZUNIQUEIDENTIFIER
+      `);
+      await hydrateNotes(fixture.db, notes);
+
+      const [kickoff, pasta] = notes;
+      assert.equal(kickoff.title, 'Project kickoff');
+      assert.deepEqual(kickoff.tags, ['work', 'work/meetings']);
+      assert.deepEqual(kickoff.attachments.map(attachment => attachment.filename), expected.attachments);
+      assert.ok(kickoff.attachments.every(attachment => !('path' in attachment)));
+      assert.deepEqual(pasta.tags, ['food']);
+      assert.deepEqual(pasta.attachments, []);
+
+      for (const note of notes) {
+        assert.match(note.creation_date, /^\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d\.\d{3}Z$/);
+        assert.ok(Date.parse(note.creation_date) < Date.parse(note.modification_date));
+      }
+    });
+
+    test('attachments are found on disk by get_attachment', async () => {
+      const found = await findAttachment(fixture.db, 'FIXTURE-FILE-2');
+      assert.equal(found.attachment.filename, 'scope.pdf');
+      assert.equal(found.attachment.path, path.join(fixture.folder, 'Local Files', 'Note Files', 'FIXTURE-FILE-2', 'scope.pdf'));
+      assert.deepEqual(found.attachment.note, { id: 'FIXTURE-1', title: 'Project kickoff' });
+    });
+
+    test('hydrateNotes can skip tags and attachments', async () => {
+      const notes = await fixture.db.allAsync(`SELECT ${noteColumns({ content: false })} FROM ZSFNOTE WHERE ZUNIQUEIDENTIFIER = 'FIXTURE-3'`);
+      await hydrateNotes(fixture.db, notes, { tags: false });
+      assert.equal(notes[0].tags, undefined);
+      assert.equal(notes[0].attachments, undefined);
+      assert.equal(notes[0].content, undefined);
+      assert.equal(typeof notes[0].modification_date, 'string');
+    });
+  });
+}
+
+test('lists are split into batches for queries', () => {
+  assert.deepEqual(batches([1, 2, 3, 4, 5], 2), [[1, 2], [3, 4], [5]]);
+  assert.deepEqual(batches([]), []);
+  assert.deepEqual(batches(Array.from({ length: BATCH_SIZE + 1 }, (_, i) => i)).map(batch => batch.length), [BATCH_SIZE, 1]);
+});
+
+describe('unsupported databases', () => {
+  test('are reported with what is missing', async () => {
+    const db = { allAsync: async () => [] };
+    await assert.rejects(detectSchema(db), /note table ZSFNOTE not found[\s\S]*tag table ZSFNOTETAG not found/);
+  });
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkNote } from '../src/lib/chunk-notes.js';
+
+const paragraph = (word, count) => Array(count).fill(word).join(' ');
+
+test('short notes are a single chunk with the title for context', () => {
+  const content = 'Feed the starter the night before.';
+  assert.deepEqual(chunkNote('Sourdough', content), [
+    { start: 0, end: content.length, heading: null, text: 'Sourdough\nFeed the starter the night before.' }
+  ]);
+});
+
+test('notes starting with their own title heading do not repeat it', () => {
+  const [chunk] = chunkNote('Sourdough', '# Sourdough\nFeed the starter.');
+  assert.equal(chunk.heading, 'Sourdough');
+  assert.equal(chunk.text, '# Sourdough\nFeed the starter.');
+});
+
+test('title-only notes get one title chunk', () => {
+  assert.deepEqual(chunkNote('Empty', ''), [{ start: 0, end: 0, heading: null, text: 'Empty' }]);
+  assert.deepEqual(chunkNote('', ''), []);
+});
+
+test('headings start new chunks, but not inside code blocks', () => {
+  const content = [
+    'Intro line.',
+    '## Ingredients',
+    'Flour and water.',
+    '```',
+    '# not a heading',
+    '```',
+    '## Method',
+    'Mix and wait.'
+  ].join('\n');
+  const chunks = chunkNote('Bread', content);
+
+  assert.deepEqual(chunks.map(chunk => chunk.heading), [null, 'Ingredients', 'Method']);
+  assert.ok(content.slice(chunks[1].start, chunks[1].end).includes('# not a heading'));
+  assert.equal(chunks[2].text, 'Bread\n## Method\nMix and wait.');
+});
+
+test('offsets point back at the passage in the note', () => {
+  const content = `${paragraph('alpha', 100)}\n\n${paragraph('beta', 100)}\n\n${paragraph('gamma', 100)}`;
+  for (const chunk of chunkNote('Greek', content, { maxChars: 700, overlap: 100 })) {
+    assert.ok(chunk.text.endsWith(content.slice(chunk.start, chunk.end)));
+    assert.ok(chunk.end - chunk.start <= 700);
+  }
+});
+
+test('long sections are windowed by paragraph with the heading repeated', () => {
+  const content = `## Notes\n${paragraph('one', 60)}\n\n${paragraph('two', 60)}\n\n${paragraph('three', 60)}`;
+  const chunks = chunkNote('Numbers', content, { maxChars: 600, overlap: 300 });
+
+  assert.ok(chunks.length > 1);
+  assert.ok(chunks.slice(1).every(chunk => chunk.text.startsWith('Numbers\nNotes\n')));
+  // The last paragraph of a window opens the next one
+  const firstEnd = chunks[0].end;
+  assert.ok(chunks[1].start < firstEnd);
+});
+
+test('paragraphs longer than a chunk are cut at spaces with overlap', () => {
+  const content = paragraph('word', 500);
+  const chunks = chunkNote('Long', content, { maxChars: 1000, overlap: 200 });
+
+  assert.ok(chunks.length >= 3);
+  for (const [i, chunk] of chunks.entries()) {
+    const passage = content.slice(chunk.start, chunk.end);
+    assert.match(passage, /^word( word)*$/);
+    if (i > 0) {
+      assert.ok(chunk.start < chunks[i - 1].end, 'consecutive pieces overlap');
+    }
+  }
+  assert.equal(chunks[chunks.length - 1].end, content.length);
+});
@@ -0,0 +1,72 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { createTestDatabase, faissUnavailable, runIndexer as runScript, toCoreDataDate } from './helpers.js';
+
+// Runs create-index.js with the index in the test folder, so the real index is left alone.
+// Needs the FAISS binding and the embedding model.
+let fixture;
+
+before(async () => {
+  fixture = await createTestDatabase([
+    { id: 'NOTE-1', title: 'Sourdough', text: 'Feed the starter the night before.', modified: '2024-03-01T10:00:00Z' },
+    { id: 'NOTE-2', title: 'Bike repairs', text: 'Patch kit and tyre levers.', modified: '2024-03-02T10:00:00Z' },
+    { id: 'NOTE-3', title: 'Garden', text: 'Plant the garlic in October.', modified: '2024-03-03T10:00:00Z' }
+  ]);
+});
+
+after(async () => {
+  await fixture.cleanup();
+});
+
+// Run the indexer and return its summary line, e.g. "Added 3, updated 0, removed 0, skipped 0 notes"
+const runIndexer = async (...args) =>
+  (await runScript(fixture, args)).split('\n').find(line => line.startsWith('Added '));
+
+// Chunk entries of the saved index, in index order
+const indexEntries = async () =>
+  Object.values(JSON.parse(await fs.readFile(path.join(fixture.folder, 'note_vectors.json'), 'utf8')));
+
+const mappedIds = async () => [...new Set((await indexEntries()).map(entry => entry.id))].sort();
+
+test('re-embeds only new, changed and removed notes', { skip: faissUnavailable }, async () => {
+  assert.equal(await runIndexer(), 'Added 3, updated 0, removed 0, skipped 0 notes');
+  assert.deepEqual(await mappedIds(), ['NOTE-1', 'NOTE-2', 'NOTE-3']);
+
+  assert.equal(await runIndexer(), 'Added 0, updated 0, removed 0, skipped 3 notes');
+
+  // Touched without changing the text (e.g. pinned): skipped by hash
+  await fixture.execute('UPDATE ZSFNOTE SET ZMODIFICATIONDATE = ?, ZPINNED = 1 WHERE ZUNIQUEIDENTIFIER = ?',
+    [toCoreDataDate('2024-04-01T10:00:00Z'), 'NOTE-1']);
+  // Edited
+  await fixture.execute('UPDATE ZSFNOTE SET ZMODIFICATIONDATE = ?, ZTEXT = ? WHERE ZUNIQUEIDENTIFIER = ?',
+    [toCoreDataDate('2024-04-02T10:00:00Z'), 'Patch kit, tyre levers and a pump.', 'NOTE-2']);
+  // Trashed
+  await fixture.execute('UPDATE ZSFNOTE SET ZTRASHED = 1 WHERE ZUNIQUEIDENTIFIER = ?', ['NOTE-3']);
+
+  assert.equal(await runIndexer(), 'Added 0, updated 1, removed 1, skipped 1 notes');
+  assert.deepEqual(await mappedIds(), ['NOTE-1', 'NOTE-2']);
+
+  const manifest = JSON.parse(await fs.readFile(path.join(fixture.folder, 'note_vectors.manifest.json'), 'utf8'));
+  assert.deepEqual(Object.keys(manifest.notes).sort(), ['NOTE-1', 'NOTE-2']);
+  assert.equal(manifest.notes['NOTE-1'].modified, toCoreDataDate('2024-04-01T10:00:00Z'));
+});
+
+test('--full re-embeds every note', { skip: faissUnavailable }, async () => {
+  assert.equal(await runIndexer('--full'), 'Added 2, updated 0, removed 0, skipped 0 notes');
+  assert.deepEqual(await mappedIds(), ['NOTE-1', 'NOTE-2']);
+});
+
+test('long notes are stored as several chunks with their offsets', { skip: faissUnavailable }, async () => {
+  const content = ['## Tools', 'Spanner. '.repeat(150), '## Parts', 'Chain. '.repeat(150)].join('\n');
+  await fixture.execute(`
+    INSERT INTO ZSFNOTE (Z_PK, ZUNIQUEIDENTIFIER, ZTITLE, ZTEXT, ZMODIFICATIONDATE, ZTRASHED)
+    VALUES (10, 'NOTE-10', 'Workshop', ?, 0, 0)
+  `, [content]);
+
+  assert.equal(await runIndexer(), 'Added 1, updated 0, removed 0, skipped 2 notes');
+  const chunks = (await indexEntries()).filter(entry => entry.id === 'NOTE-10');
+  assert.ok(chunks.length >= 3);
+  assert.ok(chunks.every(chunk => chunk.end > chunk.start && chunk.end <= content.length));
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  decodeCursor,
+  decodeOffset,
+  decodeOffsetCursor,
+  decodePositionCursor,
+  encodeCursor,
+  encodeOffsetCursor,
+  encodePositionCursor
+} from '../src/lib/cursors.js';
+
+test('cursors round-trip their position', () => {
+  const cursor = encodeCursor({ offset: 50 });
+  assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+  assert.deepEqual(decodeCursor(cursor), { offset: 50 });
+});
+
+test('anything the server did not issue is an invalid cursor', () => {
+  for (const cursor of ['not a cursor', Buffer.from('42').toString('base64url'), Buffer.from('null').toString('base64url')]) {
+    assert.throws(() => decodeCursor(cursor), { message: 'Invalid cursor' });
+  }
+});
+
+test('decodeOffset accepts only non-negative whole offsets', () => {
+  assert.equal(decodeOffset(undefined), 0);
+  assert.equal(decodeOffset(encodeCursor({ offset: 0 })), 0);
+  assert.equal(decodeOffset(encodeCursor({ offset: 100 })), 100);
+
+  for (const offset of [-50, 1.5, '50', null]) {
+    assert.throws(() => decodeOffset(encodeCursor({ offset })), { message: 'Invalid cursor' });
+  }
+  assert.throws(() => decodeOffset(encodeCursor({})), { message: 'Invalid cursor' });
+});
+
+test('offset cursors only page through the query they were issued for', () => {
+  const args = { query: 'bread', tags: ['baking'] };
+  const cursor = encodeOffsetCursor(20, args);
+
+  assert.equal(decodeOffsetCursor(undefined, args), 0);
+  assert.equal(decodeOffsetCursor(cursor, { tags: ['baking'], query: 'bread' }), 20, 'key order does not matter');
+  assert.throws(() => decodeOffsetCursor(cursor, { query: 'bread' }), /issued for a different query/);
+  assert.throws(() => decodeOffsetCursor(encodeCursor({ offset: 20 }), args), /issued for a different query/);
+  assert.throws(() => decodeOffsetCursor(encodeCursor({ offset: -20, query: 'x' }), args), { message: 'Invalid cursor' });
+});
+
+test('position cursors hold several whole numbers for the same query', () => {
+  const args = { status: 'open' };
+  const cursor = encodePositionCursor({ note: 3, item: 2 }, args);
+
+  assert.deepEqual(decodePositionCursor(undefined, args, ['note', 'item']), { note: 0, item: 0 });
+  assert.deepEqual(decodePositionCursor(cursor, args, ['note', 'item']), { note: 3, item: 2 });
+  assert.throws(() => decodePositionCursor(cursor, { status: 'all' }, ['note', 'item']), /issued for a different query/);
+  assert.throws(() => decodePositionCursor(encodeOffsetCursor(3, args), args, ['note', 'item']), { message: 'Invalid cursor' });
+});
@@ -0,0 +1,67 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { connectServer, createTestDatabase, faissUnavailable, runIndexer } from './helpers.js';
+import { LEGACY_MODEL, createEmbeddingProvider, describeModelMismatch, indexModel } from '../src/lib/embeddings.js';
+
+let fixture;
+
+before(async () => {
+  fixture = await createTestDatabase([
+    { id: 'NOTE-1', title: 'Sourdough', text: 'Feed the starter the night before baking bread.' },
+    { id: 'NOTE-2', title: 'Bike repairs', text: 'Patch kit and tyre levers.' }
+  ]);
+});
+
+after(async () => {
+  await fixture.cleanup();
+});
+
+test('the fake provider gives normalised vectors that are close for shared words', async () => {
+  const provider = createEmbeddingProvider({ provider: 'fake', dimension: 32 });
+  assert.equal(provider.name, 'fake:hash-32');
+  assert.equal(await provider.init(), 32);
+
+  const bread = await provider.embed('Baking bread');
+  assert.equal(bread.length, 32);
+  assert.ok(Math.abs(Math.hypot(...bread) - 1) < 1e-9);
+  assert.deepEqual(await provider.embed('baking BREAD'), bread);
+});
+
+test('unknown providers are refused', () => {
+  assert.throws(() => createEmbeddingProvider({ provider: 'magic' }), /Unknown embedding provider "magic"/);
+});
+
+test('indexes record their model, and older ones count as the original model', () => {
+  const fake = { name: 'fake:hash-384', dimension: 384 };
+  assert.deepEqual(indexModel({ model: fake }), fake);
+  assert.deepEqual(indexModel({}), LEGACY_MODEL);
+  assert.deepEqual(indexModel(null), LEGACY_MODEL);
+
+  assert.equal(describeModelMismatch(fake, { ...fake }), null);
+  assert.equal(
+    describeModelMismatch(fake, { name: 'fake:hash-64', dimension: 64 }),
+    'the index was built with fake:hash-384 (384 dimensions) but the embedding model is fake:hash-64 (64 dimensions)'
+  );
+});
+
+// Whether a server started with the given embedding settings offers semantic search
+const offersSemanticSearch = async (env) => {
+  const client = await connectServer(fixture, env);
+  try {
+    const { tools } = await client.listTools();
+    return tools.some(tool => tool.name === 'retrieve_for_rag');
+  } finally {
+    await client.close();
+  }
+};
+
+test('an index built with one provider is not used with another', { skip: faissUnavailable }, async () => {
+  await runIndexer(fixture, [], { BEAR_EMBEDDING_PROVIDER: 'fake' });
+  const manifest = JSON.parse(await fs.readFile(path.join(fixture.folder, 'note_vectors.manifest.json'), 'utf8'));
+  assert.deepEqual(manifest.model, { name: 'fake:hash-384', dimension: 384 });
+
+  assert.equal(await offersSemanticSearch({ BEAR_EMBEDDING_PROVIDER: 'fake' }), true);
+  assert.equal(await offersSemanticSearch({ BEAR_EMBEDDING_PROVIDER: 'fake', BEAR_EMBEDDING_DIMENSION: '64' }), false);
+});
@@ -0,0 +1,74 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, noteIds, openDb } from './helpers.js';
+import { buildFilterConditions, hasFilters, parseFilterArguments } from '../src/lib/filters.js';
+import { resolveSchema } from '../src/lib/schema.js';
+
+let fixture;
+let db;
+let schema;
+
+before(async () => {
+  fixture = await createTestDatabase([
+    { id: 'NOTE-1', title: 'Stand-up', text: '', tags: ['work/meetings'], created: '2024-01-10T09:00:00Z', modified: '2024-03-01T09:00:00Z', pinned: true },
+    { id: 'NOTE-2', title: 'Roadmap', text: '', tags: ['work', 'planning'], created: '2024-02-10T09:00:00Z', modified: '2024-02-11T09:00:00Z', todos: 2 },
+    { id: 'NOTE-3', title: 'Holiday', text: '', tags: ['personal'], created: '2024-03-10T09:00:00Z', modified: '2024-03-12T09:00:00Z', archived: true },
+    { id: 'NOTE-4', title: 'Workshop', text: '', tags: ['workshop'], created: '2024-04-10T09:00:00Z', modified: '2024-04-10T09:00:00Z', todos: 1 }
+  ]);
+  db = await openDb(fixture.dbPath);
+  schema = await resolveSchema(db);
+});
+
+after(async () => {
+  await db.closeAsync();
+  await fixture.cleanup();
+});
+
+// IDs of the notes that pass filters given as tool arguments
+const filtered = (args) => {
+  const { sql, params } = buildFilterConditions(parseFilterArguments(args), schema);
+  return noteIds(db, `1 = 1${sql}`, params);
+};
+
+test('no filters means no conditions', () => {
+  assert.equal(hasFilters(parseFilterArguments({})), false);
+  assert.equal(hasFilters(parseFilterArguments({ include_archived: true })), false);
+  assert.deepEqual(buildFilterConditions(parseFilterArguments({}), schema), { sql: '', params: [] });
+});
+
+test('tags match nested tags but not tags that merely start the same', async () => {
+  assert.deepEqual(await filtered({ tags: ['work'] }), ['NOTE-1', 'NOTE-2']);
+  assert.deepEqual(await filtered({ tags: ['#work/'] }), ['NOTE-1', 'NOTE-2']);
+  assert.deepEqual(await filtered({ tags: ['work', 'planning'] }), ['NOTE-2']);
+  assert.deepEqual(await filtered({ tags: ['WORK/Meetings'] }), ['NOTE-1']);
+  assert.deepEqual(await filtered({ exclude_tags: ['work'] }), ['NOTE-3', 'NOTE-4']);
+});
+
+test('date ranges include the start and exclude the end', async () => {
+  assert.deepEqual(await filtered({ created_after: '2024-02-10T09:00:00Z', created_before: '2024-04-10T09:00:00Z' }), ['NOTE-2', 'NOTE-3']);
+  assert.deepEqual(await filtered({ modified_after: '2024-03-01' }), ['NOTE-1', 'NOTE-3', 'NOTE-4']);
+  assert.deepEqual(await filtered({ modified_before: '2024-03-01' }), ['NOTE-2']);
+});
+
+test('invalid dates are rejected with the argument name', () => {
+  assert.throws(
+    () => buildFilterConditions(parseFilterArguments({ created_after: '2024-01-01', modified_before: 'next Tuesday' }), schema),
+    { message: 'Invalid date for modified_before: next Tuesday' }
+  );
+});
+
+test('archived notes are included unless include_archived is false', async () => {
+  assert.deepEqual(await filtered({ tags: ['personal'] }), ['NOTE-3']);
+  assert.deepEqual(await filtered({ include_archived: false }), ['NOTE-1', 'NOTE-2', 'NOTE-4']);
+});
+
+test('has_todos picks notes with or without open todos', async () => {
+  assert.deepEqual(await filtered({ has_todos: true }), ['NOTE-2', 'NOTE-4']);
+  assert.deepEqual(await filtered({ has_todos: false }), ['NOTE-1', 'NOTE-3']);
+});
+
+test('pinned: true keeps only pinned notes and pinned: false leaves them out', async () => {
+  assert.deepEqual(await filtered({ pinned: true }), ['NOTE-1']);
+  assert.deepEqual(await filtered({ pinned: false }), ['NOTE-2', 'NOTE-3', 'NOTE-4']);
+  assert.equal(hasFilters(parseFilterArguments({ pinned: false })), true);
+});
@@ -0,0 +1,88 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { createTestDatabase, openDb } from './helpers.js';
+import {
+  getFullTextPath,
+  openFullTextDb,
+  parseSearchQuery,
+  searchFullText,
+  toFtsQuery,
+  updateFullTextIndex
+} from '../src/lib/fulltext.js';
+
+let fixture;
+let db;
+let ftsPath;
+
+before(async () => {
+  fixture = await createTestDatabase([
+    { id: 'NOTE-1', title: 'Garden', text: 'Plant garlic in October. Water the tomatoes.' },
+    { id: 'NOTE-2', title: 'Tomatoes', text: 'Varieties to try next year.' },
+    { id: 'NOTE-3', title: 'Shopping', text: 'Tinned tomatoes, garlic, pasta.' },
+    { id: 'NOTE-4', title: 'Old tomato notes', text: 'Tomatoes everywhere.', trashed: true }
+  ]);
+  db = await openDb(fixture.dbPath);
+  ftsPath = getFullTextPath(path.join(fixture.folder, 'note_vectors'));
+});
+
+after(async () => {
+  await db.closeAsync();
+  await fixture.cleanup();
+});
+
+const search = async (query, limit = 10) => {
+  const ftsDb = await openFullTextDb(ftsPath, { readonly: true });
+  try {
+    return await searchFullText(ftsDb, parseSearchQuery(query), limit);
+  } finally {
+    await ftsDb.closeAsync();
+  }
+};
+
+test('parseSearchQuery splits terms, phrases and exclusions', () => {
+  assert.deepEqual(parseSearchQuery('garlic "tinned tomatoes" -pasta -"next year"'), {
+    terms: ['garlic'],
+    phrases: ['tinned tomatoes'],
+    excluded: ['pasta', 'next year']
+  });
+  assert.deepEqual(parseSearchQuery(''), { terms: [], phrases: [], excluded: [] });
+});
+
+test('toFtsQuery quotes everything and needs at least one required term', () => {
+  assert.equal(toFtsQuery(parseSearchQuery('it"s "two words" -no')), '("it""s" "two words") NOT "no"');
+  assert.equal(toFtsQuery(parseSearchQuery('AND OR')), '("AND" "OR")');
+  assert.equal(toFtsQuery(parseSearchQuery('-only')), null);
+});
+
+test('a rebuild copies every note that is not trashed', async () => {
+  assert.equal(await updateFullTextIndex(db, ftsPath, { rebuild: true }), 3);
+  assert.deepEqual((await search('tomatoes')).map(hit => hit.id).sort(), ['NOTE-1', 'NOTE-2', 'NOTE-3']);
+});
+
+test('title matches rank first and scores are relative to the best hit', async () => {
+  const hits = await search('tomatoes');
+
+  assert.equal(hits[0].id, 'NOTE-2');
+  assert.equal(hits[0].score, 1);
+  for (let i = 1; i < hits.length; i++) {
+    assert.ok(hits[i].score > 0 && hits[i].score <= hits[i - 1].score);
+  }
+});
+
+test('phrases and exclusions narrow the matches', async () => {
+  assert.deepEqual((await search('"tinned tomatoes"')).map(hit => hit.id), ['NOTE-3']);
+  assert.deepEqual((await search('garlic -pasta')).map(hit => hit.id), ['NOTE-1']);
+  assert.equal((await search('tomato')).length, 3, 'porter stemming matches plurals');
+});
+
+test('incremental updates replace changed notes and drop removed ones', async () => {
+  await fixture.execute('UPDATE ZSFNOTE SET ZTEXT = ? WHERE ZUNIQUEIDENTIFIER = ?', ['Peppers and courgettes.', 'NOTE-1']);
+  await fixture.execute('UPDATE ZSFNOTE SET ZTRASHED = 1 WHERE ZUNIQUEIDENTIFIER = ?', ['NOTE-3']);
+
+  await updateFullTextIndex(db, ftsPath, { noteIds: ['NOTE-1'], removedIds: ['NOTE-3'] });
+
+  assert.deepEqual((await search('tomatoes')).map(hit => hit.id), ['NOTE-2']);
+  assert.deepEqual((await search('courgettes')).map(hit => hit.id), ['NOTE-1']);
+  assert.deepEqual(await search('garlic'), []);
+});
@@ -0,0 +1,161 @@
+// Shared setup for the tests: small Bear-like databases and Bear 1 or Bear 2 fixtures in a
+// temporary folder, opened read-only with the promisified methods the server uses.
+
+import sqlite3 from 'sqlite3';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+
+const execFileAsync = promisify(execFile);
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const ROOT = path.join(__dirname, '..');
+
+const FIXTURE_SCRIPT = path.join(ROOT, 'src', 'lib', 'create-fixture-database.js');
+
+// Reason to skip tests that need the FAISS native binding, or false when it loads
+export const faissUnavailable = await import('faiss-node').then(
+  () => false,
+  () => 'faiss-node is not built on this machine'
+);
+
+// Core Data stores dates as seconds since 2001-01-01
+const CORE_DATA_EPOCH = Date.UTC(2001, 0, 1) / 1000;
+export const toCoreDataDate = (isoDate) => Date.parse(isoDate) / 1000 - CORE_DATA_EPOCH;
+
+const SCHEMA = `
+  CREATE TABLE ZSFNOTE (
+    Z_PK INTEGER PRIMARY KEY,
+    ZUNIQUEIDENTIFIER VARCHAR,
+    ZTITLE VARCHAR,
+    ZSUBTITLE VARCHAR,
+    ZTEXT VARCHAR,
+    ZCREATIONDATE TIMESTAMP,
+    ZMODIFICATIONDATE TIMESTAMP,
+    ZTRASHED INTEGER DEFAULT 0,
+    ZARCHIVED INTEGER DEFAULT 0,
+    ZPINNED INTEGER DEFAULT 0,
+    ZTODOINCOMPLETED INTEGER DEFAULT 0
+  );
+  CREATE TABLE ZSFNOTETAG (Z_PK INTEGER PRIMARY KEY, ZTITLE VARCHAR);
+  CREATE TABLE Z_5TAGS (Z_5NOTES INTEGER, Z_13TAGS INTEGER);
+`;
+
+const run = (db, sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+});
+
+// Open a database read-write, for setting up and changing test data
+const openWritable = (dbPath) => new Promise((resolve, reject) => {
+  const db = new sqlite3.Database(dbPath, (err) => (err ? reject(err) : resolve(db)));
+});
+
+// Open a database read-only, the way createDb() in utils.js does
+export const openDb = (dbPath) => new Promise((resolve, reject) => {
+  const db = new sqlite3.Database(dbPath, sqlite3.OPEN_READONLY, (err) => {
+    if (err) {
+      reject(err);
+      return;
+    }
+    db.allAsync = promisify(db.all).bind(db);
+    db.getAsync = promisify(db.get).bind(db);
+    db.closeAsync = promisify(db.close).bind(db);
+    db.dbPath = dbPath;
+    resolve(db);
+  });
+});
+
+// Create a database with Bear's note and tag tables in a new temporary folder. Notes are
+// { id, title, text, created, modified, trashed, archived, pinned, todos, tags } with ISO dates
+// and todos the number of open todos.
+// Returns the path, execute(sql, params) for changing it afterwards and cleanup().
+export const createTestDatabase = async (notes = []) => {
+  const folder = await fs.mkdtemp(path.join(os.tmpdir(), 'bear-mcp-test-'));
+  const dbPath = path.join(folder, 'database.sqlite');
+  const db = await openWritable(dbPath);
+
+  await new Promise((resolve, reject) => db.exec(SCHEMA, (err) => (err ? reject(err) : resolve())));
+
+  const tagIds = new Map();
+  for (const [i, note] of notes.entries()) {
+    const created = toCoreDataDate(note.created || '2024-01-01T00:00:00Z');
+    const modified = toCoreDataDate(note.modified || note.created || '2024-01-01T00:00:00Z');
+    await run(db, `
+      INSERT INTO ZSFNOTE (Z_PK, ZUNIQUEIDENTIFIER, ZTITLE, ZTEXT, ZCREATIONDATE, ZMODIFICATIONDATE,
+        ZTRASHED, ZARCHIVED, ZPINNED, ZTODOINCOMPLETED)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [i + 1, note.id, note.title, note.text, created, modified,
+      note.trashed ? 1 : 0, note.archived ? 1 : 0, note.pinned ? 1 : 0, note.todos || 0]);
+
+    for (const tag of note.tags || []) {
+      if (!tagIds.has(tag)) {
+        tagIds.set(tag, tagIds.size + 1);
+        await run(db, 'INSERT INTO ZSFNOTETAG (Z_PK, ZTITLE) VALUES (?, ?)', [tagIds.get(tag), tag]);
+      }
+      await run(db, 'INSERT INTO Z_5TAGS (Z_5NOTES, Z_13TAGS) VALUES (?, ?)', [i + 1, tagIds.get(tag)]);
+    }
+  }
+
+  const execute = (sql, params) => run(db, sql, params);
+  const cleanup = async () => {
+    await new Promise(resolve => db.close(() => resolve()));
+    await fs.rm(folder, { recursive: true, force: true });
+  };
+  return { dbPath, folder, execute, cleanup };
+};
+
+// Create a Bear 1 or Bear 2 fixture database with create-fixture-database.js in a new
+// temporary folder and open it. Call cleanup() when done to close it and remove the folder.
+export const createFixture = async (generation) => {
+  const folder = await fs.mkdtemp(path.join(os.tmpdir(), `bear-mcp-test-${generation}-`));
+  const dbPath = path.join(folder, 'database.sqlite');
+  await execFileAsync(process.execPath, [FIXTURE_SCRIPT, '--bear', String(generation), dbPath]);
+
+  const db = await openDb(dbPath);
+  const cleanup = async () => {
+    await db.closeAsync();
+    await fs.rm(folder, { recursive: true, force: true });
+  };
+  return { db, dbPath, folder, cleanup };
+};
+
+// Run create-index.js against a test database, with its index in the database's folder and
+// any extra environment variables, and return its output
+export const runIndexer = async ({ dbPath, folder }, args = [], env = {}) => {
+  const { stdout } = await execFileAsync(process.execPath, [path.join(ROOT, 'src', 'create-index.js'), ...args], {
+    env: { ...process.env, BEAR_DATABASE_PATH: dbPath, BEAR_INDEX_PATH: path.join(folder, 'note_vectors'), ...env }
+  });
+  return stdout;
+};
+
+// Start the server on stdio against a test database and its index, and connect a client
+// to it; close() stops the server.
+export const connectServer = async ({ dbPath, folder }, env = {}) => {
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [path.join(ROOT, 'src', 'bear-mcp-server.js')],
+    env: {
+      ...process.env,
+      BEAR_DATABASE_PATH: dbPath,
+      BEAR_INDEX_PATH: path.join(folder, 'note_vectors'),
+      BEAR_INDEX_SYNC_INTERVAL: '0',
+      ...env
+    },
+    stderr: 'ignore'
+  });
+  const client = new Client({ name: 'bear-mcp-test', version: '1.0.0' });
+  await client.connect(transport);
+  return client;
+};
+
+// IDs of the notes a query on ZSFNOTE returns, sorted
+export const noteIds = async (db, where, params = []) =>
+  (await db.allAsync(`SELECT ZUNIQUEIDENTIFIER as id FROM ZSFNOTE WHERE ${where}`, params))
+    .map(row => row.id)
+    .sort();
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getIndexConfig, indexFactory, similarityFromDistance, supportsRemoval } from '../src/lib/index-config.js';
+
+test('factory strings follow the configured type', () => {
+  assert.equal(indexFactory({}, 1000), 'Flat');
+  assert.equal(indexFactory({ type: 'hnsw', m: 16 }, 1000), 'HNSW16');
+  assert.equal(indexFactory({ type: 'hnsw' }, 1000), 'HNSW32');
+  assert.equal(indexFactory({ type: 'ivf', nlist: 8 }, 1000), 'IVF8,Flat');
+  assert.equal(indexFactory({ type: 'ivf' }, 10000), 'IVF256,Flat', 'about four lists per square root of the vectors, trainable');
+  assert.equal(indexFactory({ type: 'ivf' }, 20), 'Flat', 'too few vectors to train');
+  assert.throws(() => indexFactory({ type: 'lsh' }), /Unknown index type "lsh"/);
+});
+
+test('only flat indexes remove vectors', () => {
+  assert.equal(supportsRemoval('Flat'), true);
+  assert.equal(supportsRemoval('IVF8,Flat'), false);
+  assert.equal(supportsRemoval('HNSW32'), false);
+});
+
+test('settings come from the environment, and are left out when unset', (t) => {
+  const names = ['BEAR_INDEX_TYPE', 'BEAR_INDEX_NLIST', 'BEAR_INDEX_HNSW_M', 'BEAR_INDEX_NPROBE', 'BEAR_INDEX_EF_SEARCH'];
+  const original = Object.fromEntries(names.map(name => [name, process.env[name]]));
+  t.after(() => names.forEach(name => {
+    if (original[name] === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = original[name];
+    }
+  }));
+
+  names.forEach(name => delete process.env[name]);
+  assert.deepEqual(getIndexConfig(), { type: undefined, nlist: undefined, m: undefined, nprobe: undefined, efSearch: undefined });
+
+  Object.assign(process.env, { BEAR_INDEX_TYPE: 'ivf', BEAR_INDEX_NLIST: '64', BEAR_INDEX_NPROBE: '8' });
+  assert.deepEqual(getIndexConfig(), { type: 'ivf', nlist: 64, m: undefined, nprobe: 8, efSearch: undefined });
+});
+
+test('distances between unit vectors become similarities in [0, 1]', () => {
+  assert.equal(similarityFromDistance(0), 1);
+  assert.equal(similarityFromDistance(1), 0.5);
+  assert.equal(similarityFromDistance(2), 0, 'at right angles');
+  assert.equal(similarityFromDistance(4), 0, 'pointing away');
+  assert.equal(similarityFromDistance(-0.0001), 1, 'rounding below zero');
+});
@@ -0,0 +1,217 @@
+// The index files: the metadata header, atomic writes and integrity checks, and the stored
+// vectors written next to the FAISS index and read back by position.
+
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFileSync } from 'fs';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+import {
+  INDEX_FORMAT_VERSION,
+  closeStoredVectors,
+  indexFilePaths,
+  loadManifest,
+  loadStoredVectors,
+  openStoredVectors,
+  readStoredVectors,
+  validateIndexFiles,
+  writeIndexFiles
+} from '../src/lib/index-files.js';
+
+const MODEL = { name: 'fake:hash-3', dimension: 3 };
+const VECTORS = [[1, 0, 0], [0, 1, 0], [0.5, -0.25, 2]];
+
+// What writeIndexFiles needs of a FAISS index, so the files can be checked without
+// faiss-node; a placeholder index file is all the checks need
+const indexStandIn = (count, dimension = MODEL.dimension) => ({
+  ntotal: () => count,
+  getDimension: () => dimension,
+  write: (file) => writeFileSync(file, `FAISS stand-in with ${count} vectors`)
+});
+
+let folder;
+let indexPath;
+let paths;
+
+before(async () => {
+  folder = await fs.mkdtemp(path.join(os.tmpdir(), 'bear-mcp-index-files-'));
+  indexPath = path.join(folder, 'note_vectors');
+  paths = indexFilePaths(indexPath);
+});
+
+after(async () => {
+  await fs.rm(folder, { recursive: true, force: true });
+});
+
+const write = (count = 2) => writeIndexFiles(indexPath, {
+  index: indexStandIn(count),
+  noteIdMap: Object.fromEntries(Array.from({ length: count }, (_, i) => [i, { id: `NOTE-${i}`, start: 0, end: 10 }])),
+  vectors: VECTORS.slice(0, count),
+  manifest: { model: MODEL, notes: { 'NOTE-0': {}, 'NOTE-1': {} } },
+  dbPath: '/bear/database.sqlite'
+});
+
+test('writes a metadata header and no temporary files', async () => {
+  const header = await write();
+
+  assert.equal(header.version, INDEX_FORMAT_VERSION);
+  assert.deepEqual(header.model, MODEL);
+  assert.equal(header.noteCount, 2);
+  assert.equal(header.chunkCount, 2);
+  assert.equal(header.dbPath, '/bear/database.sqlite');
+  assert.deepEqual(Object.keys((await loadManifest(indexPath)).notes), ['NOTE-0', 'NOTE-1']);
+  assert.deepEqual((await fs.readdir(folder)).sort(), ['note_vectors.index', 'note_vectors.json', 'note_vectors.manifest.json', 'note_vectors.vectors']);
+});
+
+test('freshly written files pass validation', async () => {
+  const { metadata, errors, warnings } = await validateIndexFiles(indexPath, { model: MODEL, dbPath: '/bear/database.sqlite', index: indexStandIn(2) });
+
+  assert.equal(metadata.chunkCount, 2);
+  assert.equal(metadata.notes, undefined);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(warnings, []);
+});
+
+test('another model, database or vector count is reported', async () => {
+  const { errors, warnings } = await validateIndexFiles(indexPath, {
+    model: { name: 'fake:hash-64', dimension: 64 },
+    dbPath: '/elsewhere/database.sqlite',
+    index: indexStandIn(3)
+  });
+
+  assert.equal(errors.length, 2);
+  assert.match(errors[0], /built with fake:hash-3 .* rebuild it/);
+  assert.match(errors[1], /holds 3 vectors but the manifest expects 2/);
+  assert.deepEqual(warnings, ['the index was built from /bear/database.sqlite, but the server reads /elsewhere/database.sqlite']);
+});
+
+test('files changed behind the manifest fail their checksum', async () => {
+  await fs.writeFile(paths.map, JSON.stringify({ 0: { id: 'NOTE-0', start: 0, end: 10 } }));
+
+  const { errors } = await validateIndexFiles(indexPath);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /note_vectors\.json does not match the checksum/);
+});
+
+test('missing files, older and newer formats are reported', async () => {
+  await write();
+  await fs.rm(paths.index);
+  assert.deepEqual((await validateIndexFiles(indexPath)).errors, [`${paths.index} is missing`]);
+
+  await write();
+  const manifest = await loadManifest(indexPath);
+  await fs.writeFile(paths.manifest, JSON.stringify({ notes: manifest.notes }));
+  const legacy = await validateIndexFiles(indexPath);
+  assert.deepEqual(legacy.errors, []);
+  assert.match(legacy.warnings[0], /no metadata header/);
+
+  await fs.writeFile(paths.manifest, JSON.stringify({ ...manifest, version: INDEX_FORMAT_VERSION + 1 }));
+  assert.match((await validateIndexFiles(indexPath)).errors[0], /written by a newer version/);
+
+  await fs.rm(paths.manifest);
+  assert.equal(await loadManifest(indexPath), null);
+  assert.match((await validateIndexFiles(indexPath)).errors[0], /is missing or unreadable/);
+});
+
+test('a failed write leaves the previous files alone', async () => {
+  await write();
+  const before = await fs.readFile(paths.manifest, 'utf8');
+  const broken = { ...indexStandIn(1), write: () => { throw new Error('disk full'); } };
+
+  await assert.rejects(writeIndexFiles(indexPath, { index: broken, noteIdMap: {}, vectors: [VECTORS[0]], manifest: { model: MODEL, notes: {} } }), /disk full/);
+  assert.equal(await fs.readFile(paths.manifest, 'utf8'), before);
+  assert.deepEqual((await fs.readdir(folder)).filter(file => file.includes('.tmp-')), []);
+});
+
+describe('stored vectors', () => {
+  let folder;
+  let indexPath;
+
+  before(async () => {
+    folder = await fs.mkdtemp(path.join(os.tmpdir(), 'bear-mcp-test-index-'));
+    indexPath = path.join(folder, 'note_vectors');
+    await writeIndexFiles(indexPath, {
+      index: indexStandIn(VECTORS.length),
+      noteIdMap: { 0: { id: 'A', start: 0, end: 10 }, 1: null, 2: { id: 'B', start: 0, end: 5 } },
+      vectors: VECTORS,
+      manifest: { model: MODEL, notes: { A: {}, B: {} } }
+    });
+  });
+
+  after(() => fs.rm(folder, { recursive: true, force: true }));
+
+  test('are written as 32-bit floats and checksummed in the manifest', async () => {
+    const paths = indexFilePaths(indexPath);
+    assert.equal((await fs.stat(paths.vectors)).size, VECTORS.length * MODEL.dimension * 4);
+
+    const manifest = JSON.parse(await fs.readFile(paths.manifest, 'utf8'));
+    assert.equal(manifest.version, INDEX_FORMAT_VERSION);
+    assert.match(manifest.checksums.vectors, /^[0-9a-f]{64}$/);
+
+    const { errors, warnings } = await validateIndexFiles(indexPath, { model: MODEL });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(warnings, []);
+  });
+
+  test('are read back by position, skipping positions past the end', async () => {
+    const stored = await openStoredVectors(indexPath, MODEL.dimension);
+    try {
+      assert.deepEqual(await readStoredVectors(stored, [2, 0, 7]), [VECTORS[2], VECTORS[0]]);
+      const all = await loadStoredVectors(stored);
+      assert.deepEqual(all.map(vector => Array.from(vector)), VECTORS);
+    } finally {
+      await closeStoredVectors(stored);
+    }
+  });
+
+  test('keep reading the same vectors after newer files are renamed into place', async () => {
+    const stored = await openStoredVectors(indexPath, MODEL.dimension);
+    const copy = `${indexPath}-copy`;
+    try {
+      await writeIndexFiles(copy, {
+        index: indexStandIn(1),
+        noteIdMap: { 0: { id: 'C', start: 0, end: 1 } },
+        vectors: [[9, 9, 9]],
+        manifest: { model: MODEL, notes: { C: {} } }
+      });
+      await fs.rename(indexFilePaths(copy).vectors, indexFilePaths(indexPath).vectors);
+      assert.deepEqual(await readStoredVectors(stored, [1]), [VECTORS[1]]);
+    } finally {
+      await closeStoredVectors(stored);
+    }
+
+    const { errors } = await validateIndexFiles(indexPath, { model: MODEL });
+    assert.ok(errors.some(error => error.includes('does not match the checksum')));
+  });
+
+  test('must have one vector per position of the index', async () => {
+    await assert.rejects(writeIndexFiles(path.join(folder, 'short'), {
+      index: indexStandIn(2),
+      noteIdMap: { 0: null, 1: null },
+      vectors: [VECTORS[0]],
+      manifest: { model: MODEL, notes: {} }
+    }), /Cannot save 1 stored vectors for an index of 2/);
+  });
+
+  test('are optional for indexes from before format 4', async () => {
+    const oldPath = path.join(folder, 'old');
+    await writeIndexFiles(oldPath, {
+      index: indexStandIn(1),
+      noteIdMap: { 0: { id: 'A', start: 0, end: 1 } },
+      vectors: [VECTORS[0]],
+      manifest: { model: MODEL, notes: { A: {} } }
+    });
+    const paths = indexFilePaths(oldPath);
+    const manifest = JSON.parse(await fs.readFile(paths.manifest, 'utf8'));
+    delete manifest.checksums.vectors;
+    await fs.writeFile(paths.manifest, JSON.stringify({ ...manifest, version: 3 }));
+    await fs.rm(paths.vectors);
+
+    const { errors, warnings } = await validateIndexFiles(oldPath, { model: MODEL });
+    assert.deepEqual(errors, []);
+    assert.ok(warnings.some(warning => warning.includes('no stored vectors')));
+    assert.equal(await openStoredVectors(oldPath, MODEL.dimension), null);
+  });
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { INDEX_HEADER_BYTES, isFlatIndex, locateSearchParameter } from '../src/lib/index-layout.js';
+
+// Serialized indexes laid out the way FAISS writes them, small enough to build by hand, so the
+// layout checks run without faiss-node. vector-index.test.js checks them against FAISS itself.
+const DIMENSION = 4;
+const COUNT = 3;
+
+const int32 = (value) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeInt32LE(value);
+  return buffer;
+};
+
+const int64 = (value) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigInt64LE(BigInt(value));
+  return buffer;
+};
+
+// A std::vector: its length, then the items
+const vector = (length, itemBytes) => Buffer.concat([int64(length), Buffer.alloc(length * itemBytes)]);
+
+// fourcc, d, ntotal, two unused fields, is_trained, metric type (1 is L2)
+const header = (fourcc, { dimension = DIMENSION, count = COUNT, metric = 1 } = {}) =>
+  Buffer.concat([Buffer.from(fourcc, 'latin1'), int32(dimension), int64(count), int64(0), int64(0), Buffer.from([1]), int32(metric)]);
+
+const flatIndex = (count, options = {}) => Buffer.concat([header('IxF2', { ...options, count }), vector(count * DIMENSION, 4)]);
+
+const ivfIndex = ({ nlist = 2, nprobe = 1, quantizer = flatIndex(nlist), ...options } = {}) =>
+  Buffer.concat([header('IwFl', options), int64(nlist), int64(nprobe), quantizer, Buffer.alloc(16)]);
+
+const hnswIndex = ({ levels = COUNT, efSearch = 16, ...options } = {}) => Buffer.concat([
+  header('IHNf', options),
+  vector(2, 8), // level probabilities
+  vector(3, 4), // cumulative neighbour counts
+  vector(levels, 4), // each vector's level
+  vector(COUNT + 1, 8), // offsets into the neighbours
+  vector(COUNT * 4, 4), // neighbours
+  int32(0), int32(1), int32(40), int32(efSearch), int32(1), // entry point ... upper_beam
+  flatIndex(COUNT)
+]);
+
+const shape = { dimension: DIMENSION, count: COUNT };
+
+test('flat indexes have no search parameter', () => {
+  assert.equal(INDEX_HEADER_BYTES, header('IxF2').length);
+  assert.equal(isFlatIndex(flatIndex(COUNT)), true);
+  assert.equal(isFlatIndex(ivfIndex()), false);
+  assert.equal(locateSearchParameter(flatIndex(COUNT), shape), null);
+});
+
+test('nprobe follows nlist in an IVF index', () => {
+  const buffer = ivfIndex({ nprobe: 7 });
+  const parameter = locateSearchParameter(buffer, shape);
+  assert.deepEqual(parameter, { name: 'nprobe', offset: 45, bytes: 8 });
+  assert.equal(Number(buffer.readBigInt64LE(parameter.offset)), 7);
+});
+
+test('efSearch is found past the HNSW graph', () => {
+  const buffer = hnswIndex({ efSearch: 23 });
+  const parameter = locateSearchParameter(buffer, shape);
+  assert.equal(parameter.name, 'efSearch');
+  assert.equal(parameter.bytes, 4);
+  assert.equal(buffer.readInt32LE(parameter.offset), 23);
+});
+
+test('anything that does not match the index is left alone', () => {
+  assert.equal(locateSearchParameter(ivfIndex(), { dimension: 8, count: COUNT }), null, 'another dimension');
+  assert.equal(locateSearchParameter(ivfIndex(), { dimension: DIMENSION, count: 5 }), null, 'another count');
+  assert.equal(locateSearchParameter(ivfIndex({ metric: 0 }), shape), null, 'inner product');
+  assert.equal(locateSearchParameter(ivfIndex({ nlist: 0, quantizer: flatIndex(0) }), shape), null, 'no lists');
+  assert.equal(locateSearchParameter(ivfIndex({ quantizer: flatIndex(5) }), shape), null, 'quantizer of another size');
+  assert.equal(locateSearchParameter(ivfIndex({ quantizer: Buffer.concat([Buffer.alloc(8), flatIndex(2)]) }), shape), null, 'quantizer moved');
+  assert.equal(locateSearchParameter(hnswIndex({ levels: COUNT + 1 }), shape), null, 'a level for every vector');
+  assert.equal(locateSearchParameter(Buffer.concat([header('IHNs'), Buffer.alloc(64)]), shape), null, 'unknown storage');
+});
+
+test('a buffer cut short throws rather than pointing past its end', () => {
+  const buffer = hnswIndex();
+  assert.throws(() => locateSearchParameter(buffer.subarray(0, INDEX_HEADER_BYTES + 40), shape), RangeError);
+});
@@ -0,0 +1,137 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { createFixture, createTestDatabase, faissUnavailable, openDb, toCoreDataDate } from './helpers.js';
+import { loadManifest } from '../src/lib/index-files.js';
+
+// The indexer and watcher load FAISS as soon as they are imported
+const indexer = faissUnavailable ? null : await import('../src/lib/indexer.js');
+const watcher = faissUnavailable ? null : await import('../src/lib/index-watcher.js');
+const utils = faissUnavailable ? null : await import('../src/utils.js');
+
+const quiet = () => {};
+
+let fixture;
+let db;
+let indexPath;
+
+before(async () => {
+  fixture = await createTestDatabase([
+    { id: 'NOTE-1', title: 'Sourdough', text: 'Feed the starter the night before.' },
+    { id: 'NOTE-2', title: 'Bike repairs', text: 'Patch kit and tyre levers.' }
+  ]);
+  db = await openDb(fixture.dbPath);
+  indexPath = path.join(fixture.folder, 'note_vectors');
+  if (utils) {
+    await utils.initEmbedder();
+  }
+});
+
+after(async () => {
+  await db.closeAsync();
+  await fixture.cleanup();
+});
+
+const touch = (id, fields) => fixture.execute(
+  `UPDATE ZSFNOTE SET ${Object.keys(fields).map(field => `${field} = ?`).join(', ')} WHERE ZUNIQUEIDENTIFIER = ?`,
+  [...Object.values(fields), id]
+);
+
+test('builds, saves and reloads an index', { skip: faissUnavailable }, async () => {
+  const result = await indexer.updateIndex(db, null, { log: quiet });
+  assert.deepEqual(result.stats, { added: 2, updated: 0, removed: 0, skipped: 0, staleChunks: 0 });
+  assert.equal(result.index.ntotal(), result.entries.length);
+
+  await indexer.saveIndexFiles(indexPath, result);
+  const loaded = await indexer.loadIndexFiles(indexPath, { log: quiet });
+  assert.deepEqual(loaded.entries, result.entries);
+  assert.deepEqual(loaded.manifest.notes, result.manifest.notes);
+  assert.deepEqual(loaded.manifest.model, result.manifest.model);
+  assert.equal(loaded.manifest.chunkCount, result.entries.length);
+});
+
+test('findChangedNotes compares modification dates only', { skip: faissUnavailable }, async () => {
+  const manifest = await loadManifest(indexPath);
+  await touch('NOTE-1', { ZMODIFICATIONDATE: toCoreDataDate('2024-05-01T00:00:00Z') });
+  await touch('NOTE-2', { ZTRASHED: 1 });
+
+  const changes = await indexer.findChangedNotes(db, manifest);
+  assert.deepEqual(changes.changedIds, ['NOTE-1']);
+  assert.deepEqual(changes.removedIds, ['NOTE-2']);
+  assert.deepEqual(Object.keys(changes.unchanged), []);
+
+  // NOTE-1 only got a new date, so its text hash still matches
+  const result = await indexer.updateIndex(db, await indexer.loadIndexFiles(indexPath, { log: quiet }), { log: quiet });
+  assert.deepEqual(result.stats, { added: 0, updated: 0, removed: 1, skipped: 1, staleChunks: 0 });
+  assert.deepEqual([...new Set(result.entries.map(entry => entry.id))], ['NOTE-1']);
+  await indexer.saveIndexFiles(indexPath, result);
+});
+
+test('loadIndexFiles refuses mappings that do not match the index', { skip: faissUnavailable }, async () => {
+  await fs.writeFile(`${indexPath}.json`, JSON.stringify({ 0: 'NOTE-1' }));
+  assert.equal(await indexer.loadIndexFiles(indexPath, { log: quiet }), null);
+
+  await fs.writeFile(`${indexPath}.json`, JSON.stringify({}));
+  assert.equal(await indexer.loadIndexFiles(indexPath, { log: quiet }), null);
+});
+
+test('the index watcher embeds changes into the live index', { skip: faissUnavailable }, async () => {
+  await touch('NOTE-2', { ZTRASHED: 0 });
+  const result = await indexer.updateIndex(db, null, { log: quiet });
+  await indexer.saveIndexFiles(indexPath, result);
+  utils.replaceVectorIndex(db, result.index, result.entries);
+
+  const indexWatcher = watcher.createIndexWatcher(db, { dbPath: fixture.dbPath, indexPath, interval: 0 });
+  assert.equal(indexWatcher.getStatus().enabled, false);
+
+  await touch('NOTE-2', { ZMODIFICATIONDATE: toCoreDataDate('2024-06-01T00:00:00Z'), ZTEXT: 'Patch kit, levers and a pump.' });
+  const status = await indexWatcher.sync({ force: true });
+  assert.equal(status.lastError, null);
+  assert.deepEqual(status.lastResult, { added: 0, updated: 1, removed: 0, skipped: 1, staleChunks: 0 });
+
+  // The live index was swapped and the files on disk follow it
+  const { index } = utils.getVectorIndex(db);
+  assert.notEqual(index, result.index);
+  const saved = await loadManifest(indexPath);
+  assert.equal(saved.notes['NOTE-2'].modified, toCoreDataDate('2024-06-01T00:00:00Z'));
+});
+
+test('get_index_status hears why the index is not searched as configured', { skip: faissUnavailable }, async () => {
+  const warning = 'Could not set the search parameters on the vector index';
+  const status = await indexer.getIndexStatus(db, indexPath, { loaded: true, searchWarning: warning });
+  assert.ok(status.warnings.includes(warning));
+  assert.ok(!(await indexer.getIndexStatus(db, indexPath, { loaded: true })).warnings.includes(warning));
+});
+
+test('indexes that cannot remove vectors keep stale positions', { skip: faissUnavailable }, async () => {
+  const result = await indexer.updateIndex(db, null, { log: quiet, indexConfig: { type: 'hnsw' } });
+  assert.deepEqual(result.manifest.indexType, { type: 'hnsw', factory: 'HNSW32' });
+  const chunks = result.entries.length;
+
+  await touch('NOTE-1', { ZMODIFICATIONDATE: toCoreDataDate('2024-07-01T00:00:00Z'), ZTEXT: 'Feed the starter twice a day.' });
+  const updated = await indexer.updateIndex(db, result, { log: quiet });
+
+  assert.equal(updated.stats.updated, 1);
+  assert.ok(updated.stats.staleChunks > 0);
+  assert.equal(updated.entries.length, updated.index.ntotal());
+  assert.equal(updated.entries.length, chunks + updated.stats.staleChunks);
+  assert.ok(updated.entries.slice(0, updated.stats.staleChunks).every(entry => entry === null));
+});
+
+test('attachment text is embedded and kept with its chunks when asked for', { skip: faissUnavailable }, async (t) => {
+  const bear2 = await createFixture(2);
+  t.after(() => bear2.cleanup());
+
+  const result = await indexer.updateIndex(bear2.db, null, { log: quiet, attachments: true });
+  assert.equal(result.manifest.attachments, true);
+
+  const agenda = result.entries.filter(entry => entry.attachment === 'FIXTURE-FILE-1');
+  assert.ok(agenda.length > 0);
+  assert.ok(agenda.every(entry => entry.id === 'FIXTURE-1' && entry.filename === 'agenda.pdf'));
+  assert.equal(agenda.map(entry => entry.text).join(''), 'Agenda for the project Alpha kickoff');
+
+  const without = await indexer.updateIndex(bear2.db, null, { log: quiet });
+  assert.equal(without.manifest.attachments, false);
+  assert.ok(without.entries.every(entry => entry.attachment === undefined));
+});
@@ -0,0 +1,136 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { connectServer, createTestDatabase, faissUnavailable, runIndexer } from './helpers.js';
+import { DEFAULT_LIBRARY, getDataDir, loadLibraries, optionValue, selectLibrary } from '../src/lib/libraries.js';
+
+const SETTINGS = ['BEAR_DATABASE_PATH', 'BEAR_INDEX_PATH', 'BEAR_LIBRARIES_FILE', 'XDG_DATA_HOME'];
+const saved = Object.fromEntries(SETTINGS.map(name => [name, process.env[name]]));
+
+let folder;
+
+before(async () => {
+  folder = await fs.mkdtemp(path.join(os.tmpdir(), 'bear-mcp-libraries-'));
+});
+
+afterEach(() => {
+  for (const name of SETTINGS) {
+    if (saved[name] === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = saved[name];
+    }
+  }
+});
+
+after(async () => {
+  await fs.rm(folder, { recursive: true, force: true });
+});
+
+// Write a libraries file into the test folder and point BEAR_LIBRARIES_FILE at it
+const useLibrariesFile = async (config) => {
+  const file = path.join(folder, 'libraries.json');
+  await fs.writeFile(file, typeof config === 'string' ? config : JSON.stringify(config));
+  process.env.BEAR_LIBRARIES_FILE = file;
+  return file;
+};
+
+test('optionValue reads --name value options', () => {
+  assert.equal(optionValue(['--full', '--index-path', '/tmp/index'], 'index-path'), '/tmp/index');
+  assert.equal(optionValue(['--full'], 'index-path'), undefined);
+  assert.throws(() => optionValue(['--index-path'], 'index-path'), /--index-path needs a value/);
+  assert.throws(() => optionValue(['--index-path', '--full'], 'index-path'), /--index-path needs a value/);
+});
+
+test('without a libraries file there is one library from the settings', async () => {
+  process.env.BEAR_LIBRARIES_FILE = path.join(folder, 'missing.json');
+  await assert.rejects(async () => loadLibraries(), /Could not read the libraries file/, 'a named file must exist');
+
+  delete process.env.BEAR_LIBRARIES_FILE;
+  process.env.BEAR_DATABASE_PATH = '/bear/database.sqlite';
+  process.env.XDG_DATA_HOME = folder;
+  delete process.env.BEAR_INDEX_PATH;
+
+  // Only meaningful on a machine without a libraries file of its own
+  const [library, ...rest] = loadLibraries();
+  if (library.name === DEFAULT_LIBRARY) {
+    assert.deepEqual(rest, []);
+    assert.equal(library.dbPath, '/bear/database.sqlite');
+    assert.equal(library.indexPath, path.join(folder, 'bear-mcp-server', 'note_vectors'));
+
+    process.env.BEAR_INDEX_PATH = 'relative/index';
+    assert.equal(loadLibraries()[0].indexPath, path.resolve('relative/index'));
+    assert.equal(loadLibraries({ indexPath: '/from/option' })[0].indexPath, '/from/option');
+  }
+});
+
+test('libraries files name each database and resolve paths next to the file', async () => {
+  process.env.XDG_DATA_HOME = folder;
+  await useLibrariesFile({
+    personal: { database: 'personal.sqlite' },
+    work: { database: '/sync/work.sqlite', index: 'indexes/work' }
+  });
+
+  assert.equal(getDataDir(), path.join(folder, 'bear-mcp-server'));
+  assert.deepEqual(loadLibraries(), [
+    { name: 'personal', dbPath: path.join(folder, 'personal.sqlite'), indexPath: path.join(folder, 'bear-mcp-server', 'personal', 'note_vectors') },
+    { name: 'work', dbPath: '/sync/work.sqlite', indexPath: path.join(folder, 'indexes', 'work') }
+  ]);
+});
+
+test('broken libraries files are refused', async () => {
+  await useLibrariesFile('{ not json');
+  assert.throws(() => loadLibraries(), /is not valid JSON/);
+
+  await useLibrariesFile({});
+  assert.throws(() => loadLibraries(), /should map library names/);
+
+  await useLibrariesFile({ 'my library': { database: 'a.sqlite' } });
+  assert.throws(() => loadLibraries(), /Library name "my library" .* may only contain/);
+
+  await useLibrariesFile({ work: { index: 'work' } });
+  assert.throws(() => loadLibraries(), /Library "work" .* needs a "database" path/);
+
+  await useLibrariesFile({ a: { database: 'a.sqlite', index: 'shared' }, b: { database: 'b.sqlite', index: 'shared' } });
+  assert.throws(() => loadLibraries(), /must not share an index path/);
+});
+
+test('selectLibrary picks by name, the first one by default', () => {
+  const libraries = [{ name: 'personal' }, { name: 'work' }];
+
+  assert.equal(selectLibrary(libraries), libraries[0]);
+  assert.equal(selectLibrary(libraries, ''), libraries[0]);
+  assert.equal(selectLibrary(libraries, 'work'), libraries[1]);
+  assert.throws(() => selectLibrary(libraries, 'home'), /Unknown library "home" \(expected one of: personal, work\)/);
+});
+
+test('one server searches whichever library a tool asks for', { skip: faissUnavailable }, async () => {
+  const personal = await createTestDatabase([{ id: 'HOME-1', title: 'Sourdough', text: 'Feed the starter.' }]);
+  const work = await createTestDatabase([{ id: 'WORK-1', title: 'Standup', text: 'Sprint planning on Monday.' }]);
+  const file = path.join(folder, 'server-libraries.json');
+  await fs.writeFile(file, JSON.stringify({
+    personal: { database: personal.dbPath, index: path.join(personal.folder, 'note_vectors') },
+    work: { database: work.dbPath, index: path.join(work.folder, 'note_vectors') }
+  }));
+
+  const client = await connectServer(personal, { BEAR_LIBRARIES_FILE: file });
+  try {
+    const list = async (args) => (await client.callTool({ name: 'list_notes', arguments: args })).structuredContent;
+    assert.deepEqual((await list({})).notes.map(note => note.id), ['HOME-1']);
+    assert.deepEqual((await list({ library: 'work' })).notes.map(note => note.id), ['WORK-1']);
+
+    const result = await client.callTool({ name: 'list_notes', arguments: { library: 'home' } });
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /Unknown library "home"/);
+
+    await runIndexer(personal, ['--library', 'work'], { BEAR_LIBRARIES_FILE: file });
+    await fs.access(path.join(work.folder, 'note_vectors.index'));
+    await assert.rejects(fs.access(path.join(personal.folder, 'note_vectors.index')));
+  } finally {
+    await client.close();
+    await personal.cleanup();
+    await work.cleanup();
+  }
+});
@@ -0,0 +1,114 @@
+import { test, before, after, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFixture, createTestDatabase, faissUnavailable, openDb } from './helpers.js';
+
+// note-links.js reaches the vector index through utils.js, which needs the FAISS binding
+const noteLinks = faissUnavailable ? null : await import('../src/lib/note-links.js');
+
+const deny = (tags) => [{ allow: null, deny: { tags, titles: [], ids: [] } }];
+
+// Links as sorted "source -> target" strings, for comparing
+const arrows = (links) => links.map(link => `${link.source} -> ${link.target}`).sort();
+
+test('wiki links are parsed without labels or repeats', { skip: faissUnavailable }, () => {
+  const text = 'See [[Bread]], [[Bread|the bread note]] and [[Garden/Tomatoes]].\n[[ Spaced ]] [[]] [[not\nclosed]]';
+  assert.deepEqual(noteLinks.parseWikiLinks(text), ['Bread', 'Garden/Tomatoes', 'Spaced']);
+  assert.deepEqual(noteLinks.parseWikiLinks(null), []);
+});
+
+describe('links parsed from note text', { skip: faissUnavailable }, () => {
+  let fixture;
+  let db;
+
+  before(async () => {
+    fixture = await createTestDatabase([
+      { id: 'NOTE-1', title: 'Baking', text: 'Start with [[Bread]], then [[garden/Herbs]] and [[Missing note]].' },
+      { id: 'NOTE-2', title: 'Bread', text: 'Flour, water, salt. Back to [[Baking|the overview]].' },
+      { id: 'NOTE-3', title: 'Garden', text: '## Herbs\nRosemary and thyme.' },
+      { id: 'NOTE-4', title: 'Old bread', text: 'Replaced by [[Baking]].', trashed: true },
+      { id: 'NOTE-5', title: 'Diary', text: 'Baked today, see [[Baking]].', tags: ['private'] },
+      { id: 'NOTE-6', title: 'Herbs', text: 'Links to [[Garden]].' },
+      { id: 'NOTE-7', title: 'Loner', text: 'Links to [[Loner]] and nothing else.' },
+      { id: 'NOTE-8', title: 'Breakfast', text: 'Weekends: [[Pancakes]].' },
+      { id: 'NOTE-9', title: 'Pancakes', text: 'Eggs, flour, milk.', modified: '2024-02-01T00:00:00Z' },
+      { id: 'NOTE-10', title: 'pancakes', text: 'For the surprise party.', tags: ['private'], modified: '2024-03-01T00:00:00Z' }
+    ]);
+    db = await openDb(fixture.dbPath);
+  });
+
+  after(async () => {
+    await db.closeAsync();
+    await fixture.cleanup();
+  });
+
+  test('outgoing links resolve by title, ignoring case, and heading links to their note', async () => {
+    const { links, notes } = await noteLinks.findNoteLinks(db, ['NOTE-1']);
+    assert.deepEqual(arrows(links), ['NOTE-1 -> NOTE-2', 'NOTE-1 -> NOTE-3', 'NOTE-2 -> NOTE-1', 'NOTE-5 -> NOTE-1']);
+    assert.equal(notes.get('NOTE-3').title, 'Garden');
+  });
+
+  test('trashed notes, hidden notes and links to the note itself are left out', async () => {
+    const { links } = await noteLinks.findNoteLinks(db, ['NOTE-1'], { policy: deny(['private']) });
+    assert.deepEqual(arrows(links), ['NOTE-1 -> NOTE-2', 'NOTE-1 -> NOTE-3', 'NOTE-2 -> NOTE-1']);
+    assert.deepEqual((await noteLinks.findNoteLinks(db, ['NOTE-7'])).links, []);
+  });
+
+  test('the graph grows a level per step of depth, up to maxNotes', async () => {
+    const one = await noteLinks.getNoteGraph(db, 'NOTE-2', { depth: 1 });
+    assert.deepEqual(one.nodes.map(node => [node.id, node.depth]), [['NOTE-2', 0], ['NOTE-1', 1]]);
+    assert.deepEqual(arrows(one.edges), ['NOTE-1 -> NOTE-2', 'NOTE-2 -> NOTE-1']);
+    assert.equal(one.truncated, false);
+
+    const three = await noteLinks.getNoteGraph(db, 'NOTE-2', { depth: 3 });
+    assert.deepEqual(three.nodes.map(node => node.id).sort(), ['NOTE-1', 'NOTE-2', 'NOTE-3', 'NOTE-5', 'NOTE-6']);
+    assert.equal(three.nodes.find(node => node.id === 'NOTE-6').depth, 3);
+
+    const capped = await noteLinks.getNoteGraph(db, 'NOTE-2', { depth: 3, maxNotes: 3 });
+    assert.equal(capped.nodes.length, 3);
+    assert.equal(capped.truncated, true);
+    assert.ok(capped.edges.every(edge => capped.nodes.some(node => node.id === edge.source) && capped.nodes.some(node => node.id === edge.target)));
+  });
+
+  test('hidden and unknown notes have no graph', async () => {
+    await assert.rejects(() => noteLinks.getNoteGraph(db, 'NOTE-5', { policy: deny(['private']) }), /Note not found/);
+    await assert.rejects(() => noteLinks.getNoteGraph(db, 'NOTE-4'), /Note not found/);
+  });
+
+  test('a title shared with a hidden note resolves to the visible one', async () => {
+    assert.deepEqual(arrows((await noteLinks.findNoteLinks(db, ['NOTE-8'])).links), ['NOTE-8 -> NOTE-10'], 'the newest wins');
+    assert.deepEqual(arrows((await noteLinks.findNoteLinks(db, ['NOTE-8'], { policy: deny(['private']) })).links), ['NOTE-8 -> NOTE-9']);
+
+    db.accessPolicy = deny(['private']);
+    try {
+      assert.deepEqual(arrows((await noteLinks.findNoteLinks(db, ['NOTE-8'])).links), ['NOTE-8 -> NOTE-9']);
+    } finally {
+      delete db.accessPolicy;
+    }
+  });
+
+  test('related notes list the linked notes with their relations, both ways first', async () => {
+    const { note, notes } = await noteLinks.getRelatedNotes(db, 'NOTE-1', 10, { semantic: false });
+    assert.deepEqual(note, { id: 'NOTE-1', title: 'Baking' });
+    assert.deepEqual(notes.map(related => [related.id, related.relations]), [
+      ['NOTE-2', ['links_to', 'linked_from']],
+      ['NOTE-3', ['links_to']],
+      ['NOTE-5', ['linked_from']]
+    ]);
+    assert.ok(notes.every(related => related.content === undefined));
+  });
+});
+
+describe('links from the Bear 2 backlink table', { skip: faissUnavailable }, () => {
+  let fixture;
+
+  before(async () => {
+    fixture = await createFixture(2);
+  });
+
+  after(() => fixture.cleanup());
+
+  test('are read in both directions', async () => {
+    assert.deepEqual(arrows((await noteLinks.findNoteLinks(fixture.db, ['FIXTURE-1'])).links), ['FIXTURE-1 -> FIXTURE-2']);
+    assert.deepEqual(arrows((await noteLinks.findNoteLinks(fixture.db, ['FIXTURE-2'])).links), ['FIXTURE-1 -> FIXTURE-2']);
+  });
+});
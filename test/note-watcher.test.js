@@ -0,0 +1,98 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, openDb } from './helpers.js';
+import { createNoteWatcher, getNotifyInterval } from '../src/lib/note-watcher.js';
+
+let fixture;
+let db;
+
+before(async () => {
+  fixture = await createTestDatabase([
+    { id: 'NOTE-1', title: 'One', text: 'First' },
+    { id: 'NOTE-2', title: 'Two', text: 'Second' },
+    { id: 'NOTE-3', title: 'Three', text: 'Third' },
+    { id: 'NOTE-4', title: 'Four', text: 'Fourth', tags: ['private'] }
+  ]);
+  db = await openDb(fixture.dbPath);
+});
+
+after(async () => {
+  await db.closeAsync();
+  await fixture.cleanup();
+});
+
+// Resolve with the next change a watcher reports. The watcher's timer doesn't keep the
+// process alive, so this one does until then.
+const nextChange = (watcher) => new Promise((resolve, reject) => {
+  const timeout = setTimeout(() => reject(new Error('No change reported')), 5000);
+  const remove = watcher.onChange((change) => {
+    clearTimeout(timeout);
+    remove();
+    resolve(change);
+  });
+});
+
+test('reports changed and trashed notes, and stops polling without listeners', async () => {
+  const watcher = createNoteWatcher(db, { dbPath: fixture.dbPath, interval: 0.05 });
+  const remove = watcher.onChange(() => {});
+  assert.equal(watcher.isWatching(), true);
+
+  // Let the first check see where things stand before changing anything
+  await new Promise(resolve => setTimeout(resolve, 200));
+  const change = nextChange(watcher);
+  await fixture.execute(`UPDATE ZSFNOTE SET ZMODIFICATIONDATE = ZMODIFICATIONDATE + 60
+    WHERE ZUNIQUEIDENTIFIER IN ('NOTE-1', 'NOTE-2')`);
+  await fixture.execute('UPDATE ZSFNOTE SET ZTRASHED = 1 WHERE ZUNIQUEIDENTIFIER = ?', ['NOTE-3']);
+
+  const { changedIds, removedIds } = await change;
+  assert.deepEqual(changedIds.sort(), ['NOTE-1', 'NOTE-2']);
+  assert.deepEqual(removedIds, ['NOTE-3']);
+
+  remove();
+  assert.equal(watcher.isWatching(), false);
+});
+
+test('leaves out notes the access policy hides', async (t) => {
+  db.accessPolicy = [{ allow: null, deny: { tags: ['private'], titles: [], ids: [] } }];
+  t.after(() => {
+    delete db.accessPolicy;
+  });
+
+  const watcher = createNoteWatcher(db, { dbPath: fixture.dbPath, interval: 0.05 });
+  const remove = watcher.onChange(() => {});
+  t.after(remove);
+
+  await new Promise(resolve => setTimeout(resolve, 200));
+  const change = nextChange(watcher);
+  await fixture.execute(`UPDATE ZSFNOTE SET ZMODIFICATIONDATE = ZMODIFICATIONDATE + 60
+    WHERE ZUNIQUEIDENTIFIER IN ('NOTE-1', 'NOTE-4')`);
+
+  const { changedIds, removedIds } = await change;
+  assert.deepEqual(changedIds, ['NOTE-1']);
+  assert.deepEqual(removedIds, []);
+});
+
+test('never polls with an interval of 0', () => {
+  const watcher = createNoteWatcher(db, { dbPath: fixture.dbPath, interval: 0 });
+  assert.equal(watcher.enabled, false);
+  watcher.onChange(() => {});
+  assert.equal(watcher.isWatching(), false);
+});
+
+test('BEAR_NOTIFY_INTERVAL must be a number of seconds', (t) => {
+  const original = process.env.BEAR_NOTIFY_INTERVAL;
+  t.after(() => {
+    if (original === undefined) {
+      delete process.env.BEAR_NOTIFY_INTERVAL;
+    } else {
+      process.env.BEAR_NOTIFY_INTERVAL = original;
+    }
+  });
+
+  delete process.env.BEAR_NOTIFY_INTERVAL;
+  assert.equal(getNotifyInterval(), 10);
+  process.env.BEAR_NOTIFY_INTERVAL = '0';
+  assert.equal(getNotifyInterval(), 0);
+  process.env.BEAR_NOTIFY_INTERVAL = 'often';
+  assert.throws(getNotifyInterval, /BEAR_NOTIFY_INTERVAL must be a number of seconds/);
+});
@@ -0,0 +1,85 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { createTestDatabase, faissUnavailable, openDb } from './helpers.js';
+
+// prompts.js reaches FAISS through utils.js
+const { createPromptRegistry } = faissUnavailable ? {} : await import('../src/lib/prompts.js');
+
+const now = new Date().toISOString();
+const longAgo = '2020-01-01T00:00:00Z';
+
+let fixture;
+let db;
+let registry;
+
+before(async () => {
+  if (faissUnavailable) {
+    return;
+  }
+  fixture = await createTestDatabase([
+    { id: 'NOTE-1', title: 'Launch plan', text: '- [ ] Book the venue\n- [x] Pick a date\n* [ ] Send invites', tags: ['work'], modified: now, todos: 2 },
+    { id: 'NOTE-2', title: 'Allotment', text: '- [ ] Order seeds', tags: ['home'], modified: longAgo, todos: 1 },
+    { id: 'NOTE-3', title: 'Retro', text: 'Went well: the demo.', tags: ['work'], modified: now }
+  ]);
+  db = await openDb(fixture.dbPath);
+
+  const promptsDir = path.join(fixture.folder, 'prompts');
+  await fs.mkdir(promptsDir);
+  await fs.writeFile(path.join(promptsDir, 'status.json'), JSON.stringify({
+    name: 'project_status',
+    description: 'Status update for a project',
+    arguments: [{ name: 'project', description: 'Project name', required: true }],
+    notes: { tags: ['{{project}}'], limit: 5 },
+    template: 'Status of {{project}} ({{unknown}}):\n\n{{notes}}'
+  }));
+  await fs.writeFile(path.join(promptsDir, 'broken.json'), '{ "name": "broken" }');
+  await fs.writeFile(path.join(promptsDir, 'readme.txt'), 'not a prompt');
+
+  registry = await createPromptRegistry(db, { promptsDir });
+});
+
+after(async () => {
+  if (fixture) {
+    await db.closeAsync();
+    await fixture.cleanup();
+  }
+});
+
+const promptText = async (name, args) => (await registry.get(name, args)).messages[0].content.text;
+
+test('lists the built-in prompts and valid user prompts', { skip: faissUnavailable }, () => {
+  assert.deepEqual(registry.list().map(prompt => prompt.name), [
+    'summarize_topic', 'weekly_review', 'find_open_todos', 'answer_from_notes', 'project_status'
+  ]);
+});
+
+test('user prompts fill placeholders and pull in notes by tag', { skip: faissUnavailable }, async () => {
+  const text = await promptText('project_status', { project: 'work' });
+
+  assert.ok(text.startsWith('Status of work ({{unknown}}):\n\n## '));
+  assert.match(text, /## Launch plan\nNote ID: NOTE-1 \| Tags: #work/);
+  assert.match(text, /## Retro/);
+  assert.doesNotMatch(text, /Allotment/);
+});
+
+test('weekly_review only includes recently modified notes', { skip: faissUnavailable }, async () => {
+  const text = await promptText('weekly_review', {});
+
+  assert.match(text, /the 2 notes I changed in the past 7 days/);
+  assert.doesNotMatch(text, /Allotment/);
+});
+
+test('find_open_todos collects unchecked items only', { skip: faissUnavailable }, async () => {
+  const text = await promptText('find_open_todos', { tag: '#work' });
+
+  assert.match(text, /open todos from my notes tagged #work/);
+  assert.match(text, /## Launch plan\nNote ID: NOTE-1\n\n- \[ \] Book the venue\n- \[ \] Send invites/);
+  assert.doesNotMatch(text, /Pick a date|Order seeds/);
+});
+
+test('unknown prompts and missing arguments are errors', { skip: faissUnavailable }, async () => {
+  await assert.rejects(registry.get('nope'), { message: 'Prompt not found: nope' });
+  await assert.rejects(registry.get('project_status', {}), { message: 'Missing required arguments: project' });
+});
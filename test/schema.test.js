@@ -0,0 +1,77 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, openDb } from './helpers.js';
+import { describeSchema, detectSchema, resolveSchema } from '../src/lib/schema.js';
+import { loadNoteTags } from '../src/lib/notes.js';
+
+let fixture;
+
+before(async () => {
+  fixture = await createTestDatabase([
+    { id: 'NOTE-1', title: 'Tagged', text: '', tags: ['work', 'work/meetings'] }
+  ]);
+});
+
+after(async () => {
+  await fixture.cleanup();
+});
+
+// Detect the schema through a fresh read-only connection, so earlier results aren't reused
+const detect = async () => {
+  const db = await openDb(fixture.dbPath);
+  try {
+    return await detectSchema(db);
+  } finally {
+    await db.closeAsync();
+  }
+};
+
+test('finds the note-tag junction table and its columns', async () => {
+  const schema = await detect();
+
+  assert.deepEqual(schema.noteTags, { table: 'Z_5TAGS', noteColumn: 'Z_5NOTES', tagColumn: 'Z_13TAGS' });
+  assert.equal(schema.files, null);
+  assert.equal(schema.backlinks, null);
+  assert.equal(describeSchema(schema), 'Bear 1, tags via Z_5TAGS (Z_5NOTES -> Z_13TAGS), files: none, backlinks: none');
+});
+
+test('tags are loaded through whatever Core Data numbered the junction table', async () => {
+  await fixture.execute('ALTER TABLE Z_5TAGS RENAME TO Z_7TAGS');
+  await fixture.execute('ALTER TABLE Z_7TAGS RENAME COLUMN Z_5NOTES TO Z_7NOTES');
+  await fixture.execute('ALTER TABLE Z_7TAGS RENAME COLUMN Z_13TAGS TO Z_15TAGS');
+
+  const db = await openDb(fixture.dbPath);
+  try {
+    const schema = await resolveSchema(db);
+    assert.equal(await resolveSchema(db), schema);
+    assert.deepEqual(schema.noteTags, { table: 'Z_7TAGS', noteColumn: 'Z_7NOTES', tagColumn: 'Z_15TAGS' });
+
+    const tagsById = await loadNoteTags(db, ['NOTE-1']);
+    assert.deepEqual(tagsById.get('NOTE-1'), ['work', 'work/meetings']);
+  } finally {
+    await db.closeAsync();
+  }
+});
+
+test('finds file and backlink tables when they have the expected columns', async () => {
+  await fixture.execute('CREATE TABLE ZSFNOTEFILE (Z_PK INTEGER PRIMARY KEY, ZNOTE INTEGER, ZFILENAME VARCHAR)');
+  await fixture.execute('CREATE TABLE ZSFNOTEBACKLINK (Z_PK INTEGER PRIMARY KEY, ZLINKEDBY INTEGER)');
+
+  const schema = await detect();
+  assert.equal(schema.files.table, 'ZSFNOTEFILE');
+  assert.ok(schema.files.columns.includes('ZFILENAME'));
+  assert.equal(schema.backlinks, null);
+});
+
+test('databases that are not Bear\'s are refused with a diagnostic', async () => {
+  await fixture.execute('DROP TABLE Z_7TAGS');
+  await fixture.execute('ALTER TABLE ZSFNOTE DROP COLUMN ZTRASHED');
+
+  await assert.rejects(detect(), (error) => {
+    assert.match(error.message, /^Unsupported Bear database schema:/);
+    assert.match(error.message, /note table ZSFNOTE is missing columns: ZTRASHED/);
+    assert.match(error.message, /no note-tag junction table found/);
+    assert.match(error.message, /Tables found: ZSFNOTE, ZSFNOTEBACKLINK, ZSFNOTEFILE, ZSFNOTETAG/);
+    return true;
+  });
+});
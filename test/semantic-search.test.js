@@ -0,0 +1,89 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectServer, createTestDatabase, faissUnavailable, runIndexer } from './helpers.js';
+
+// Similarity scores and min_score, with the fake embedding provider: notes only resemble a
+// query when they share words with it, so which notes match is known in advance. Needs the
+// FAISS binding.
+const FAKE_EMBEDDINGS = { BEAR_EMBEDDING_PROVIDER: 'fake' };
+
+let fixture;
+let client;
+
+before(async () => {
+  if (faissUnavailable) {
+    return;
+  }
+  fixture = await createTestDatabase([
+    { id: 'NOTE-1', title: 'Sourdough', text: 'Feed the starter the night before baking.' },
+    { id: 'NOTE-2', title: 'Bike repairs', text: 'Patch kit and tyre levers.' },
+    { id: 'NOTE-3', title: 'Garden', text: 'Plant the garlic in October, then feed the soil.' }
+  ]);
+  await runIndexer(fixture, [], FAKE_EMBEDDINGS);
+  client = await connectServer(fixture, FAKE_EMBEDDINGS);
+});
+
+after(async () => {
+  if (client) {
+    await client.close();
+    await fixture.cleanup();
+  }
+});
+
+const search = async (args) => (await client.callTool({ name: 'search_notes', arguments: args })).structuredContent;
+
+test('semantic search leaves out notes with nothing in common with the query', { skip: faissUnavailable }, async () => {
+  const result = await search({ query: 'feed starter' });
+
+  assert.equal(result.searchMethod, 'semantic');
+  assert.deepEqual(result.notes.map(note => note.id), ['NOTE-1', 'NOTE-3']);
+  assert.ok(result.notes.every(note => note.score > 0 && note.score <= 1));
+  assert.ok(result.notes[0].score > result.notes[1].score);
+});
+
+test('min_score leaves out notes below it', { skip: faissUnavailable }, async () => {
+  const { notes: all } = await search({ query: 'feed starter' });
+  const threshold = (all[0].score + all[1].score) / 2;
+
+  const result = await search({ query: 'feed starter', min_score: threshold });
+  assert.equal(result.searchMethod, 'semantic');
+  assert.deepEqual(result.notes.map(note => note.id), ['NOTE-1']);
+
+  const none = await search({ query: 'feed starter', min_score: 1 });
+  assert.deepEqual(none.notes, []);
+});
+
+test('the reported method is the search that found the notes', { skip: faissUnavailable }, async () => {
+  // "repair" only matches "repairs" through the keyword index's stemming
+  const fallback = await search({ query: 'repair' });
+  assert.equal(fallback.searchMethod, 'keyword');
+  assert.deepEqual(fallback.notes.map(note => note.id), ['NOTE-2']);
+
+  // With min_score there is no keyword fallback
+  const strict = await search({ query: 'repair', min_score: 0.1 });
+  assert.equal(strict.searchMethod, 'semantic');
+  assert.deepEqual(strict.notes, []);
+});
+
+test('retrieve_for_rag applies min_score too', { skip: faissUnavailable }, async () => {
+  const rag = async (args) => (await client.callTool({ name: 'retrieve_for_rag', arguments: args })).structuredContent;
+
+  assert.deepEqual((await rag({ query: 'feed starter' })).context.map(note => note.id), ['NOTE-1', 'NOTE-3']);
+  assert.deepEqual((await rag({ query: 'feed starter', min_score: 1 })).context, []);
+  assert.deepEqual((await rag({ query: 'tyre' })).context.map(note => note.id), ['NOTE-2']);
+});
+
+test('get_related_notes finds similar notes with the note\'s own vectors', { skip: faissUnavailable }, async () => {
+  const related = async (args) => (await client.callTool({ name: 'get_related_notes', arguments: args })).structuredContent;
+
+  const { notes } = await related({ id: 'NOTE-1' });
+  assert.deepEqual(notes.map(note => [note.id, note.relations]), [['NOTE-3', ['similar']]]);
+  assert.ok(notes[0].score > 0 && notes[0].score < 1);
+  assert.deepEqual((await related({ id: 'NOTE-1', min_score: 1 })).notes, []);
+});
+
+test('min_score must be between 0 and 1', { skip: faissUnavailable }, async () => {
+  const result = await client.callTool({ name: 'search_notes', arguments: { query: 'feed', min_score: 2 } });
+  assert.equal(result.isError, true);
+  assert.match(result.content[0].text, /min_score must be a number between 0 and 1/);
+});
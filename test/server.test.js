@@ -0,0 +1,150 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ErrorCode, ResourceListChangedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { connectServer, createTestDatabase, faissUnavailable, runIndexer } from './helpers.js';
+import { encodeCursor } from '../src/lib/cursors.js';
+
+// Runs the server with its own index over a small database. Needs the FAISS
+// binding and the embedding model.
+let fixture;
+let client;
+
+before(async () => {
+  if (faissUnavailable) {
+    return;
+  }
+  fixture = await createTestDatabase([
+    { id: 'NOTE-1', title: 'Project ALPHA-42', text: 'Kick-off notes for ALPHA-42 with the design team.' },
+    { id: 'NOTE-2', title: 'Sourdough', text: 'Feed the starter the night before baking bread.', tags: ['baking'], pinned: true },
+    { id: 'NOTE-3', title: 'Bread rolls', text: 'Shape the dough into rolls and bake for twenty minutes.', tags: ['baking'] }
+  ]);
+  await runIndexer(fixture);
+  client = await connectServer(fixture, { BEAR_NOTIFY_INTERVAL: '0.1' });
+});
+
+const callTool = (name, args) => client.callTool({ name, arguments: args });
+
+after(async () => {
+  if (client) {
+    await client.close();
+    await fixture.cleanup();
+  }
+});
+
+test('hybrid search merges keyword and semantic results', { skip: faissUnavailable }, async () => {
+  const { structuredContent: result } = await callTool('search_notes', { query: 'ALPHA-42', mode: 'hybrid', limit: 3 });
+
+  assert.equal(result.searchMethod, 'hybrid');
+  assert.equal(result.notes[0].id, 'NOTE-1');
+  assert.deepEqual(result.notes[0].matchedBy.sort(), ['keyword', 'semantic']);
+  assert.ok(result.notes.slice(1).every(note => !note.matchedBy.includes('keyword')));
+});
+
+test('tools answer with markdown as well as structured content', { skip: faissUnavailable }, async () => {
+  const { content, structuredContent } = await callTool('get_note', { id: 'NOTE-2' });
+
+  assert.equal(structuredContent.note.title, 'Sourdough');
+  assert.match(content[0].text, /^ID: NOTE-2 \| tags: #baking\n/);
+  assert.ok(content[0].text.endsWith('Feed the starter the night before baking bread.'));
+});
+
+test('keyword mode skips semantic search', { skip: faissUnavailable }, async () => {
+  const { structuredContent: result } = await callTool('search_notes', { query: 'rolls', mode: 'keyword' });
+
+  assert.equal(result.searchMethod, 'keyword');
+  assert.deepEqual(result.notes.map(note => note.id), ['NOTE-3']);
+});
+
+test('search results carry highlighted snippets instead of content', { skip: faissUnavailable }, async () => {
+  const { structuredContent: result } = await callTool('search_notes', { query: 'rolls', mode: 'keyword' });
+  assert.equal(result.notes[0].snippet, 'Shape the dough into **rolls** and bake for twenty minutes.');
+  assert.equal(result.notes[0].content, undefined);
+
+  const { structuredContent: full } = await callTool('search_notes', { query: 'rolls', mode: 'keyword', include_content: true });
+  assert.equal(full.notes[0].content, 'Shape the dough into rolls and bake for twenty minutes.');
+});
+
+test('unknown search modes are rejected', { skip: faissUnavailable }, async () => {
+  const result = await callTool('search_notes', { query: 'bread', mode: 'fuzzy' });
+
+  assert.equal(result.isError, true);
+  assert.equal(result.content[0].text, 'Unknown search mode: fuzzy (expected: semantic, keyword, hybrid)');
+});
+
+test('filters apply to semantic results', { skip: faissUnavailable }, async () => {
+  const { structuredContent: result } = await callTool('search_notes', { query: 'bread', tags: ['baking'], pinned: false });
+
+  assert.equal(result.searchMethod, 'semantic');
+  assert.deepEqual(result.notes.map(note => note.id), ['NOTE-3']);
+});
+
+test('invalid filter dates fail the search', { skip: faissUnavailable }, async () => {
+  const result = await callTool('search_notes', { query: 'bread', created_after: 'soon' });
+
+  assert.equal(result.isError, true);
+  assert.equal(result.content[0].text, 'Search failed: Invalid date for created_after: soon');
+});
+
+test('list_notes pages through every note with cursors', { skip: faissUnavailable }, async () => {
+  const seen = [];
+  let cursor;
+  do {
+    const { structuredContent: page } = await callTool('list_notes', { sort: 'title', limit: 2, ...(cursor ? { cursor } : {}) });
+    seen.push(...page.notes.map(note => note.title));
+    assert.equal(page.hasMore, Boolean(page.nextCursor));
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  assert.deepEqual(seen, ['Bread rolls', 'Project ALPHA-42', 'Sourdough']);
+});
+
+test('search cursors cannot be reused for a different query', { skip: faissUnavailable }, async () => {
+  const { structuredContent: first } = await callTool('search_notes', { query: 'bread', limit: 1 });
+  assert.equal(first.notes.length, 1);
+  assert.equal(first.hasMore, true);
+
+  const { structuredContent: second } = await callTool('search_notes', { query: 'bread', limit: 1, cursor: first.nextCursor });
+  assert.notEqual(second.notes[0].id, first.notes[0].id);
+
+  const result = await callTool('search_notes', { query: 'dough', limit: 1, cursor: first.nextCursor });
+  assert.equal(result.isError, true);
+  assert.match(result.content[0].text, /issued for a different query/);
+});
+
+test('get_index_status reports a valid, up-to-date index', { skip: faissUnavailable }, async () => {
+  const { status } = (await callTool('get_index_status', {})).structuredContent;
+
+  assert.equal(status.loaded, true);
+  assert.equal(status.valid, true);
+  assert.deepEqual(status.errors, []);
+  assert.equal(status.noteCount, 3);
+  assert.equal(status.upToDate, true);
+});
+
+test('notes are listed and read as resources', { skip: faissUnavailable }, async () => {
+  const { resources, nextCursor } = await client.listResources();
+  assert.deepEqual(resources.map(resource => resource.uri).sort(), ['bear://note/NOTE-1', 'bear://note/NOTE-2', 'bear://note/NOTE-3']);
+  assert.equal(nextCursor, undefined);
+
+  const { contents } = await client.readResource({ uri: 'bear://note/NOTE-2' });
+  assert.equal(contents[0].text, 'Feed the starter the night before baking bread.');
+
+  const listing = JSON.parse((await client.readResource({ uri: 'bear://tag/baking' })).contents[0].text);
+  assert.deepEqual(listing.notes.map(note => note.id).sort(), ['NOTE-2', 'NOTE-3']);
+});
+
+test('resource cursors must hold a whole, non-negative offset', { skip: faissUnavailable }, async () => {
+  for (const cursor of ['garbage', encodeCursor({ offset: -50 }), encodeCursor({ offset: 'all' })]) {
+    await assert.rejects(client.listResources({ cursor }), { code: ErrorCode.InvalidParams, message: /Invalid cursor/ });
+  }
+});
+
+test('changed notes are announced to the client', { skip: faissUnavailable, timeout: 10000 }, async () => {
+  const changed = new Promise(resolve => client.setNotificationHandler(ResourceListChangedNotificationSchema, resolve));
+  await client.subscribeResource({ uri: 'bear://note/NOTE-1' });
+
+  // Give the watcher a moment to see where things stand first
+  await new Promise(resolve => setTimeout(resolve, 300));
+  await fixture.execute('UPDATE ZSFNOTE SET ZMODIFICATIONDATE = ZMODIFICATIONDATE + 60 WHERE ZUNIQUEIDENTIFIER = ?', ['NOTE-1']);
+  await changed;
+});
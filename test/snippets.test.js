@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSnippet, highlight, packPassages } from '../src/lib/snippets.js';
+
+const query = (terms, phrases = []) => ({ terms, phrases, excluded: [] });
+
+test('highlight bolds terms and phrases, longest first, ignoring case and short words', () => {
+  assert.equal(highlight('Sourdough starter at home', query(['starter', 'at'])), 'Sourdough **starter** at home');
+  assert.equal(highlight('Feed the Sourdough Starter', query(['starter'], ['sourdough starter'])), 'Feed the **Sourdough Starter**');
+  assert.equal(highlight('a+b (c)', query(['a+b', '(c)'])), '**a+b** **(c)**');
+  assert.equal(highlight('nothing to do', query([])), 'nothing to do');
+});
+
+test('snippets centre on the first match and cut at word boundaries', () => {
+  const content = `${'filler words here '.repeat(30)}the garlic goes in last ${'and more words '.repeat(30)}`;
+  const snippet = createSnippet(content, query(['garlic']), { maxChars: 80 });
+
+  assert.match(snippet, /^….*\*\*garlic\*\*.*…$/);
+  // Snapping to whole words can add at most a word at each end
+  assert.ok(snippet.replace(/\*\*|…/g, '').length <= 80 + 2 * 'filler '.length);
+  assert.match(snippet, /^…(filler|words|here|the) /, 'starts on a whole word');
+});
+
+test('snippets prefer a match inside the best chunk', () => {
+  const content = `garlic at the start. ${'padding '.repeat(50)}roast the garlic slowly`;
+  const start = content.lastIndexOf('roast');
+  const snippet = createSnippet(content, query(['garlic']), { chunk: { start, end: content.length }, maxChars: 40 });
+
+  assert.match(snippet, /roast the \*\*garlic\*\* slowly$/);
+});
+
+test('snippets without a match start at the beginning of the note', () => {
+  assert.equal(createSnippet('Short note.', query(['missing'])), 'Short note.');
+  assert.equal(createSnippet('', query(['missing'])), '');
+  assert.equal(createSnippet(null, query(['missing'])), '');
+});
+
+test('packPassages takes the best passages that fit the budget', () => {
+  const notes = [
+    { id: 'A', title: 'A', content: 'ignored', passages: [
+      { text: 'a'.repeat(60), score: 0.9 },
+      { text: 'b'.repeat(60), score: 0.5 }
+    ] },
+    { id: 'B', title: 'B', content: 'c'.repeat(30), score: 0.7 }
+  ];
+  const { notes: packed, usedChars } = packPassages(notes, 100);
+
+  assert.equal(usedChars, 90);
+  assert.deepEqual(packed.map(note => note.id), ['A', 'B']);
+  assert.deepEqual(packed[0].passages.map(passage => passage.score), [0.9]);
+  assert.equal(packed[0].content, undefined);
+  assert.equal(packed[1].passages[0].text, 'c'.repeat(30), 'whole content counts as one passage');
+});
+
+test('packPassages truncates the best passage when nothing fits', () => {
+  const notes = [{ id: 'A', passages: [{ text: 'one two three four five six', score: 1 }] }];
+  const { notes: packed, usedChars } = packPassages(notes, 15);
+
+  assert.equal(packed[0].passages[0].text, 'one two three…');
+  assert.ok(usedChars <= 15);
+});
@@ -0,0 +1,182 @@
+import { test, before, after, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectServer, createTestDatabase, faissUnavailable, openDb, runIndexer } from './helpers.js';
+
+// todos.js reaches semantic search through utils.js, which needs the FAISS binding
+const todos = faissUnavailable ? null : await import('../src/lib/todos.js');
+
+const PROJECT = [
+  '# Garden project',
+  '- [ ] order seeds',
+  '  - [x] measure the beds',
+  '    * [ ] check the soil',
+  '## Shed',
+  '+ [X] clear out the shed',
+  '1. [ ] fix the door',
+  '```',
+  '- [ ] not a todo, just code',
+  '# Not a heading either',
+  '```',
+  '- [ ]    ',
+  '-[ ] missing space',
+  '# Later',
+  '* [ ] plant garlic'
+].join('\n');
+
+test('parseTodos finds nested, ticked and numbered items under their headings', { skip: faissUnavailable }, () => {
+  assert.deepEqual(todos.parseTodos(PROJECT), [
+    { text: 'order seeds', completed: false, line: 2, heading: 'Garden project', headings: ['Garden project'] },
+    { text: 'measure the beds', completed: true, line: 3, heading: 'Garden project', headings: ['Garden project'] },
+    { text: 'check the soil', completed: false, line: 4, heading: 'Garden project', headings: ['Garden project'] },
+    { text: 'clear out the shed', completed: true, line: 6, heading: 'Shed', headings: ['Garden project', 'Shed'] },
+    { text: 'fix the door', completed: false, line: 7, heading: 'Shed', headings: ['Garden project', 'Shed'] },
+    { text: 'plant garlic', completed: false, line: 15, heading: 'Later', headings: ['Later'] }
+  ]);
+});
+
+test('parseTodos copes with notes without text or todos', { skip: faissUnavailable }, () => {
+  assert.deepEqual(todos.parseTodos(null), []);
+  assert.deepEqual(todos.parseTodos('Just prose, and a [ ] bracket.'), []);
+});
+
+describe('listTodos', { skip: faissUnavailable }, () => {
+  let fixture;
+  let db;
+
+  before(async () => {
+    fixture = await createTestDatabase([
+      { id: 'NOTE-1', title: 'Garden', text: PROJECT, tags: ['home'], modified: '2024-03-01T00:00:00Z', todos: 4 },
+      { id: 'NOTE-2', title: 'Work', text: '# Sprint\n- [ ] review the garden centre invoice\n- [x] ship it', tags: ['work'], modified: '2024-04-01T00:00:00Z', todos: 1 },
+      { id: 'NOTE-3', title: 'Done', text: '- [x] all finished', modified: '2024-05-01T00:00:00Z' },
+      { id: 'NOTE-4', title: 'Old', text: '- [ ] forgotten', trashed: true, todos: 1 }
+    ]);
+    db = await openDb(fixture.dbPath);
+  });
+
+  after(async () => {
+    await db.closeAsync();
+    await fixture.cleanup();
+  });
+
+  const texts = (items) => items.map(todo => todo.text);
+  const listed = async (options) => (await todos.listTodos(db, options)).todos;
+
+  test('lists open items by default, most recently modified notes first', async () => {
+    const { todos: open, next } = await todos.listTodos(db);
+    assert.equal(next, null);
+    assert.deepEqual(texts(open), ['review the garden centre invoice', 'order seeds', 'check the soil', 'fix the door', 'plant garlic']);
+    assert.equal(open[0].noteId, 'NOTE-2');
+    assert.equal(open[0].noteTitle, 'Work');
+    assert.equal(open[0].modified, '2024-04-01T00:00:00.000Z');
+  });
+
+  test('lists completed or all items', async () => {
+    assert.deepEqual(texts(await listed({ status: 'completed' })), ['all finished', 'ship it', 'measure the beds', 'clear out the shed']);
+    assert.equal((await listed({ status: 'all' })).length, 9);
+    await assert.rejects(() => todos.listTodos(db, { status: 'someday' }), /Unknown todo status: someday/);
+  });
+
+  test('keyword queries match the item, its headings or its note title', async () => {
+    assert.deepEqual(texts(await listed({ query: 'shed' })), ['fix the door']);
+    assert.deepEqual(texts(await listed({ query: 'garlic' })), ['plant garlic']);
+    assert.deepEqual(texts(await listed({ query: 'garden -invoice' })), ['order seeds', 'check the soil', 'fix the door', 'plant garlic']);
+    assert.deepEqual(texts(await listed({ query: '"garden centre"', status: 'all' })), ['review the garden centre invoice']);
+  });
+
+  test('pages stop at the limit and say where the next one starts', async () => {
+    const first = await todos.listTodos(db, { limit: 2 });
+    assert.deepEqual(texts(first.todos), ['review the garden centre invoice', 'order seeds']);
+    assert.deepEqual(first.next, { note: 1, item: 1 });
+
+    const second = await todos.listTodos(db, { limit: 2, start: first.next });
+    assert.deepEqual(texts(second.todos), ['check the soil', 'fix the door']);
+    const third = await todos.listTodos(db, { limit: 2, start: second.next });
+    assert.deepEqual(texts(third.todos), ['plant garlic']);
+    assert.equal(third.next, null);
+  });
+
+  test('filters and the access policy apply to the notes', async () => {
+    assert.deepEqual(texts(await listed({ filters: { tags: ['work'] } })), ['review the garden centre invoice']);
+    const policy = [{ allow: null, deny: { tags: ['home'], titles: [], ids: [] } }];
+    assert.deepEqual(texts(await listed({ policy })), ['review the garden centre invoice']);
+  });
+});
+
+describe('listTodos over many notes', { skip: faissUnavailable }, () => {
+  let fixture;
+  let db;
+
+  before(async () => {
+    // Unmatched todos in the newest notes, and the one match in the oldest
+    const notes = Array.from({ length: todos.MAX_SCANNED_NOTES + 20 }, (_, i) => ({
+      id: `NOTE-${i + 1}`,
+      title: `Chores ${i + 1}`,
+      text: i === todos.MAX_SCANNED_NOTES + 19 ? '- [ ] renew the passport' : '- [ ] wash up',
+      modified: new Date(Date.UTC(2024, 0, 1) - i * 60000).toISOString(),
+      todos: 1
+    }));
+    fixture = await createTestDatabase(notes);
+    db = await openDb(fixture.dbPath);
+  });
+
+  after(async () => {
+    await db.closeAsync();
+    await fixture.cleanup();
+  });
+
+  test('a call reads only as many notes as a page needs', async () => {
+    const page = await todos.listTodos(db, { limit: 3 });
+    assert.deepEqual(page.todos.map(todo => todo.noteId), ['NOTE-1', 'NOTE-2', 'NOTE-3']);
+    assert.deepEqual(page.next, { note: 3, item: 0 });
+  });
+
+  test('a query with few matches stops after MAX_SCANNED_NOTES and carries on from there', async () => {
+    const first = await todos.listTodos(db, { query: 'passport' });
+    assert.deepEqual(first.todos, []);
+    assert.deepEqual(first.next, { note: todos.MAX_SCANNED_NOTES, item: 0 });
+
+    const second = await todos.listTodos(db, { query: 'passport', start: first.next });
+    assert.deepEqual(second.todos.map(todo => todo.text), ['renew the passport']);
+    assert.equal(second.next, null);
+  });
+});
+
+// The list_todos tool with semantic search, using the fake embedding provider: notes only
+// resemble a query when they share words with it
+describe('list_todos', { skip: faissUnavailable }, () => {
+  const FAKE_EMBEDDINGS = { BEAR_EMBEDDING_PROVIDER: 'fake' };
+  let fixture;
+  let client;
+
+  before(async () => {
+    fixture = await createTestDatabase([
+      { id: 'NOTE-1', title: 'Garden', text: 'Spring garden jobs\n- [ ] order seeds\n- [x] dig the beds', todos: 1 },
+      { id: 'NOTE-2', title: 'Bike', text: 'Bike repairs\n- [ ] patch the tyre', todos: 1 }
+    ]);
+    await runIndexer(fixture, [], FAKE_EMBEDDINGS);
+    client = await connectServer(fixture, FAKE_EMBEDDINGS);
+  });
+
+  after(async () => {
+    await client.close();
+    await fixture.cleanup();
+  });
+
+  const listTodos = async (args) => (await client.callTool({ name: 'list_todos', arguments: args })).structuredContent;
+
+  test('a query picks the related notes with semantic search and returns all their items', async () => {
+    const result = await listTodos({ query: 'spring garden', status: 'all' });
+    assert.equal(result.searchMethod, 'semantic');
+    assert.deepEqual(result.todos.map(todo => todo.text), ['order seeds', 'dig the beds']);
+  });
+
+  test('items are paged with cursors', async () => {
+    const first = await listTodos({ limit: 1 });
+    assert.equal(first.todos.length, 1);
+    assert.equal(first.hasMore, true);
+
+    const second = await listTodos({ limit: 1, cursor: first.nextCursor });
+    assert.equal(second.hasMore, false);
+    assert.deepEqual([...first.todos, ...second.todos].map(todo => todo.text).sort(), ['order seeds', 'patch the tyre']);
+  });
+});
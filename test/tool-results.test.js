@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  OUTPUT_SCHEMAS,
+  formatAttachment,
+  formatFields,
+  formatNote,
+  formatNoteContext,
+  formatNoteList,
+  formatTagList,
+  formatTodoList,
+  toolError,
+  toolResult
+} from '../src/lib/tool-results.js';
+
+test('results carry text and structured content, failures carry isError', () => {
+  assert.deepEqual(toolResult('Done', { ok: true }), {
+    content: [{ type: 'text', text: 'Done' }],
+    structuredContent: { ok: true }
+  });
+  assert.deepEqual(toolResult('Done'), { content: [{ type: 'text', text: 'Done' }] });
+  assert.deepEqual(toolError('Nope'), { content: [{ type: 'text', text: 'Nope' }], isError: true });
+});
+
+test('note lists show metadata and either the subtitle or the passages', () => {
+  const text = formatNoteList([
+    { id: 'NOTE-1', title: 'Sourdough', subtitle: 'Feed the starter', score: 0.91234, tags: ['baking', 'food'] },
+    { id: 'NOTE-2', title: null, matchedBy: ['keyword', 'semantic'], passages: [{ text: 'line one\nline two' }, { text: 'other' }] }
+  ], 'Found 2 notes:');
+
+  assert.equal(text, [
+    'Found 2 notes:',
+    '',
+    '1. **Sourdough**',
+    '   ID: NOTE-1 | score: 0.912 | tags: #baking #food',
+    '   Feed the starter',
+    '',
+    '2. **Untitled**',
+    '   ID: NOTE-2 | matched by: keyword, semantic',
+    '',
+    '> line one\n> line two\n>\n> other'
+  ].join('\n'));
+  assert.equal(formatNoteList([], 'Found 0 notes:'), 'Found 0 notes:\n\nNo matching notes found.');
+});
+
+test('RAG context includes note content or passages', () => {
+  const text = formatNoteContext([
+    { id: 'NOTE-1', title: 'One', content: 'Body one' },
+    { id: 'NOTE-2', title: 'Two', passages: [{ text: 'Passage' }] }
+  ], 'Context:');
+
+  assert.equal(text, 'Context:\n\n## One\nID: NOTE-1\n\nBody one\n\n---\n\n## Two\nID: NOTE-2\n\n> Passage');
+  assert.equal(formatNoteContext([], 'Context:'), 'Context:\n\nNo relevant notes found.');
+});
+
+test('single notes, tags and fields render as markdown', () => {
+  assert.equal(
+    formatNote({ id: 'NOTE-1', content: '# Title\nBody', creation_date: '2024-01-01T00:00:00.000Z', tags: ['a'] }),
+    'ID: NOTE-1 | tags: #a\nCreated: 2024-01-01T00:00:00.000Z\n\n# Title\nBody'
+  );
+  assert.equal(formatTagList(['work', 'home']), '2 tags:\n\n- #work\n- #home');
+  assert.equal(formatTagList([]), 'No tags found.');
+  assert.equal(formatFields('Status:', { enabled: true, last: null, result: { added: 1 } }),
+    'Status:\n\n- enabled: true\n- last: null\n- result: {"added":1}');
+});
+
+test('attachments render with their note, file and text', () => {
+  const attachment = {
+    id: 'FILE-1',
+    filename: 'scope.pdf',
+    type: 'application/pdf',
+    size: 2560,
+    path: null,
+    note: { id: 'NOTE-1', title: 'Kickoff' }
+  };
+
+  assert.equal(formatAttachment({ attachment, text: 'Phase one', textSource: 'pdf', truncated: true }), [
+    'scope.pdf (ID: FILE-1, application/pdf, 3 KB)',
+    'Note: Kickoff (ID: NOTE-1)',
+    'Local file: not on this Mac',
+    '',
+    'Text (extracted from the PDF, truncated):\n\nPhase one'
+  ].join('\n'));
+  assert.match(formatAttachment({ attachment, text: null, textError: 'the attachment is encrypted' }),
+    /\n\nNo text available: the attachment is encrypted\.$/);
+});
+
+test('todos are grouped under their notes', () => {
+  const text = formatTodoList([
+    { text: 'order seeds', completed: false, line: 2, heading: 'Spring', noteId: 'NOTE-1', noteTitle: 'Garden' },
+    { text: 'dig the beds', completed: true, line: 3, heading: null, noteId: 'NOTE-1', noteTitle: 'Garden' },
+    { text: 'patch the tyre', completed: false, line: 1, heading: null, noteId: 'NOTE-2', noteTitle: null }
+  ], '3 todos');
+
+  assert.equal(text, [
+    '3 todos',
+    '',
+    '**Garden** (ID: NOTE-1)',
+    '- [ ] order seeds (line 2, under "Spring")',
+    '- [x] dig the beds (line 3)',
+    '',
+    '**Untitled** (ID: NOTE-2)',
+    '- [ ] patch the tyre (line 1)'
+  ].join('\n'));
+  assert.equal(formatTodoList([], '0 open todos'), '0 open todos\n\nNo matching todos found.');
+});
+
+test('every output schema is an object schema with required fields', () => {
+  for (const [tool, schema] of Object.entries(OUTPUT_SCHEMAS)) {
+    assert.equal(schema.type, 'object', tool);
+    for (const field of schema.required) {
+      assert.ok(field in schema.properties, `${tool}.${field}`);
+    }
+  }
+});
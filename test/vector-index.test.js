@@ -0,0 +1,119 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { faissUnavailable } from './helpers.js';
+
+// IVF and HNSW indexes: their search parameters, set through the serialized index, and the
+// flat fallback when that can't be done safely. Needs faiss-node's native module; the layout
+// checks and index settings are also tested on their own, in index-layout.test.js and
+// index-config.test.js.
+const vectorIndex = faissUnavailable ? null : await import('../src/lib/vector-index.js');
+
+const DIMENSION = 16;
+const CORPUS_SIZE = 400;
+const K = 5;
+
+// Seeded unit vectors, so every run uses the same corpus
+const createVectors = (count, seed) => {
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return Math.floor(seed / 65536) / 32768 - 0.5;
+  };
+  return Array.from({ length: count }, () => {
+    const vector = Array.from({ length: DIMENSION }, random);
+    const length = Math.hypot(...vector);
+    return vector.map(value => value / length);
+  });
+};
+
+const corpus = createVectors(CORPUS_SIZE, 1);
+const queries = createVectors(20, 2);
+
+// Build an index of a type holding the corpus
+const buildIndex = (config) => {
+  const { index, factory } = vectorIndex.createIndex(config, DIMENSION, corpus);
+  corpus.forEach(vector => index.add(vector));
+  return { index, factory };
+};
+
+// The labels an index finds for every query
+const searchAll = (index) => queries.map(query => Array.from(index.search(query, K).labels));
+
+// Share of the exact neighbours found
+const recall = (found, exact) => found.reduce((hits, labels, i) =>
+  hits + labels.filter(label => exact[i].includes(label)).length, 0) / (exact.length * K);
+
+describe('search parameters', { skip: faissUnavailable }, () => {
+  const exact = () => searchAll(buildIndex({ type: 'flat' }).index);
+
+  test('flat indexes have none to set', () => {
+    const { index, factory } = buildIndex({ type: 'flat' });
+    assert.equal(factory, 'Flat');
+    assert.equal(vectorIndex.applySearchParameters(index, { nprobe: 4 }), index);
+  });
+
+  test('IVF indexes get nprobe, and probing every list is exact', () => {
+    const { index, factory } = buildIndex({ type: 'ivf', nlist: 8 });
+    assert.equal(factory, 'IVF8,Flat');
+
+    const tuned = vectorIndex.applySearchParameters(index, { nprobe: 8 });
+    assert.ok(tuned && tuned !== index);
+    assert.equal(tuned.ntotal(), CORPUS_SIZE);
+    assert.equal(Number(tuned.toBuffer().readBigInt64LE(45)), 8);
+    assert.equal(recall(searchAll(tuned), exact()), 1);
+  });
+
+  test('HNSW indexes get efSearch, and a wide search finds the exact neighbours', () => {
+    const { index, factory } = buildIndex({ type: 'hnsw', m: 8 });
+    assert.equal(factory, 'HNSW8');
+
+    const tuned = vectorIndex.applySearchParameters(index, { efSearch: CORPUS_SIZE });
+    assert.ok(tuned && tuned !== index);
+    assert.equal(tuned.ntotal(), CORPUS_SIZE);
+    assert.ok(recall(searchAll(tuned), exact()) >= 0.99);
+  });
+
+  test('they survive saving and reading the index', async () => {
+    const folder = await fs.mkdtemp(path.join(os.tmpdir(), 'bear-mcp-test-faiss-'));
+    try {
+      const file = path.join(folder, 'ivf.index');
+      vectorIndex.applySearchParameters(buildIndex({ type: 'ivf', nlist: 8 }).index, { nprobe: 8 }).write(file);
+      const read = vectorIndex.readIndex(file);
+      assert.equal(Number(read.toBuffer().readBigInt64LE(45)), 8);
+      const prepared = await vectorIndex.prepareSearchIndex(read, async () => corpus, { nprobe: 8 });
+      assert.equal(prepared.warning, null);
+      assert.equal(recall(searchAll(prepared.index), exact()), 1);
+    } finally {
+      await fs.rm(folder, { recursive: true, force: true });
+    }
+  });
+
+  test('an unexpected layout is left alone', () => {
+    for (const type of ['ivf', 'hnsw']) {
+      const { index } = buildIndex({ type, nlist: 8, m: 8 });
+      const buffer = index.toBuffer();
+      // Pretend the storage after the search parameter isn't where this FAISS version keeps it
+      buffer.write('IxXX', type === 'ivf' ? 53 : buffer.indexOf('IxF2', 37), 'latin1');
+      index.toBuffer = () => Buffer.from(buffer);
+      assert.equal(vectorIndex.applySearchParameters(index, { nprobe: 8, efSearch: 64 }), null);
+    }
+  });
+
+  test('searches fall back to an exact flat index of the stored vectors', async () => {
+    const { index } = buildIndex({ type: 'ivf', nlist: 8 });
+    index.toBuffer = () => Buffer.from('IwFl and nothing FAISS would recognise');
+
+    const prepared = await vectorIndex.prepareSearchIndex(index, async () => corpus);
+    assert.notEqual(prepared.index, index);
+    assert.equal(prepared.index.ntotal(), CORPUS_SIZE);
+    assert.deepEqual(searchAll(prepared.index), exact());
+    assert.match(prepared.warning, /Could not set the search parameters.*searching its stored vectors exactly/);
+
+    // Without stored vectors the index is searched with FAISS's defaults
+    const unprepared = await vectorIndex.prepareSearchIndex(index, async () => null);
+    assert.equal(unprepared.index, index);
+    assert.match(unprepared.warning, /searching with FAISS defaults/);
+  });
+});